@@ -0,0 +1,312 @@
+/**
+ * Data Loader
+ *
+ * One way for every chart and the surface to fetch their data files:
+ * - checks the HTTP status, so a 404 page is reported as such rather than
+ *   as a JSON parse error
+ * - caches by URL, so the card and its expanded view share one request
+ * - validates against a declared schema (kalman, markov, health-surface and
+ *   the surface manifests), so malformed data is rejected up front instead
+ *   of drawing nonsense
+ * Failures are DataLoadErrors carrying the URL and a reason, for the
+ * on-page badges. Loaded objects are shared between callers: treat them as
+ * read-only.
+ */
+
+class DataLoadError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} info - { url, reason: 'network' | 'status' | 'parse' |
+   *   'schema', problems: string[] }
+   */
+  constructor(message, { url = '', reason = 'network', problems = [] } = {}) {
+    super(message);
+    this.name = 'DataLoadError';
+    this.url = url;
+    this.reason = reason;
+    this.problems = problems;
+  }
+}
+
+class DataLoader {
+  /**
+   * Fetches, parses and (with a schema) validates a data file
+   *
+   * @param {string} url
+   * @param {Object} options - { schema: registered schema name,
+   *   format: 'json' | 'text' }
+   * @returns {Promise<Object|string>}
+   * @throws {DataLoadError}
+   */
+  static async load(url, { schema = null, format = 'json' } = {}) {
+    const data = await DataLoader.fetch(url, format);
+    if (schema) DataLoader.validate(data, schema, url);
+    return data;
+  }
+
+  /**
+   * Cached fetch + parse. Failed requests are not cached, so a later call
+   * retries.
+   */
+  static fetch(url, format = 'json') {
+    const key = `${format}:${url}`;
+    if (!DataLoader.cache.has(key)) {
+      const request = DataLoader.request(url, format);
+      DataLoader.cache.set(key, request);
+      request.catch(() => DataLoader.cache.delete(key));
+    }
+    return DataLoader.cache.get(key);
+  }
+
+  static async request(url, format) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new DataLoadError(`${url}: ${error.message}`, { url, reason: 'network' });
+    }
+    if (!response.ok) {
+      throw new DataLoadError(`${url}: HTTP ${response.status}`, { url, reason: 'status' });
+    }
+
+    const text = await response.text();
+    if (format === 'text') return text;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new DataLoadError(`${url}: not valid JSON (${error.message})`, { url, reason: 'parse' });
+    }
+  }
+
+  static clearCache() {
+    DataLoader.cache.clear();
+  }
+
+  /**
+   * Registers a schema: validate(data) returns a list of problems (empty
+   * when the data is usable)
+   */
+  static register(name, validate) {
+    DataLoader.schemas[name] = validate;
+  }
+
+  /**
+   * @throws {DataLoadError} with reason 'schema' listing every problem
+   */
+  static validate(data, schema, url = '') {
+    const validate = DataLoader.schemas[schema];
+    if (!validate) throw new Error(`Unknown data schema: ${schema}`);
+
+    const problems = data && typeof data === 'object'
+      ? validate(data)
+      : ['expected a JSON object'];
+    if (problems.length > 0) {
+      const where = url || schema;
+      throw new DataLoadError(`${where}: ${problems[0]}` +
+        (problems.length > 1 ? ` (+${problems.length - 1} more)` : ''), {
+        url,
+        reason: 'schema',
+        problems
+      });
+    }
+    return data;
+  }
+
+  // ---------- Schema helpers: each returns a problem string or null ----------
+
+  static isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  /**
+   * Optional numeric field within [min, max] (integer if asked)
+   */
+  static checkNumber(object, key, path, { min = -Infinity, max = Infinity, integer = false, required = false } = {}) {
+    const value = object ? object[key] : undefined;
+    if (value === undefined) return required ? `${path}.${key} is missing` : null;
+    if (!DataLoader.isNumber(value) || (integer && !Number.isInteger(value))) {
+      return `${path}.${key} must be ${integer ? 'an integer' : 'a number'}`;
+    }
+    if (value < min || value > max) return `${path}.${key} must be in [${min}, ${max}]`;
+    return null;
+  }
+
+  /**
+   * Array of finite numbers, at least minLength long, optionally
+   * strictly increasing or all positive
+   */
+  static checkSeries(values, path, { minLength = 1, increasing = false, positive = false } = {}) {
+    if (!Array.isArray(values) || values.length < minLength) {
+      return `${path} must be an array of at least ${minLength} numbers`;
+    }
+    const bad = values.findIndex((v, i) => !DataLoader.isNumber(v) || (positive && v <= 0) ||
+      (increasing && i > 0 && v <= values[i - 1]));
+    if (bad < 0) return null;
+    return `${path}[${bad}] must be a ${positive ? 'positive ' : ''}number` +
+      (increasing ? ', increasing' : '');
+  }
+
+  /**
+   * Square matrix of probabilities whose rows sum to 1
+   */
+  static checkStochastic(matrix, path) {
+    if (!Array.isArray(matrix) || matrix.length === 0 ||
+        matrix.some(row => !Array.isArray(row) || row.length !== matrix.length)) {
+      return `${path} must be a square matrix`;
+    }
+    for (let i = 0; i < matrix.length; i++) {
+      if (matrix[i].some(p => !DataLoader.isNumber(p) || p < 0 || p > 1)) {
+        return `${path} row ${i} has entries outside [0, 1]`;
+      }
+      const sum = matrix[i].reduce((a, b) => a + b, 0);
+      if (Math.abs(sum - 1) > 1e-6) return `${path} row ${i} sums to ${sum.toFixed(4)}, not 1`;
+    }
+    return null;
+  }
+}
+
+DataLoader.cache = new Map(); // 'format:url' → Promise
+DataLoader.schemas = {};
+
+// ================================
+// Schema: data/kalman-data.json
+// ================================
+// { filter?: { delta, observationNoise, warmup },
+//   backtest?: { entryZ, exitZ, stopZ, notional, costBps, initialCapital },
+//   prices?: { x: number[], y: number[] } }
+DataLoader.register('kalman', (data) => {
+  const { filter, backtest, prices } = data;
+  const problems = [
+    DataLoader.checkNumber(filter, 'delta', 'filter', { min: Number.MIN_VALUE }),
+    DataLoader.checkNumber(filter, 'observationNoise', 'filter', { min: Number.MIN_VALUE }),
+    DataLoader.checkNumber(filter, 'warmup', 'filter', { min: 1, integer: true }),
+    DataLoader.checkNumber(backtest, 'entryZ', 'backtest', { min: 0 }),
+    DataLoader.checkNumber(backtest, 'exitZ', 'backtest'),
+    DataLoader.checkNumber(backtest, 'stopZ', 'backtest', { min: 0 }),
+    DataLoader.checkNumber(backtest, 'notional', 'backtest', { min: Number.MIN_VALUE }),
+    DataLoader.checkNumber(backtest, 'costBps', 'backtest', { min: 0 }),
+    DataLoader.checkNumber(backtest, 'initialCapital', 'backtest', { min: Number.MIN_VALUE })
+  ];
+
+  if (prices !== undefined) {
+    problems.push(
+      DataLoader.checkSeries(prices.x, 'prices.x', { minLength: 2, positive: true }),
+      DataLoader.checkSeries(prices.y, 'prices.y', { minLength: 2, positive: true })
+    );
+    if (Array.isArray(prices.x) && Array.isArray(prices.y) && prices.x.length !== prices.y.length) {
+      problems.push('prices.x and prices.y must be the same length');
+    }
+  }
+  return problems.filter(Boolean);
+});
+
+// ================================
+// Schema: data/markov-data.json
+// ================================
+// { estimation?: { method, threshold, quantiles, confidence, minHistory, window },
+//   forecast?: { horizon, paths, samplePaths, seed },
+//   simulation?: { seed, days, transitionMatrix, means, vols },
+//   prices?: number[] }
+DataLoader.register('markov', (data) => {
+  const { estimation, forecast, simulation, prices } = data;
+  const problems = [
+    DataLoader.checkNumber(estimation, 'threshold', 'estimation', { min: 0 }),
+    DataLoader.checkNumber(estimation, 'quantiles', 'estimation', { min: 2, integer: true }),
+    DataLoader.checkNumber(estimation, 'confidence', 'estimation', { min: 0, max: 1 }),
+    DataLoader.checkNumber(estimation, 'minHistory', 'estimation', { min: 1, integer: true }),
+    DataLoader.checkNumber(estimation, 'window', 'estimation', { min: 1, integer: true }),
+    DataLoader.checkNumber(forecast, 'horizon', 'forecast', { min: 1, integer: true }),
+    DataLoader.checkNumber(forecast, 'paths', 'forecast', { min: 1, integer: true }),
+    DataLoader.checkNumber(forecast, 'samplePaths', 'forecast', { min: 0, integer: true }),
+    DataLoader.checkNumber(forecast, 'seed', 'forecast', { integer: true })
+  ];
+  if (estimation && estimation.method !== undefined &&
+      !['sign', 'threshold', 'quantile'].includes(estimation.method)) {
+    problems.push('estimation.method must be sign, threshold or quantile');
+  }
+
+  if (simulation !== undefined) {
+    const { transitionMatrix, means, vols } = simulation;
+    problems.push(
+      DataLoader.checkNumber(simulation, 'seed', 'simulation', { integer: true }),
+      DataLoader.checkNumber(simulation, 'days', 'simulation', { min: 2, integer: true })
+    );
+    if (transitionMatrix !== undefined) {
+      problems.push(DataLoader.checkStochastic(transitionMatrix, 'simulation.transitionMatrix'));
+      const n = Array.isArray(transitionMatrix) ? transitionMatrix.length : 0;
+      [['means', means], ['vols', vols]].forEach(([key, values]) => {
+        if (values === undefined) return;
+        problems.push(DataLoader.checkSeries(values, `simulation.${key}`));
+        if (Array.isArray(values) && values.length !== n) {
+          problems.push(`simulation.${key} needs one entry per state (${n})`);
+        }
+      });
+      if (Array.isArray(vols) && vols.some(v => v < 0)) problems.push('simulation.vols must be ≥ 0');
+    }
+  }
+
+  if (prices !== undefined) {
+    problems.push(DataLoader.checkSeries(prices, 'prices', { minLength: 2, positive: true }));
+  }
+  return problems.filter(Boolean);
+});
+
+// ================================
+// Schema: health-surface JSON (obesity-vol-surface pipeline output)
+// ================================
+// { metadata, axes: { x: { values }, y: { values } }, surface: { grid[T][K] },
+//   raw_points?: [{ T, K, sigma, P_cross }] }
+DataLoader.register('health-surface', (data) => {
+  const { metadata, axes, surface, raw_points: rawPoints } = data;
+  if (!metadata || typeof metadata !== 'object') return ['metadata is missing'];
+  if (!axes || !axes.x || !axes.y) return ['axes.x and axes.y are required'];
+  if (!surface || !Array.isArray(surface.grid)) return ['surface.grid is missing'];
+
+  const problems = [
+    DataLoader.checkSeries(axes.x.values, 'axes.x.values', { minLength: 2, increasing: true }),
+    DataLoader.checkSeries(axes.y.values, 'axes.y.values', { minLength: 2, increasing: true })
+  ];
+  const columns = Array.isArray(axes.x.values) ? axes.x.values.length : 0;
+  const rows = Array.isArray(axes.y.values) ? axes.y.values.length : 0;
+
+  if (surface.grid.length !== rows ||
+      surface.grid.some(row => !Array.isArray(row) || row.length !== columns)) {
+    problems.push(`surface.grid must be ${rows} × ${columns} to match the axes`);
+  } else if (surface.grid.some(row => row.some(sigma => !DataLoader.isNumber(sigma) || sigma < 0))) {
+    problems.push('surface.grid values must be numbers ≥ 0');
+  }
+
+  if (rawPoints !== undefined) {
+    if (!Array.isArray(rawPoints)) {
+      problems.push('raw_points must be an array');
+    } else {
+      const bad = rawPoints.findIndex(p => !p || !DataLoader.isNumber(p.T) || !DataLoader.isNumber(p.K) ||
+        (p.P_cross !== undefined && p.P_cross !== null &&
+          (!DataLoader.isNumber(p.P_cross) || p.P_cross < 0 || p.P_cross > 1)) ||
+        (p.sigma !== undefined && p.sigma !== null && (!DataLoader.isNumber(p.sigma) || p.sigma < 0)));
+      if (bad >= 0) problems.push(`raw_points[${bad}] needs numeric T, K, σ ≥ 0 and P_cross in [0, 1]`);
+    }
+  }
+  return problems.filter(Boolean);
+});
+
+// ================================
+// Schemas: surface dataset / vintage manifests
+// ================================
+DataLoader.register('surface-datasets', (data) => {
+  if (!Array.isArray(data.datasets)) return ['datasets must be an array'];
+  const bad = data.datasets.findIndex(d => !d || !d.id || !d.schema || !(d.url || d.vintages));
+  return bad >= 0 ? [`datasets[${bad}] needs id, schema and url or vintages`] : [];
+});
+
+DataLoader.register('surface-vintages', (data) => {
+  if (!Array.isArray(data.vintages)) return ['vintages must be an array'];
+  const bad = data.vintages.findIndex(v => !v || typeof v.url !== 'string' ||
+    (v.asof_year !== undefined && !DataLoader.isNumber(v.asof_year)));
+  return bad >= 0 ? [`vintages[${bad}] needs a url and a numeric asof_year`] : [];
+});
+
+// Allow the schemas to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DataLoader, DataLoadError };
+}
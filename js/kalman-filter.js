@@ -0,0 +1,114 @@
+/**
+ * Kalman Filter
+ *
+ * Dynamic-hedge-ratio Kalman filter for a pair of price series, as in the
+ * kalman-filter-MR project. The hidden state is θ = [β, α] and each day is
+ * one observation of
+ *
+ *   y_t = β_t x_t + α_t + ε_t,          ε_t ~ N(0, Vε)
+ *   θ_t = θ_{t−1} + ω_t,                ω_t ~ N(0, Vω),  Vω = δ / (1 − δ) · I
+ *
+ * δ sets how fast the hedge ratio may drift; Vε is the observation noise.
+ * θ starts at 0 with a diffuse prior P₀ = priorVariance · I, so the first
+ * few observations pin it down (close to an OLS fit of the warm-up window).
+ * The spread is the one-step forecast error e_t = y_t − (β_{t−1} x_t + α_{t−1}),
+ * with variance Q_t, so z_t = e_t / √Q_t is a ready-made trading signal.
+ */
+
+class KalmanFilter {
+  /**
+   * Shared PRNG class (SeededRandom in the browser)
+   */
+  static get Random() {
+    return typeof SeededRandom !== 'undefined'
+      ? SeededRandom
+      : require('./seeded-random.js');
+  }
+
+  /**
+   * Runs the filter over two aligned price series
+   *
+   * @param {number[]} x - independent leg (hedge instrument)
+   * @param {number[]} y - dependent leg
+   * @param {Object} options - { delta, observationNoise, warmup, priorVariance }
+   * @returns {Array<{t, beta, alpha, spread, variance, zscore, warm}>}
+   *   warm: false during the first `warmup` steps, while θ is still converging
+   */
+  static run(x, y, { delta = 1e-4, observationNoise = 1e-3, warmup = 20, priorVariance = 1e3 } = {}) {
+    if (x.length !== y.length) {
+      throw new Error('Price series must have the same length');
+    }
+
+    const q = delta / (1 - delta); // Vω diagonal
+    let theta = [0, 0];
+    let P = [[priorVariance, 0], [0, priorVariance]];
+    const steps = [];
+
+    for (let t = 0; t < x.length; t++) {
+      const F = [x[t], 1];
+
+      // Predict: θ is a random walk, so only the covariance grows
+      const R = [[P[0][0] + q, P[0][1]], [P[1][0], P[1][1] + q]];
+
+      // Innovation and its variance Q = F R Fᵀ + Vε
+      const RF = [R[0][0] * F[0] + R[0][1] * F[1], R[1][0] * F[0] + R[1][1] * F[1]];
+      const Q = F[0] * RF[0] + F[1] * RF[1] + observationNoise;
+      const e = y[t] - (theta[0] * F[0] + theta[1] * F[1]);
+
+      // Update with gain K = R Fᵀ / Q
+      const K = [RF[0] / Q, RF[1] / Q];
+      theta = [theta[0] + K[0] * e, theta[1] + K[1] * e];
+      P = [
+        [R[0][0] - K[0] * RF[0], R[0][1] - K[0] * RF[1]],
+        [R[1][0] - K[1] * RF[0], R[1][1] - K[1] * RF[1]]
+      ];
+
+      steps.push({
+        t,
+        beta: theta[0],
+        alpha: theta[1],
+        spread: e,
+        variance: Q,
+        zscore: e / Math.sqrt(Q),
+        warm: t >= warmup
+      });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Synthetic cointegrated pair for the demo card: x is a geometric random
+   * walk, y = β_t x + α + an Ornstein–Uhlenbeck spread, with β drifting
+   * slowly so the filter has something to track. Seeded, so every load
+   * draws the same pair.
+   *
+   * @returns {{x: number[], y: number[], beta: number[]}} prices and true β
+   */
+  static simulatePair({ seed = 7, days = 250, beta = 1.2, betaDrift = 0.05, alpha = 5,
+    kappa = 0.1, spreadVol = 1.5, x0 = 50, vol = 0.015 } = {}) {
+    const rng = new KalmanFilter.Random(seed);
+    const x = [];
+    const y = [];
+    const trueBeta = [];
+    let price = x0;
+    let spread = 0;
+
+    for (let t = 0; t < days; t++) {
+      price *= Math.exp(rng.normal(0, vol));
+      spread += -kappa * spread + rng.normal(0, spreadVol);
+      const b = beta + betaDrift * Math.sin(2 * Math.PI * t / days);
+
+      x.push(price);
+      y.push(b * price + alpha + spread);
+      trueBeta.push(b);
+    }
+
+    return { x, y, beta: trueBeta };
+  }
+}
+
+// Allow the filter to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KalmanFilter;
+}
@@ -1,14 +1,17 @@
 /**
  * Main Application Initialization
  *
- * Coordinates the Three.js volatility surface and D3.js visualizations.
- * Sets up event listeners and handles responsive behavior.
+ * Registers each project's visualisation with the PortfolioApp kernel
+ * (portfolio-app.js), which mounts them once Three.js / D3.js have loaded,
+ * and wires the card hover / tap behaviour. A new project needs one
+ * app.register() call here. UrlState (url-state.js) then restores and
+ * records each project's view state in the address bar.
  */
 
-// Global instances
-let volatilitySurface = null;
-let kalmanViz = null;
-let markovViz = null;
+// The libraries are self-hosted, blocking scripts: by DOMContentLoaded they
+// have loaded or failed, so there is little point waiting for them
+const app = new PortfolioApp({ libraryTimeout: 1000 });
+const urlState = new UrlState(app);
 
 // Debounce helper for hover events
 function debounce(func, wait) {
@@ -23,64 +26,60 @@ function debounce(func, wait) {
   };
 }
 
-// Wait for libraries to load, then initialize
-function initializeWhenReady() {
-  // Check if libraries are loaded
-  if (typeof THREE === 'undefined' || typeof d3 === 'undefined') {
-    console.log('Waiting for libraries to load...');
-    setTimeout(initializeWhenReady, 100);
-    return;
-  }
+// ================================
+// Project registry
+// ================================
+
+// The health-surface card's visualisation is the page background; its
+// expanded view is a flat heatmap of the same surface. Only the heatmap
+// and the slice panels need D3, so the surface itself runs without it.
+app.register('health-surface', {
+  requires: ['THREE'],
+  detailRequires: ['d3'],
+  container: 'volatility-canvas',
+  unsupported: () => (SurfaceFallback.supportsWebGL() ? null : 'WebGL is not available'),
+  mount: (id) => new VolatilitySurface(id),
+  init: (surface) => surface.init().then(() => {
+    console.log('✓ Three.js volatility surface initialized');
+  }),
+  // Static σ heatmap in place of the canvas
+  fallback: (id, _, reason) => {
+    const fallback = new SurfaceFallback(id, reason);
+    fallback.init().catch(error => console.error('Error drawing the surface fallback:', error));
+    return fallback;
+  },
+  detail: (id) => new SurfaceHeatmapViz(id, app.get('health-surface'), app.ready('health-surface'))
+});
 
-  console.log('Initializing Quant Portfolio...');
+app.register('kalman', {
+  mount: (id) => new KalmanViz(id)
+});
 
-  // Initialize Three.js volatility surface (async — loads real CDC data)
-  try {
-    volatilitySurface = new VolatilitySurface('volatility-canvas');
-    volatilitySurface.init().then(() => {
-      console.log('✓ Three.js volatility surface initialized');
-    });
-  } catch (error) {
-    console.error('Error initializing Three.js surface:', error);
-  }
+app.register('markov', {
+  mount: (id) => new MarkovViz(id)
+});
 
-  // Initialize D3.js visualizations
-  try {
-    kalmanViz = new KalmanViz('kalman-viz');
-    markovViz = new MarkovViz('markov-viz');
-    console.log('✓ D3.js visualizations initialized');
-  } catch (error) {
-    console.error('Error initializing D3.js visualizations:', error);
-  }
+// Initialize all components when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('Initializing Quant Portfolio...');
 
-  // Setup hover interactions for project cards
   setupProjectInteractions();
-
-  // Add smooth scroll behavior
-  document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function (e) {
-      e.preventDefault();
-      const target = document.querySelector(this.getAttribute('href'));
-      if (target) {
-        target.scrollIntoView({
-          behavior: 'smooth',
-          block: 'start'
-        });
-      }
-    });
-  });
+  setupSmoothScroll();
+  registerServiceWorker();
+  await app.start();
+  urlState.start();
 
   console.log('✓ Portfolio initialization complete');
-}
-
-// Initialize all components when DOM is ready
-document.addEventListener('DOMContentLoaded', initializeWhenReady);
+});
 
 /**
- * Setup hover interactions for project cards
+ * Reveals a card's chart on hover (desktop), tap (mobile) or keyboard
+ * focus. The breakpoint is read per event, so the listeners are added once
+ * and follow resizes.
  */
 function setupProjectInteractions() {
   const projectCards = document.querySelectorAll('.project[data-project]');
+  const isDesktop = () => window.innerWidth > 768;
 
   projectCards.forEach(card => {
     const projectType = card.getAttribute('data-project');
@@ -88,73 +87,80 @@ function setupProjectInteractions() {
 
     if (!vizContainer) return;
 
+    const setVisible = (visible) => {
+      vizContainer.style.opacity = visible ? '1' : '0';
+      vizContainer.style.pointerEvents = visible ? 'auto' : 'none';
+    };
+    let isHovering = false;
+    let isVisible = false;
+
     // Desktop: use hover
-    if (window.innerWidth > 768) {
-      let isHovering = false;
-
-      card.addEventListener('mouseenter', debounce(() => {
-        isHovering = true;
-        setTimeout(() => {
-          if (isHovering) {
-            vizContainer.style.opacity = '1';
-            vizContainer.style.pointerEvents = 'auto';
-          }
-        }, 100);
-      }, 50));
-
-      card.addEventListener('mouseleave', () => {
-        isHovering = false;
-        vizContainer.style.opacity = '0';
-        vizContainer.style.pointerEvents = 'none';
-      });
-    } else {
-      // Mobile: use tap to toggle
-      let isVisible = false;
-
-      card.addEventListener('click', (e) => {
-        // Don't toggle if clicking on a link
-        if (e.target.tagName === 'A' || e.target.closest('a')) {
-          return;
-        }
-
-        isVisible = !isVisible;
-
-        if (isVisible) {
-          vizContainer.style.opacity = '1';
-          vizContainer.style.pointerEvents = 'auto';
-        } else {
-          vizContainer.style.opacity = '0';
-          vizContainer.style.pointerEvents = 'none';
-        }
-
-        e.preventDefault();
-      });
-    }
+    app.listen(`${projectType}:mouseenter`, card, 'mouseenter', debounce(() => {
+      if (!isDesktop()) return;
+      isHovering = true;
+      setTimeout(() => {
+        if (isHovering) setVisible(true);
+      }, 100);
+    }, 50));
+
+    app.listen(`${projectType}:mouseleave`, card, 'mouseleave', () => {
+      if (!isDesktop()) return;
+      isHovering = false;
+      setVisible(false);
+    });
+
+    // Keyboard: reveal while focus is anywhere in the card (its link, the
+    // chart or its data table)
+    app.listen(`${projectType}:focusin`, card, 'focusin', () => setVisible(true));
+
+    app.listen(`${projectType}:focusout`, card, 'focusout', (e) => {
+      if (card.contains(e.relatedTarget) || isHovering || isVisible) return;
+      setVisible(false);
+    });
+
+    // Mobile: use tap to toggle
+    app.listen(`${projectType}:click`, card, 'click', (e) => {
+      if (isDesktop()) return;
+      // Don't toggle if clicking on a link or button
+      if (e.target.closest('a, button')) {
+        return;
+      }
+
+      isVisible = !isVisible;
+      setVisible(isVisible);
+      e.preventDefault();
+    });
   });
 }
 
 /**
- * Handle window resize events
+ * Smooth scrolling for in-page links
  */
-window.addEventListener('resize', debounce(() => {
-  console.log('Window resized, updating layout...');
-
-  // Recreate project interactions based on new screen size
-  setupProjectInteractions();
-}, 250));
+function setupSmoothScroll() {
+  document.querySelectorAll('a[href^="#"]').forEach((anchor, i) => {
+    app.listen(`anchor:${i}`, anchor, 'click', function (e) {
+      e.preventDefault();
+      const target = document.querySelector(this.getAttribute('href'));
+      if (target) {
+        target.scrollIntoView({
+          behavior: 'smooth',
+          block: 'start'
+        });
+      }
+    });
+  });
+}
 
 /**
- * Handle visibility change (pause animations when tab is not visible)
+ * Caches the site for offline visits (see sw.js). Service workers need
+ * http(s), so opening index.html from disk just skips this.
  */
-document.addEventListener('visibilitychange', () => {
-  if (document.hidden) {
-    console.log('Tab hidden, pausing animations');
-    // Optionally pause Three.js animation here
-  } else {
-    console.log('Tab visible, resuming animations');
-    // Resume animations
-  }
-});
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+
+  navigator.serviceWorker.register('sw.js')
+    .catch(error => console.warn('Service worker registration failed:', error));
+}
 
 /**
  * Error handler for missing dependencies
@@ -162,16 +168,12 @@ document.addEventListener('visibilitychange', () => {
 window.addEventListener('error', (e) => {
   if (e.message.includes('THREE') || e.message.includes('d3')) {
     console.error('Missing dependency:', e.message);
-    console.error('Please ensure Three.js and D3.js are loaded from CDN');
+    console.error('Three.js and D3.js are served from js/vendor/; check those files were deployed');
   }
 });
 
-// Export for debugging (optional)
+// Export for debugging: app.instances, app.get('kalman'), app.unmount('markov')...
 if (typeof window !== 'undefined') {
-  window.portfolioApp = {
-    volatilitySurface,
-    kalmanViz,
-    markovViz,
-    version: '1.0.0'
-  };
+  window.portfolioApp = app;
+  window.urlState = urlState;
 }
@@ -0,0 +1,135 @@
+/**
+ * Markov Chain
+ *
+ * Linear-algebra helpers for an N-state regime model given its row-stochastic
+ * transition matrix P (P[i][j] = probability of moving from state i to j):
+ * stationary distribution, n-step matrices, expected regime durations and
+ * sampling the next state.
+ */
+
+class MarkovChain {
+  /**
+   * Throws unless P is square, non-negative and every row sums to 1
+   */
+  static validate(P, tol = 1e-6) {
+    const n = P.length;
+    if (n === 0 || P.some(row => row.length !== n)) {
+      throw new Error('Transition matrix must be square');
+    }
+    P.forEach((row, i) => {
+      if (row.some(p => p < 0 || !Number.isFinite(p))) {
+        throw new Error(`Row ${i} has a negative or non-numeric probability`);
+      }
+      const sum = row.reduce((a, b) => a + b, 0);
+      if (Math.abs(sum - 1) > tol) {
+        throw new Error(`Row ${i} sums to ${sum.toFixed(4)}, not 1`);
+      }
+    });
+    return P;
+  }
+
+  static identity(n) {
+    return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+  }
+
+  static multiply(A, B) {
+    return A.map(row => B[0].map((_, j) => row.reduce((sum, a, k) => sum + a * B[k][j], 0)));
+  }
+
+  /**
+   * n-step transition matrix Pⁿ (square-and-multiply)
+   */
+  static power(P, n) {
+    let result = MarkovChain.identity(P.length);
+    let base = P;
+    let k = n;
+    while (k > 0) {
+      if (k & 1) result = MarkovChain.multiply(result, base);
+      base = MarkovChain.multiply(base, base);
+      k >>= 1;
+    }
+    return result;
+  }
+
+  /**
+   * Distribution after n steps from a starting distribution π₀: π₀ Pⁿ
+   */
+  static distributionAfter(pi0, P, n) {
+    return MarkovChain.multiply([pi0], MarkovChain.power(P, n))[0];
+  }
+
+  /**
+   * Stationary distribution π with π P = π and Σπ = 1, solving
+   * (Pᵀ − I) π = 0 with the last equation replaced by the normalisation.
+   * Needs π to be unique: one closed class of states, as in an irreducible
+   * chain. With several closed classes (e.g. two absorbing states) the
+   * system is singular and this throws.
+   */
+  static stationary(P) {
+    const n = P.length;
+    const A = P.map((_, i) => P.map((row, j) => row[i] - (i === j ? 1 : 0)));
+    const b = new Array(n).fill(0);
+    A[n - 1] = new Array(n).fill(1);
+    b[n - 1] = 1;
+
+    return MarkovChain.solve(A, b);
+  }
+
+  /**
+   * Gaussian elimination with partial pivoting for A x = b
+   */
+  static solve(A, b) {
+    const n = A.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+      }
+      if (Math.abs(M[pivot][col]) < 1e-12) {
+        throw new Error('Singular system');
+      }
+      [M[col], M[pivot]] = [M[pivot], M[col]];
+
+      for (let r = 0; r < n; r++) {
+        if (r === col) continue;
+        const factor = M[r][col] / M[col][col];
+        for (let c = col; c <= n; c++) {
+          M[r][c] -= factor * M[col][c];
+        }
+      }
+    }
+
+    return M.map((row, i) => row[n] / row[i]);
+  }
+
+  /**
+   * Expected number of consecutive periods spent in each state once entered:
+   * 1 / (1 − P[i][i]) (Infinity for an absorbing state)
+   */
+  static expectedDurations(P) {
+    return P.map((row, i) => (row[i] < 1 ? 1 / (1 - row[i]) : Infinity));
+  }
+
+  /**
+   * Next state by inverse CDF over one row of the transition matrix
+   *
+   * @param {number[]} row - P[current state]
+   * @param {number} u - uniform draw in [0, 1)
+   */
+  static sampleNext(row, u) {
+    let next = 0;
+    let remaining = u;
+    while (next < row.length - 1 && remaining >= row[next]) {
+      remaining -= row[next];
+      next++;
+    }
+    return next;
+  }
+}
+
+// Allow the helpers to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkovChain;
+}
@@ -0,0 +1,232 @@
+/**
+ * Markov Estimator
+ *
+ * From a daily return series to a regime model, as in the markov-chain-strat
+ * project:
+ *
+ * - discretise returns into states by sign, a ± threshold or quantiles
+ * - count transitions to estimate P, with a Wilson confidence interval on
+ *   every P[i][j] (each row is a multinomial sample of its state's exits)
+ * - walk forward through the series predicting the direction of the next
+ *   day from a model fitted only to the days before it
+ */
+
+class MarkovEstimator {
+  /**
+   * Shared PRNG class (SeededRandom in the browser)
+   */
+  static get Random() {
+    return typeof SeededRandom !== 'undefined'
+      ? SeededRandom
+      : require('./seeded-random.js');
+  }
+
+  /**
+   * Transition-matrix helpers (MarkovChain in the browser)
+   */
+  static get Chain() {
+    return typeof MarkovChain !== 'undefined'
+      ? MarkovChain
+      : require('./markov-chain.js');
+  }
+
+  /**
+   * Simple returns p[t] / p[t−1] − 1
+   */
+  static returnsFromPrices(prices) {
+    return prices.slice(1).map((price, t) => price / prices[t] - 1);
+  }
+
+  /**
+   * Maps each return to a state index
+   *
+   * - sign:      Up (r > 0), Down
+   * - threshold: Up (r > threshold), Flat (|r| ≤ threshold), Down
+   * - quantile:  Qk (highest returns) … Q1, cut at the empirical k-quantiles
+   *
+   * States are always ordered from the highest returns to the lowest. Tied
+   * returns (e.g. many zero days) can make two cuts coincide or a cut fall
+   * on the lowest return; such cuts are merged so no state is left empty,
+   * leaving fewer than `quantiles` states.
+   *
+   * @param {number[]} returns
+   * @param {Object} options - { method, threshold, quantiles }
+   * @returns {{states: number[], labels: string[], cuts?: number[]}}
+   */
+  static discretise(returns, { method = 'sign', threshold = 0.005, quantiles = 3 } = {}) {
+    switch (method) {
+      case 'sign':
+        return {
+          states: returns.map(r => (r > 0 ? 0 : 1)),
+          labels: ['Up', 'Down']
+        };
+
+      case 'threshold':
+        return {
+          states: returns.map(r => (r > threshold ? 0 : r < -threshold ? 2 : 1)),
+          labels: ['Up', 'Flat', 'Down']
+        };
+
+      case 'quantile': {
+        const sorted = [...returns].sort((a, b) => a - b);
+        const cuts = [];
+        for (let k = 1; k < quantiles; k++) {
+          const cut = sorted[Math.floor(k * sorted.length / quantiles)];
+          if (cut > sorted[0] && !cuts.includes(cut)) cuts.push(cut);
+        }
+        const m = cuts.length + 1;
+        if (m < quantiles) {
+          console.warn(`Tied returns: ${quantiles} quantile states reduced to ${m}`);
+        }
+        return {
+          states: returns.map(r => cuts.filter(cut => r < cut).length),
+          labels: Array.from({ length: m }, (_, k) => `Q${m - k}`),
+          cuts
+        };
+      }
+
+      default:
+        throw new Error(`Unknown discretisation method "${method}"`);
+    }
+  }
+
+  /**
+   * Transition counts and the maximum-likelihood matrix P[i][j] = n_ij / n_i,
+   * with Wilson intervals at the given confidence. A state that is never
+   * left gets a uniform row and the uninformative interval [0, 1].
+   *
+   * @returns {{counts: number[][], matrix: number[][], lower: number[][],
+   *   upper: number[][], visits: number[]}}
+   */
+  static estimate(states, n, { confidence = 0.95 } = {}) {
+    const counts = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let t = 1; t < states.length; t++) {
+      counts[states[t - 1]][states[t]]++;
+    }
+
+    const z = MarkovEstimator.normalQuantile(0.5 + confidence / 2);
+    const visits = counts.map(row => row.reduce((a, b) => a + b, 0));
+    const matrix = counts.map((row, i) => row.map(c => (visits[i] ? c / visits[i] : 1 / n)));
+    const intervals = counts.map((row, i) => row.map(c => MarkovEstimator.wilson(c, visits[i], z)));
+
+    return {
+      counts,
+      matrix,
+      lower: intervals.map(row => row.map(([lo]) => lo)),
+      upper: intervals.map(row => row.map(([, hi]) => hi)),
+      visits
+    };
+  }
+
+  /**
+   * Wilson score interval for c successes out of n trials
+   */
+  static wilson(c, n, z) {
+    if (n === 0) return [0, 1];
+    const p = c / n;
+    const z2 = z * z;
+    const centre = (p + z2 / (2 * n)) / (1 + z2 / n);
+    const half = z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n)) / (1 + z2 / n);
+    return [Math.max(0, centre - half), Math.min(1, centre + half)];
+  }
+
+  /**
+   * Inverse standard normal CDF (Abramowitz & Stegun 26.2.23, |error| < 4.5e-4)
+   */
+  static normalQuantile(p) {
+    if (p <= 0 || p >= 1) throw new Error('Probability must be in (0, 1)');
+    if (p < 0.5) return -MarkovEstimator.normalQuantile(1 - p);
+
+    const t = Math.sqrt(-2 * Math.log(1 - p));
+    return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+      (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+  }
+
+  /**
+   * Walk-forward one-step-ahead backtest. On each day t after `minHistory`
+   * the model is refitted to transitions and state mean returns up to t
+   * only; the predicted next state is the most likely one from s_t, and the
+   * predicted direction is the sign of the expected next return
+   * Σ_j P[s_t][j] μ_j. A hit is a direction that matches r_{t+1}.
+   *
+   * @param {number[]} states - discretise() output
+   * @param {number[]} returns - the returns they were built from
+   * @param {number} n - number of states
+   * @param {Object} options - { minHistory, window }
+   * @returns {{predictions: Array<{t, state, predicted, up, actualUp, hit}>,
+   *   rolling: Array<{t, accuracy}>, accuracy: number, baseline: number}}
+   *   baseline: hit rate of always calling "up" over the same days
+   */
+  static backtest(states, returns, n, { minHistory = 20, window = 20 } = {}) {
+    const counts = Array.from({ length: n }, () => new Array(n).fill(0));
+    const sums = new Array(n).fill(0);
+    const seen = new Array(n).fill(0);
+    const predictions = [];
+
+    for (let t = 0; t < states.length - 1; t++) {
+      // Fold in day t: its return, and the transition into it
+      sums[states[t]] += returns[t];
+      seen[states[t]]++;
+      if (t > 0) counts[states[t - 1]][states[t]]++;
+      if (t + 1 < minHistory) continue;
+
+      const row = counts[states[t]];
+      const total = row.reduce((a, b) => a + b, 0);
+      const probabilities = row.map(c => (total ? c / total : 1 / n));
+      const expected = probabilities.reduce((acc, p, j) => acc + p * (seen[j] ? sums[j] / seen[j] : 0), 0);
+      const up = expected > 0;
+      const actualUp = returns[t + 1] > 0;
+
+      predictions.push({
+        t: t + 1,
+        state: states[t],
+        predicted: probabilities.indexOf(Math.max(...probabilities)),
+        up,
+        actualUp,
+        hit: up === actualUp
+      });
+    }
+
+    const rolling = predictions.map((p, i) => {
+      const slice = predictions.slice(Math.max(0, i - window + 1), i + 1);
+      return { t: p.t, accuracy: slice.filter(d => d.hit).length / slice.length };
+    });
+    const rate = (key) => (predictions.length
+      ? predictions.filter(d => d[key]).length / predictions.length
+      : 0);
+
+    return { predictions, rolling, accuracy: rate('hit'), baseline: rate('actualUp') };
+  }
+
+  /**
+   * Synthetic regime-switching series for the demo card: the hidden regime
+   * follows transitionMatrix and each day's return is drawn from its regime's
+   * N(mean, vol). Seeded, so every load draws the same series.
+   *
+   * @returns {{prices: number[], returns: number[], regimes: number[]}}
+   */
+  static simulate({ seed = 3, days = 500, transitionMatrix = [[0.65, 0.35], [0.42, 0.58]],
+    means = [0.006, -0.007], vols = [0.004, 0.005], start = 0, p0 = 100 } = {}) {
+    const rng = new MarkovEstimator.Random(seed);
+    const prices = [p0];
+    const returns = [];
+    const regimes = [];
+    let state = start;
+
+    for (let t = 0; t < days; t++) {
+      const r = rng.normal(means[state], vols[state]);
+      returns.push(r);
+      regimes.push(state);
+      prices.push(prices[prices.length - 1] * (1 + r));
+
+      state = MarkovEstimator.Chain.sampleNext(transitionMatrix[state], rng.next());
+    }
+
+    return { prices, returns, regimes };
+  }
+}
+
+// Allow the estimator to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkovEstimator;
+}
@@ -0,0 +1,147 @@
+/**
+ * Pairs Backtest
+ *
+ * Trades the Kalman spread (KalmanFilter.run output) on its z-score:
+ *
+ * - enter short the spread when z > entryZ, long when z < −entryZ, unless
+ *   |z| is already at or past stopZ (it would stop out on the next bar)
+ * - exit when z crosses back through ±exitZ
+ * - stop out when z runs past ±stopZ against the position
+ *
+ * A long-spread position holds n units of y against −β n units of x, with β
+ * frozen at entry and n sized so the gross notional n (y + |β| x) equals
+ * `notional`. Trades fill at the close of the signal day. Costs are charged
+ * in basis points of the gross notional traded, on entry and on exit.
+ */
+
+class PairsBacktest {
+  /**
+   * @param {Array} steps - KalmanFilter.run() output
+   * @param {{x: number[], y: number[]}} prices - the filtered pair
+   * @param {Object} options - { entryZ, exitZ, stopZ, notional, costBps,
+   *   initialCapital, periodsPerYear }
+   * @returns {{trades: Array, equity: Array<{t, value}>, stats: Object}}
+   */
+  static run(steps, { x, y }, options = {}) {
+    const {
+      entryZ = 1,
+      exitZ = 0,
+      stopZ = 3,
+      notional = 10000,
+      costBps = 5,
+      initialCapital = 100000,
+      periodsPerYear = 252
+    } = options;
+
+    const trades = [];
+    const equity = [];
+    let cash = initialCapital;
+    let position = null; // { side: ±1, units, beta, entryT, entryZ, cost }
+    let traded = 0; // gross notional traded, for turnover
+
+    const grossNotional = (t, units, beta) => units * (y[t] + Math.abs(beta) * x[t]);
+    const markToMarket = (t) => {
+      if (!position) return 0;
+      const { side, units, beta, entryT } = position;
+      return side * units * ((y[t] - y[entryT]) - beta * (x[t] - x[entryT]));
+    };
+
+    const close = (t, zscore, reason) => {
+      const exitCost = grossNotional(t, position.units, position.beta) * costBps / 1e4;
+      const gross = markToMarket(t);
+      const pnl = gross - position.cost - exitCost;
+
+      traded += grossNotional(t, position.units, position.beta);
+      cash += gross - exitCost;
+      trades.push({
+        side: position.side > 0 ? 'long' : 'short',
+        entryT: position.entryT,
+        exitT: t,
+        entryZ: position.entryZ,
+        exitZ: zscore,
+        days: t - position.entryT,
+        reason,
+        pnl,
+        return: pnl / notional
+      });
+      position = null;
+    };
+
+    steps.forEach(({ t, beta, zscore, warm }) => {
+      if (position) {
+        const { side } = position;
+        if (side * zscore < -stopZ) {
+          close(t, zscore, 'stop');
+        } else if ((side < 0 && zscore <= exitZ) || (side > 0 && zscore >= -exitZ)) {
+          close(t, zscore, 'exit');
+        }
+      } else if (warm && Math.abs(zscore) > entryZ && Math.abs(zscore) < stopZ) {
+        const side = zscore > 0 ? -1 : 1;
+        const units = notional / (y[t] + Math.abs(beta) * x[t]);
+        const cost = notional * costBps / 1e4;
+
+        traded += notional;
+        cash -= cost;
+        position = { side, units, beta, entryT: t, entryZ: zscore, cost };
+      }
+
+      equity.push({ t, value: cash + markToMarket(t) });
+    });
+
+    // Mark any open position out at the last close
+    if (position) {
+      const last = steps[steps.length - 1];
+      close(last.t, last.zscore, 'end');
+      equity[equity.length - 1].value = cash;
+    }
+
+    return {
+      trades,
+      equity,
+      stats: PairsBacktest.statistics(trades, equity, { initialCapital, traded, periodsPerYear })
+    };
+  }
+
+  /**
+   * Win rate, annualised Sharpe / Sortino of per-period equity returns,
+   * max drawdown (a negative fraction) and annualised turnover (gross
+   * notional traded ÷ initial capital, per year)
+   */
+  static statistics(trades, equity, { initialCapital, traded, periodsPerYear }) {
+    const returns = [];
+    for (let i = 1; i < equity.length; i++) {
+      returns.push(equity[i].value / equity[i - 1].value - 1);
+    }
+
+    const mean = returns.reduce((a, b) => a + b, 0) / (returns.length || 1);
+    const sd = Math.sqrt(returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length || 1));
+    const downside = Math.sqrt(returns.reduce((a, r) => a + Math.min(r, 0) ** 2, 0) / (returns.length || 1));
+    const annualise = Math.sqrt(periodsPerYear);
+
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    equity.forEach(({ value }) => {
+      peak = Math.max(peak, value);
+      maxDrawdown = Math.min(maxDrawdown, value / peak - 1);
+    });
+
+    const wins = trades.filter(trade => trade.pnl > 0).length;
+    const years = equity.length / periodsPerYear;
+    const final = equity.length ? equity[equity.length - 1].value : initialCapital;
+
+    return {
+      trades: trades.length,
+      winRate: trades.length ? wins / trades.length : 0,
+      sharpeRatio: sd > 0 ? mean / sd * annualise : 0,
+      sortinoRatio: downside > 0 ? mean / downside * annualise : 0,
+      maxDrawdown,
+      turnover: years > 0 ? traded / initialCapital / years : 0,
+      totalReturn: final / initialCapital - 1
+    };
+  }
+}
+
+// Allow the backtest to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PairsBacktest;
+}
@@ -0,0 +1,371 @@
+/**
+ * Portfolio App
+ *
+ * Small kernel that owns the page's visualisations. Each one is registered
+ * against its card's data-project key and the kernel runs its lifecycle:
+ * - mount: once the libraries it requires have loaded, build it into its
+ *   container (by default the card's .viz-container)
+ * - update: re-lay it out (instance.relayout() unless the definition says
+ *   otherwise)
+ * - unmount: dispose it and forget the instance
+ * - dispose: unmount everything and remove every listener the kernel added
+ * A visualisation that can't run (a library didn't load, no WebGL, or it
+ * threw while building) is replaced by its fallback hook, or a notice in its
+ * container, instead of leaving a blank card.
+ * The expanded view (ProjectDetail) is built from the same registry, and
+ * listeners go through listen(), keyed by name, so wiring a card twice
+ * replaces its handlers instead of stacking them. Exposed as
+ * window.portfolioApp for inspection from the console.
+ */
+
+class PortfolioApp {
+  /**
+   * @param {Object} options - { libraries: global names to wait for,
+   *   libraryTimeout: ms before starting without the missing ones }
+   */
+  constructor({ libraries = ['THREE', 'd3'], libraryTimeout = 10000 } = {}) {
+    this.libraries = libraries;
+    this.libraryTimeout = libraryTimeout;
+    this.definitions = new Map(); // key → registration
+    this.mounted = new Map(); // key → { instance, ready }
+    this.listeners = new Map(); // name → remove()
+    this.fallbacks = new Map(); // key → degraded-mode stand-in
+    this.missing = []; // libraries that never loaded
+    this.detail = null; // ProjectDetail
+    this.started = false;
+  }
+
+  /**
+   * Registers a visualisation for a data-project key.
+   *
+   * @param {string} key - the card's data-project
+   * @param {Object} definition
+   * @param {string[]} [definition.requires=['d3']] - globals it needs
+   * @param {string} [definition.container] - element id to mount into;
+   *   defaults to the card's .viz-container
+   * @param {function(string, PortfolioApp): Object} [definition.mount] -
+   *   builds the instance into a container id
+   * @param {function(Object): Promise} [definition.init] - async setup after
+   *   mount; app.ready(key) waits for it
+   * @param {function(string, PortfolioApp): Object} [definition.detail] -
+   *   builds the expanded view; defaults to mount
+   * @param {string[]} [definition.detailRequires=[]] - further globals only
+   *   the expanded view needs; without them the card has no Expand button
+   * @param {function(Object, PortfolioApp)} [definition.update]
+   * @param {function(Object)} [definition.unmount] - defaults to
+   *   instance.dispose()
+   * @param {function(): ?string} [definition.unsupported] - why it can't run
+   *   in this browser (e.g. no WebGL), or null
+   * @param {function(string, PortfolioApp, string): Object} [definition.fallback] -
+   *   builds a stand-in into the container when it can't run, given the reason
+   * @returns {PortfolioApp} this, for chaining
+   */
+  register(key, definition) {
+    if (this.definitions.has(key)) {
+      console.warn(`Project "${key}" is already registered; replacing it`);
+      this.unmount(key);
+    }
+    this.definitions.set(key, { requires: ['d3'], ...definition });
+    if (this.started) this.mount(key);
+    return this;
+  }
+
+  /**
+   * Waits for the libraries, then mounts every registered visualisation and
+   * the expanded view
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.missing = await PortfolioApp.waitForGlobals(this.libraries, { timeout: this.libraryTimeout });
+    if (this.missing.length > 0) {
+      console.error(`Missing dependencies after ${this.libraryTimeout} ms: ${this.missing.join(', ')}`);
+    }
+
+    this.definitions.forEach((_, key) => this.mount(key));
+    this.setupDetail();
+    this.setupVisibility();
+  }
+
+  /**
+   * Resolves with the names still undefined once all are defined or the
+   * timeout passes, checking every `interval` ms
+   *
+   * @returns {Promise<string[]>}
+   */
+  static waitForGlobals(names, { interval = 100, timeout = 10000 } = {}) {
+    const missing = () => names.filter(name => typeof window[name] === 'undefined');
+    const started = Date.now();
+
+    return new Promise(resolve => {
+      const check = () => {
+        const pending = missing();
+        if (pending.length === 0 || Date.now() - started >= timeout) {
+          resolve(pending);
+          return;
+        }
+        setTimeout(check, interval);
+      };
+      if (missing().length > 0) console.log('Waiting for libraries to load...');
+      check();
+    });
+  }
+
+  /**
+   * Readable names for library globals, for degraded-mode notices
+   */
+  static get LIBRARY_NAMES() {
+    return { THREE: 'Three.js', d3: 'D3' };
+  }
+
+  /**
+   * Why a registered visualisation can't run here (missing globals, then
+   * its unsupported hook), or null if it can
+   */
+  unavailable(key) {
+    const definition = this.definitions.get(key);
+    if (!definition) return 'not registered';
+
+    const missing = definition.requires.filter(name => typeof window[name] === 'undefined');
+    if (missing.length > 0) {
+      return `${missing.map(name => PortfolioApp.LIBRARY_NAMES[name] || name).join(' and ')} did not load`;
+    }
+    return definition.unsupported ? definition.unsupported() : null;
+  }
+
+  /**
+   * Whether a definition's required globals are all loaded and the browser
+   * supports it
+   */
+  canRun(key) {
+    return this.unavailable(key) === null;
+  }
+
+  /**
+   * Builds a registered visualisation into its container (no-op if it is
+   * already mounted or has no mount hook). Falls back to degrade() when it
+   * can't run or its mount / init hook fails.
+   *
+   * @returns {Object|null} the instance
+   */
+  mount(key) {
+    if (this.mounted.has(key)) return this.mounted.get(key).instance;
+
+    const definition = this.definitions.get(key);
+    if (!definition || !definition.mount) return null;
+    const reason = this.unavailable(key);
+    if (reason) {
+      this.degrade(key, reason);
+      return null;
+    }
+
+    const containerId = definition.container || this.containerIdFor(key);
+    if (!containerId) {
+      console.warn(`No container for "${key}"`);
+      return null;
+    }
+
+    try {
+      const instance = definition.mount(containerId, this);
+      const ready = Promise.resolve(definition.init ? definition.init(instance) : undefined)
+        .catch(error => {
+          console.error(`Error initializing ${key}:`, error);
+          if (definition.fallback) {
+            this.unmount(key);
+            this.degrade(key, error.message);
+          }
+        });
+      this.mounted.set(key, { instance, ready });
+      console.log(`✓ ${key} mounted`);
+      return instance;
+    } catch (error) {
+      console.error(`Error mounting ${key}:`, error);
+      this.degrade(key, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Degraded mode: the definition's fallback hook, or a notice in its
+   * container, with the reason it couldn't run
+   *
+   * @returns {Object|null} the stand-in
+   */
+  degrade(key, reason) {
+    if (this.fallbacks.has(key)) return this.fallbacks.get(key);
+
+    const definition = this.definitions.get(key);
+    const containerId = definition.container || this.containerIdFor(key);
+    if (!containerId) return null;
+
+    console.warn(`"${key}" is running in degraded mode: ${reason}`);
+    try {
+      const fallback = definition.fallback
+        ? definition.fallback(containerId, this, reason)
+        : PortfolioApp.notice(containerId, `Chart unavailable: ${reason}.`);
+      this.fallbacks.set(key, fallback);
+      return fallback;
+    } catch (error) {
+      console.error(`Error showing the fallback for ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Replaces a container's contents with a line of text
+   */
+  static notice(containerId, text) {
+    const container = document.getElementById(containerId);
+    if (!container || container.tagName === 'CANVAS') return null;
+
+    const note = document.createElement('p');
+    note.className = 'viz-empty';
+    note.textContent = text;
+    container.replaceChildren(note);
+    return { dispose: () => note.remove() };
+  }
+
+  /**
+   * Id of the card's .viz-container for a data-project key
+   */
+  containerIdFor(key) {
+    const container = document.querySelector(`.project[data-project="${key}"] .viz-container`);
+    return container ? container.id : null;
+  }
+
+  /**
+   * Re-lays out one mounted visualisation, or all of them
+   */
+  update(key) {
+    if (key === undefined) {
+      this.mounted.forEach((_, k) => this.update(k));
+      return;
+    }
+    const entry = this.mounted.get(key);
+    if (!entry) return;
+
+    const definition = this.definitions.get(key);
+    try {
+      if (definition.update) {
+        definition.update(entry.instance, this);
+      } else if (entry.instance && entry.instance.relayout) {
+        entry.instance.relayout();
+      }
+    } catch (error) {
+      console.error(`Error updating ${key}:`, error);
+    }
+  }
+
+  unmount(key) {
+    const entry = this.mounted.get(key);
+    if (!entry) return;
+    this.mounted.delete(key);
+
+    const definition = this.definitions.get(key);
+    try {
+      if (definition && definition.unmount) {
+        definition.unmount(entry.instance);
+      } else if (entry.instance && entry.instance.dispose) {
+        entry.instance.dispose();
+      }
+    } catch (error) {
+      console.error(`Error unmounting ${key}:`, error);
+    }
+  }
+
+  /**
+   * The mounted instance for a key, or null
+   */
+  get(key) {
+    const entry = this.mounted.get(key);
+    return entry ? entry.instance : null;
+  }
+
+  /**
+   * Resolves once the key's init hook has finished (immediately if it has
+   * none or is not mounted)
+   */
+  ready(key) {
+    const entry = this.mounted.get(key);
+    return entry ? entry.ready : Promise.resolve();
+  }
+
+  /**
+   * Mounted instances by key, for the console
+   */
+  get instances() {
+    return Object.fromEntries([...this.mounted].map(([key, { instance }]) => [key, instance]));
+  }
+
+  /**
+   * Expanded views for every registration with a detail or mount hook
+   */
+  setupDetail() {
+    if (typeof ProjectDetail === 'undefined') return;
+
+    const factories = {};
+    this.definitions.forEach((definition, key) => {
+      const build = definition.detail || definition.mount;
+      const extra = (definition.detailRequires || []).every(name => typeof window[name] !== 'undefined');
+      if (build && extra && this.canRun(key)) factories[key] = (id) => build(id, this);
+    });
+
+    try {
+      this.detail = new ProjectDetail(factories);
+      this.detail.init();
+    } catch (error) {
+      console.error('Error initializing project detail view:', error);
+    }
+  }
+
+  /**
+   * Pauses anything with a render loop while the tab is hidden
+   */
+  setupVisibility() {
+    this.listen('visibility', document, 'visibilitychange', () => {
+      const reason = 'hidden';
+      this.mounted.forEach(({ instance }) => {
+        if (!instance || !instance.pause) return;
+        if (document.hidden) {
+          instance.pause(reason);
+        } else {
+          instance.resume(reason);
+        }
+      });
+    });
+  }
+
+  /**
+   * addEventListener under a name. Listening again under the same name
+   * removes the previous handler first.
+   *
+   * @returns {function} removes the listener
+   */
+  listen(name, target, type, handler, options) {
+    this.unlisten(name);
+    target.addEventListener(type, handler, options);
+    const remove = () => target.removeEventListener(type, handler, options);
+    this.listeners.set(name, remove);
+    return remove;
+  }
+
+  unlisten(name) {
+    const remove = this.listeners.get(name);
+    if (!remove) return;
+    remove();
+    this.listeners.delete(name);
+  }
+
+  dispose() {
+    if (this.detail) this.detail.dispose();
+    this.detail = null;
+    [...this.mounted.keys()].forEach(key => this.unmount(key));
+    this.fallbacks.forEach(fallback => {
+      if (fallback && fallback.dispose) fallback.dispose();
+    });
+    this.fallbacks.clear();
+    [...this.listeners.keys()].forEach(name => this.unlisten(name));
+    this.started = false;
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Project Detail View
+ *
+ * Full-screen modal with a large version of a project card's visualisation.
+ * Each card with a factory gets an "Expand" button; the open project is
+ * mirrored in the URL hash (#kalman, #markov, #health-surface) so the view
+ * can be shared and the browser's back button closes it. Escape or the
+ * close button also closes it, and focus returns to the card. Hash changes
+ * keep the query string, where UrlState keeps the rest of the view state;
+ * a "projectdetailopen" event lets it restore the new chart's state.
+ */
+
+class ProjectDetail {
+  /**
+   * @param {Object<string, function(string): BaseViz>} factories - builds the
+   *   visualisation for a data-project key into the given container id
+   * @param {string} modalId
+   */
+  constructor(factories, modalId = 'project-detail') {
+    this.factories = factories;
+    this.modal = document.getElementById(modalId);
+    this.body = this.modal && this.modal.querySelector('.project-detail-body');
+    this.title = this.modal && this.modal.querySelector('.project-detail-title');
+    this.project = null; // open data-project key
+    this.viz = null;
+    this.returnFocus = null;
+    this.pushedHash = false; // whether open() added the history entry
+    this.listeners = [];
+  }
+
+  init() {
+    if (!this.modal || !this.body) return;
+
+    this.addExpandButtons();
+
+    const onClick = (e) => {
+      const expand = e.target.closest('[data-expand]');
+      if (expand) {
+        e.preventDefault();
+        this.open(expand.dataset.expand);
+      } else if (e.target.closest('[data-action="close-detail"]') || e.target === this.modal) {
+        this.close();
+      }
+    };
+    const onKeydown = (e) => {
+      if (!this.project) return;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e);
+      }
+    };
+    const onHashChange = () => this.syncFromHash();
+
+    document.addEventListener('click', onClick);
+    document.addEventListener('keydown', onKeydown);
+    window.addEventListener('hashchange', onHashChange);
+    this.listeners.push(() => {
+      document.removeEventListener('click', onClick);
+      document.removeEventListener('keydown', onKeydown);
+      window.removeEventListener('hashchange', onHashChange);
+    });
+
+    // Deep link, e.g. index.html#kalman
+    this.syncFromHash();
+  }
+
+  /**
+   * Adds an "Expand" button to every card that has a factory
+   */
+  addExpandButtons() {
+    Object.keys(this.factories).forEach(project => {
+      const card = document.querySelector(`.project[data-project="${project}"]`);
+      if (!card || card.querySelector('[data-expand]')) return;
+
+      const name = card.querySelector('h2').textContent.trim();
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'project-expand';
+      button.dataset.expand = project;
+      button.setAttribute('aria-label', `Expand visualisation: ${name}`);
+      button.textContent = 'Expand ⤢';
+      card.appendChild(button);
+    });
+  }
+
+  /**
+   * Opens (or closes) whatever the hash names
+   */
+  syncFromHash() {
+    const project = decodeURIComponent(window.location.hash.slice(1));
+    if (this.factories[project]) {
+      if (project !== this.project) this.open(project, { updateHash: false });
+    } else if (this.project) {
+      this.close({ updateHash: false });
+    }
+  }
+
+  open(project, { updateHash = true } = {}) {
+    const factory = this.factories[project];
+    if (!factory) return;
+    if (this.project) this.teardown();
+
+    const card = document.querySelector(`.project[data-project="${project}"]`);
+    const heading = card && card.querySelector('h2');
+    this.title.textContent = heading ? heading.textContent.trim() : project;
+
+    this.project = project;
+    this.returnFocus = document.activeElement;
+    this.modal.hidden = false;
+    document.body.classList.add('has-project-detail');
+
+    // Build after un-hiding, so the chart measures the full-size container
+    try {
+      this.viz = factory(this.body.id);
+    } catch (error) {
+      console.error(`Error opening ${project} detail view:`, error);
+    }
+    this.modal.dispatchEvent(new CustomEvent('projectdetailopen', {
+      bubbles: true,
+      detail: { project, viz: this.viz }
+    }));
+
+    if (updateHash && window.location.hash !== `#${project}`) {
+      history.pushState(null, '', `#${project}`);
+      this.pushedHash = true;
+    }
+
+    const close = this.modal.querySelector('[data-action="close-detail"]');
+    if (close) close.focus();
+  }
+
+  close({ updateHash = true } = {}) {
+    if (!this.project) return;
+    this.teardown();
+
+    this.modal.hidden = true;
+    document.body.classList.remove('has-project-detail');
+
+    // Step back over our own history entry; strip a hash we arrived with
+    if (updateHash && this.pushedHash) {
+      history.back();
+    } else if (updateHash && window.location.hash) {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+    this.pushedHash = false;
+    if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+    this.returnFocus = null;
+  }
+
+  teardown() {
+    if (this.viz && this.viz.dispose) this.viz.dispose();
+    this.viz = null;
+    this.project = null;
+    this.body.innerHTML = '';
+  }
+
+  /**
+   * Keeps Tab / Shift+Tab inside the modal while it is open
+   */
+  trapFocus(e) {
+    const focusable = [...this.modal.querySelectorAll(
+      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+    )].filter(el => !el.disabled && el.getClientRects().length > 0);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  dispose() {
+    this.close({ updateHash: false });
+    this.listeners.forEach(off => off());
+    this.listeners = [];
+  }
+}
@@ -2,42 +2,359 @@
  * D3.js Project Visualizations
  *
  * Interactive visualizations that appear on hover over project cards.
- * - KalmanViz: Spread evolution chart with entry/exit signals
- * - MarkovViz: Transition matrix heatmap and state distribution
+ * Each chart sizes itself from its container (ResizeObserver) and lays
+ * itself out again when that changes, so the same chart works in the hover
+ * card, an expanded view and on mobile. BaseViz also carries the shared
+ * interaction layer (tooltips, linked crosshairs, brush-to-zoom; see
+ * viz-interactions.js), the export menu (SVG / PNG snapshots and the
+ * charted data as CSV / JSON; see viz-export.js) and validated data loading
+ * with a skeleton and a synthetic-data / error badge (see data-loader.js).
+ * - KalmanViz: Kalman-filtered hedge ratio, spread z-score with trades, and
+ *              the equity curve and trade log of a pairs backtest, all
+ *              computed in the browser (KalmanFilter, PairsBacktest)
+ * - MarkovViz: regime model estimated from a return series: transition
+ *              matrix with confidence intervals, stationary distribution
+ *              and expected durations, price with a regime timeline and the
+ *              rolling one-step prediction accuracy, and a Monte Carlo fan
+ *              chart of forward returns and regime probabilities
+ *              (MarkovEstimator, MarkovChain, RegimeSimulator)
  */
 
 // ================================
 // Base Visualization Class
 // ================================
 class BaseViz {
-  constructor(containerId) {
+  /**
+   * @param {string} containerId
+   * @param {{width: number, height: number}} baseSize - outer size the
+   *   layout is designed at; the height grows (up to 1.5×) with the width
+   * @param {{top, right, bottom, left}} margin
+   */
+  constructor(containerId, baseSize = { width: 300, height: 200 },
+    margin = { top: 15, right: 15, bottom: 25, left: 40 }) {
     this.containerId = containerId;
     this.container = document.getElementById(containerId);
     this.svg = null;
+    this.root = null; // the <svg> element; this.svg is its margin group
     this.data = null;
-    this.margin = { top: 15, right: 15, bottom: 25, left: 40 };
-    this.width = 300 - this.margin.left - this.margin.right;
-    this.height = 200 - this.margin.top - this.margin.bottom;
+    this.margin = margin;
+    this.baseSize = baseSize;
+    this.scale = 1; // outer width ÷ baseSize.width, clamped to [1, 1.5]
+    this.resizeObserver = null;
+    this.resizeFrame = null;
+    this.tooltipView = null;
+    this.status = null; // { kind: 'error' | 'synthetic', text, detail } badge
+    this.loadError = null; // DataLoadError from the last loadData()
+    this.crosshairs = {}; // key → [{ line, dot, scale, y }], linked by shared axis
+    this.clipCount = 0;
+    this.navigation = null; // () => rows for keyboard navigation (setNavigation)
+    this.cursor = { row: 0, index: 0 }; // keyboard position in those rows
+    this.liveRegion = null;
+    this.dataTableOpen = false;
+    this.measure();
+    this.observeResize();
+  }
+
+  /**
+   * Sets width / height (inside the margins) from the container's content
+   * box. A hidden container (zero width) keeps the previous size.
+   *
+   * @returns {boolean} whether the size changed
+   */
+  measure() {
+    let outerWidth = this.baseSize.width;
+    if (this.container) {
+      const style = getComputedStyle(this.container);
+      const content = this.container.clientWidth -
+        parseFloat(style.paddingLeft || 0) - parseFloat(style.paddingRight || 0);
+      if (content > 0) outerWidth = content;
+      else if (this.width !== undefined) return false;
+    }
+
+    this.scale = Math.min(Math.max(outerWidth / this.baseSize.width, 1), 1.5);
+    const width = Math.floor(outerWidth) - this.margin.left - this.margin.right;
+    const height = Math.round(this.baseSize.height * this.scale) - this.margin.top - this.margin.bottom;
+    const changed = width !== this.width || height !== this.height;
+
+    this.width = width;
+    this.height = height;
+    return changed;
+  }
+
+  /**
+   * Re-measures whenever the container resizes (window resize as a
+   * fallback) and calls relayout() at most once a frame
+   */
+  observeResize() {
+    if (!this.container) return;
+
+    const schedule = () => {
+      if (this.resizeFrame !== null) return;
+      this.resizeFrame = requestAnimationFrame(() => {
+        this.resizeFrame = null;
+        if (this.measure()) this.relayout();
+      });
+    };
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(schedule);
+      this.resizeObserver.observe(this.container);
+    } else {
+      window.addEventListener('resize', schedule);
+      this.resizeObserver = { disconnect: () => window.removeEventListener('resize', schedule) };
+    }
+  }
+
+  /**
+   * Re-layout hook, called after the size changed. The default redraws from
+   * scratch once data has loaded; subclasses that cache a scaffold drop it
+   * first.
+   */
+  relayout() {
+    if (this.data) this.render();
+  }
+
+  /**
+   * Font size scaled with the chart, so labels stay legible in a wider view
+   */
+  font(px) {
+    return `${Math.round(px * this.scale * 10) / 10}px`;
+  }
+
+  /**
+   * Tick count for a horizontal axis, scaled with the available width
+   */
+  ticks(count) {
+    const designWidth = this.baseSize.width - this.margin.left - this.margin.right;
+    return Math.max(2, Math.round(count * Math.min(this.width / designWidth, 2)));
   }
 
-  async loadData(url) {
+  /**
+   * Loads (and with a schema, validates) a data file through DataLoader,
+   * showing a skeleton meanwhile. On failure this.data is null and the
+   * error is kept in this.loadError for the badge.
+   *
+   * @param {string} url
+   * @param {string} [schema] - DataLoader schema name
+   */
+  async loadData(url, schema = null) {
+    this.showLoading();
     try {
-      const response = await fetch(url);
-      this.data = await response.json();
+      this.data = await DataLoader.load(url, { schema });
+      this.loadError = null;
       return this.data;
     } catch (error) {
       console.error(`Error loading data from ${url}:`, error);
+      this.data = null;
+      this.loadError = error;
       return null;
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  // ---------- Loading / status ----------
+
+  /**
+   * Placeholder bars while data loads
+   */
+  showLoading() {
+    if (!this.container || this.container.querySelector('.viz-skeleton')) return;
+    const skeleton = document.createElement('div');
+    skeleton.className = 'viz-skeleton';
+    skeleton.setAttribute('aria-hidden', 'true');
+    for (let i = 0; i < 3; i++) {
+      skeleton.appendChild(document.createElement('div'));
     }
+    this.container.setAttribute('aria-busy', 'true');
+    this.container.appendChild(skeleton);
   }
 
+  hideLoading() {
+    if (!this.container) return;
+    this.container.removeAttribute('aria-busy');
+    const skeleton = this.container.querySelector('.viz-skeleton');
+    if (skeleton) skeleton.remove();
+  }
+
+  /**
+   * Badge at the top of the chart, kept across re-renders; null removes it
+   *
+   * @param {string|null} kind - 'error' | 'synthetic'
+   * @param {string} text
+   * @param {string} detail - tooltip, e.g. the full load error
+   */
+  setStatus(kind, text = '', detail = '') {
+    this.status = kind ? { kind, text, detail } : null;
+    this.renderStatus();
+  }
+
+  /**
+   * "Synthetic data" badge for a chart drawing its seeded demo series,
+   * saying why when the data file failed to load or validate
+   */
+  markSynthetic(label = 'Synthetic data') {
+    const error = this.loadError;
+    if (!error) {
+      this.setStatus('synthetic', label);
+      return;
+    }
+    const why = error.reason === 'schema' ? 'data failed validation' : 'data failed to load';
+    this.setStatus('error', `${label} \u00B7 ${why}`, error.message);
+  }
+
+  renderStatus() {
+    if (!this.container) return;
+    let badge = this.container.querySelector(':scope > .viz-badge');
+    if (!this.status) {
+      if (badge) badge.remove();
+      return;
+    }
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.setAttribute('role', 'status');
+      this.container.insertBefore(badge, this.container.firstChild);
+    }
+    badge.className = `viz-badge viz-badge-${this.status.kind}`;
+    badge.textContent = this.status.text;
+    badge.title = this.status.detail;
+  }
+
+  /**
+   * Appends a viewBox-scaled <svg> that fills the container's width, with a
+   * margin group in this.svg
+   */
   createSVG() {
-    this.svg = d3.select(`#${this.containerId}`)
+    const outerWidth = this.width + this.margin.left + this.margin.right;
+    const outerHeight = this.height + this.margin.top + this.margin.bottom;
+
+    this.root = d3.select(`#${this.containerId}`)
       .append('svg')
-      .attr('width', this.width + this.margin.left + this.margin.right)
-      .attr('height', this.height + this.margin.top + this.margin.bottom)
-      .append('g')
+      .attr('viewBox', `0 0 ${outerWidth} ${outerHeight}`)
+      .attr('preserveAspectRatio', 'xMidYMin meet')
+      .attr('role', 'img')
+      .attr('aria-labelledby', `${this.containerId}-title`)
+      .attr('aria-describedby', `${this.containerId}-desc`)
+      .style('width', '100%')
+      .style('height', 'auto')
+      .style('display', 'block');
+    this.root.append('title').attr('id', `${this.containerId}-title`);
+    this.root.append('desc').attr('id', `${this.containerId}-desc`);
+    this.svg = this.root.append('g')
       .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+    this.resetInteractions();
+    this.renderStatus();
+    this.bindNavigation();
+  }
+
+  // ---------- Interaction layer ----------
+
+  /**
+   * Shared tooltip for this chart (VizTooltip)
+   */
+  get tooltip() {
+    if (!this.tooltipView) this.tooltipView = new VizTooltip(this.container);
+    return this.tooltipView;
+  }
+
+  /**
+   * Shows html(d) in the tooltip while the pointer is over an element
+   */
+  attachTooltip(selection, html) {
+    selection
+      .on('pointerenter.tooltip pointermove.tooltip', (event, d) => this.tooltip.show(html(d), event))
+      .on('pointerleave.tooltip', () => this.tooltip.hide());
+    return selection;
+  }
+
+  /**
+   * Crosshair, readout and (with onZoom) brush-to-zoom for a panel on a
+   * shared axis. Every panel registered under the same key draws its
+   * crosshair at the hovered value, so e.g. spread and equity stay linked.
+   *
+   * @param {d3.Selection} group - the panel's <g>
+   * @param {Object} options
+   * @param {string} options.key - shared axis name, e.g. 'time'
+   * @param {number} options.height
+   * @param {function(): d3.ScaleLinear} options.scale - current x scale
+   * @param {function(number): number} [options.y] - pixel y of the panel's
+   *   series at x value t, for the crosshair dot
+   * @param {function(number): string} options.readout - tooltip html at t
+   * @param {function(Array|null)} [options.onZoom] - x domain, or null to reset
+   * @param {function(number): number} [options.snap] - rounds the hovered
+   *   value, e.g. to a whole day
+   */
+  addTimeInteractions(group, { key = 'time', height, scale, y, readout, onZoom, snap = Math.round }) {
+    const { line, dot } = VizInteractions.crosshair(group, height);
+    (this.crosshairs[key] = this.crosshairs[key] || []).push({ line, dot, scale, y });
+
+    VizInteractions.timeOverlay(group, {
+      width: this.width,
+      height,
+      onMove: (px, event) => {
+        const t = snap(scale().invert(px));
+        this.highlight(key, t);
+        this.tooltip.show(readout(t), event);
+      },
+      onLeave: () => this.clearHighlight(key),
+      onZoom: onZoom && ((range) => {
+        this.clearHighlight(key);
+        onZoom(range ? range.map(px => scale().invert(px)) : null);
+      })
+    });
+  }
+
+  /**
+   * Draws every crosshair on `key` at value t
+   */
+  highlight(key, t) {
+    (this.crosshairs[key] || []).forEach(({ line, dot, scale, y }) => {
+      const [lo, hi] = scale().domain();
+      const inside = t >= Math.min(lo, hi) && t <= Math.max(lo, hi);
+      const x = scale()(t);
+
+      line.attr('x1', x).attr('x2', x).attr('visibility', inside ? 'visible' : 'hidden');
+      const cy = y && inside ? y(t) : null;
+      dot.attr('cx', x)
+        .attr('cy', cy)
+        .attr('visibility', cy !== null && Number.isFinite(cy) ? 'visible' : 'hidden');
+    });
+  }
+
+  clearHighlight(key) {
+    (this.crosshairs[key] || []).forEach(({ line, dot }) => {
+      line.attr('visibility', 'hidden');
+      dot.attr('visibility', 'hidden');
+    });
+    this.tooltip.hide();
+  }
+
+  /**
+   * Forgets crosshairs and clip paths drawn into an SVG that is being rebuilt
+   */
+  resetInteractions() {
+    this.crosshairs = {};
+    if (this.root) this.root.selectAll('defs clipPath').remove();
+    if (this.tooltipView) this.tooltipView.hide();
+  }
+
+  /**
+   * Clip path for a panel, so zoomed series don't spill over the axes;
+   * pad leaves room above and below for markers
+   *
+   * @returns {string} url(#id) for a clip-path attribute
+   */
+  clipRect(width, height, pad = 0) {
+    const id = `${this.containerId}-clip-${this.clipCount++}`;
+    let defs = this.root.select('defs');
+    if (defs.empty()) defs = this.root.insert('defs', ':first-child');
+    defs.append('clipPath')
+      .attr('id', id)
+      .append('rect')
+      .attr('y', -pad)
+      .attr('width', width)
+      .attr('height', height + pad * 2);
+    return `url(#${id})`;
   }
 
   clear() {
@@ -45,6 +362,302 @@ class BaseViz {
       this.container.innerHTML = '';
     }
   }
+
+  // ---------- Accessibility ----------
+
+  /**
+   * Tooltip html as one line of plain text, for announcements
+   */
+  static plainText(html) {
+    return html
+      .replace(/<br\s*\/?>/g, ', ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Names the chart and sets its generated text summary (the <svg>'s
+   * <title> / <desc>), and refreshes the data tables if they are open
+   */
+  describe(title, summary) {
+    if (!this.root) return;
+    const hint = this.navigation ? ' Focus the chart and use the arrow keys to step through the data.' : '';
+    this.root.select('title').text(title);
+    this.root.select('desc').text(summary + hint);
+    this.refreshDataTable();
+  }
+
+  /**
+   * Arrow-key navigation on the focusable <svg>. rows() returns the series
+   * to step through, each { name, size, label(i), onMove(i), anchor(i) }:
+   * Left / Right (Home / End, PageUp / PageDown by 10) move along a row,
+   * Up / Down switch rows at the same relative position. label(i) is
+   * announced to screen readers and shown in the tooltip at anchor(i).
+   */
+  setNavigation(rows) {
+    this.navigation = rows;
+    this.bindNavigation();
+  }
+
+  bindNavigation() {
+    if (!this.root || !this.navigation) return;
+    this.root
+      .attr('tabindex', 0)
+      .on('keydown.navigate', (e) => this.navigate(e))
+      .on('blur.navigate', () => this.leaveNavigation());
+  }
+
+  navigate(e) {
+    const rows = this.navigation().filter(row => row.size > 0);
+    if (rows.length === 0) return;
+
+    const clamp = (v, max) => Math.max(0, Math.min(max, v));
+    let row = clamp(this.cursor.row, rows.length - 1);
+    let index = this.cursor.index;
+    const steps = { ArrowLeft: -1, ArrowRight: 1, PageUp: -10, PageDown: 10 };
+
+    if (e.key in steps) {
+      index += steps[e.key];
+    } else if (e.key === 'Home') {
+      index = 0;
+    } else if (e.key === 'End') {
+      index = rows[row].size - 1;
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      const next = clamp(row + (e.key === 'ArrowUp' ? -1 : 1), rows.length - 1);
+      const position = rows[row].size > 1 ? clamp(index, rows[row].size - 1) / (rows[row].size - 1) : 0;
+      index = Math.round(position * (rows[next].size - 1));
+      row = next;
+    } else if (e.key === 'Escape') {
+      this.leaveNavigation();
+      return;
+    } else {
+      return;
+    }
+    e.preventDefault();
+
+    const current = rows[row];
+    const rowChanged = row !== this.cursor.row;
+    index = clamp(index, current.size - 1);
+    this.cursor = { row, index };
+    if (current.onMove) current.onMove(index);
+
+    // onMove may have rebuilt the <svg>; keep focus on the chart
+    if (this.root && document.activeElement !== this.root.node()) this.root.node().focus();
+
+    const text = current.label(index);
+    this.announce(rowChanged && rows.length > 1 ? `${current.name}: ${text}` : text);
+    const anchor = current.anchor && current.anchor(index);
+    if (anchor) this.tooltip.showAt(`<strong>${current.name}</strong><br>${text}`, anchor);
+  }
+
+  leaveNavigation() {
+    Object.keys(this.crosshairs).forEach(key => this.clearHighlight(key));
+    if (this.tooltipView) this.tooltipView.hide();
+  }
+
+  /**
+   * Reads text out through a polite live region
+   */
+  announce(text) {
+    if (!this.container) return;
+    if (!this.liveRegion || !this.liveRegion.isConnected) {
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = 'visually-hidden';
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      this.container.appendChild(this.liveRegion);
+    }
+    this.liveRegion.textContent = text;
+  }
+
+  /**
+   * Data shown as HTML tables by the "Show data table" toggle. Subclasses
+   * return [{ caption, columns, rows }]; each row's first cell is its
+   * header.
+   */
+  tableData() {
+    return [];
+  }
+
+  /**
+   * "Show data table" toggle and the (initially hidden) tables panel
+   */
+  addDataTable(parent = this.container) {
+    const id = `${this.containerId}-data`;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'viz-table-toggle';
+    button.setAttribute('aria-controls', id);
+
+    const panel = document.createElement('div');
+    panel.className = 'viz-data-tables';
+    panel.id = id;
+
+    const sync = () => {
+      panel.hidden = !this.dataTableOpen;
+      button.setAttribute('aria-expanded', String(this.dataTableOpen));
+      button.textContent = this.dataTableOpen ? 'Hide data table' : 'Show data table';
+      this.refreshDataTable();
+    };
+    button.addEventListener('click', () => {
+      this.dataTableOpen = !this.dataTableOpen;
+      sync();
+    });
+
+    parent.appendChild(button);
+    parent.appendChild(panel);
+    this.dataTablePanel = panel;
+    sync();
+  }
+
+  refreshDataTable() {
+    const panel = this.dataTablePanel;
+    if (!panel || panel.hidden || !panel.isConnected) return;
+
+    const tables = d3.select(panel)
+      .selectAll('table')
+      .data(this.tableData())
+      .join('table')
+      .attr('class', 'viz-data-table');
+    tables.selectAll('*').remove();
+    tables.append('caption').text(d => d.caption);
+    tables.append('thead')
+      .append('tr')
+      .selectAll('th')
+      .data(d => d.columns)
+      .join('th')
+      .attr('scope', 'col')
+      .text(d => d);
+    const rows = tables.append('tbody')
+      .selectAll('tr')
+      .data(d => d.rows)
+      .join('tr');
+    rows.append('th')
+      .attr('scope', 'row')
+      .text(d => d[0]);
+    rows.selectAll('td')
+      .data(d => d.slice(1))
+      .join('td')
+      .text(d => d);
+  }
+
+  // ---------- Export ----------
+
+  /**
+   * Data files behind the chart, for the export menu. Subclasses return
+   * [{ label, filename, type, content: () => string }].
+   */
+  exportData() {
+    return [];
+  }
+
+  /**
+   * Export dropdown: SVG, PNG 2× / 4× and this.exportData() downloads.
+   * File names start with this.containerId minus its "-viz" suffix.
+   */
+  addExportMenu(parent = this.container) {
+    const name = this.containerId.replace(/-viz$/, '');
+    const png = (scale) => async () => {
+      VizExport.download(await VizExport.svgToPNG(this.root.node(), scale), `${name}@${scale}x.png`);
+    };
+
+    return VizExport.menu(parent, [
+      {
+        label: 'SVG',
+        run: () => VizExport.download(VizExport.serializeSVG(this.root.node()).markup, `${name}.svg`, 'image/svg+xml')
+      },
+      { label: 'PNG 2×', run: png(2) },
+      { label: 'PNG 4×', run: png(4) },
+      ...this.exportData().map(({ label, filename, type, content }) => ({
+        label,
+        run: () => VizExport.download(content(), filename, type)
+      }))
+    ]);
+  }
+
+  // ---------- View state ----------
+
+  /**
+   * Remembers the loaded config, so getState() only records what the user
+   * moved
+   */
+  snapshotConfig() {
+    this.defaults = JSON.parse(JSON.stringify(this.config));
+  }
+
+  /**
+   * Shareable view state for UrlState: the zoomed time window (from / to)
+   * and every control moved off its loaded value, as { name: value }
+   */
+  getState() {
+    const state = {};
+    if (this.zoom) [state.from, state.to] = this.zoom.map(Math.round);
+    (this.controls || []).forEach(({ group, key }) => {
+      const value = this.config[group][key];
+      if (this.defaults && value !== this.defaults[group][key]) state[key] = value;
+    });
+    return state;
+  }
+
+  /**
+   * Sets this.zoom and the controls from getState() output; anything left
+   * out goes back to its default. Returns the config groups that changed so
+   * subclasses know what to recompute.
+   *
+   * @returns {Set<string>}
+   */
+  applyState(state) {
+    const from = parseFloat(state.from);
+    const to = parseFloat(state.to);
+    this.zoom = Number.isFinite(from) && Number.isFinite(to) && to > from ? [from, to] : null;
+
+    const changed = new Set();
+    (this.controls || []).forEach(({ group, key, min, max, log }) => {
+      const fallback = this.defaults ? this.defaults[group][key] : this.config[group][key];
+      const parsed = parseFloat(state[key]);
+      const [lo, hi] = log ? [Math.pow(10, min), Math.pow(10, max)] : [min, max];
+      const value = Number.isFinite(parsed) ? Math.max(lo, Math.min(hi, parsed)) : fallback;
+      if (value !== this.config[group][key]) {
+        this.config[group][key] = value;
+        changed.add(group);
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Moves a controls form's sliders to the current config values
+   */
+  syncControls(form) {
+    if (!form) return;
+    form.selectAll('input[type="range"]')
+      .property('value', d => {
+        const value = this.config[d.group][d.key];
+        return d.log ? Math.log10(value) : value;
+      });
+  }
+
+  /**
+   * Tells UrlState that getState() changed, through a bubbling
+   * "viewstatechange" event. push: false rewrites the current history entry
+   * instead of adding one.
+   */
+  stateChanged(push = true) {
+    if (!this.container) return;
+    this.container.dispatchEvent(new CustomEvent('viewstatechange', { bubbles: true, detail: { push } }));
+  }
+
+  /**
+   * Stops observing the container and empties it
+   */
+  dispose() {
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    if (this.resizeFrame !== null) cancelAnimationFrame(this.resizeFrame);
+    this.resizeObserver = null;
+    if (this.tooltipView) this.tooltipView.dispose();
+    this.clear();
+    this.svg = null;
+    this.root = null;
+  }
 }
 
 // ================================
@@ -52,135 +665,644 @@ class BaseViz {
 // ================================
 class KalmanViz extends BaseViz {
   constructor(containerId) {
-    super(containerId);
-    this.init();
+    // Taller than the other cards: β strip, spread z-score and equity curve
+    super(containerId, { width: 300, height: 320 });
+    this.prices = null; // { x, y, synthetic }
+    this.steps = null; // KalmanFilter.run() output
+    this.backtest = null; // PairsBacktest.run() output
+    this.chart = null; // persistent D3 selections, built once by setupChart()
+    this.zoom = null; // brushed [t0, t1], null for the whole series
+
+    // Defaults; data/kalman-data.json "filter" / "backtest" override them
+    this.config = {
+      filter: { delta: 1e-5, observationNoise: 1, warmup: 20 },
+      backtest: { entryZ: 1, exitZ: 0, stopZ: 3, notional: 10000, costBps: 5, initialCapital: 100000 },
+      transitionMs: 300
+    };
+
+    // Live parameter controls. log: the slider moves log10 of the value.
+    this.controls = [
+      { group: 'backtest', key: 'entryZ', label: 'Entry z', min: 0.5, max: 3, step: 0.1 },
+      { group: 'backtest', key: 'exitZ', label: 'Exit z', min: -1, max: 2, step: 0.1 },
+      { group: 'backtest', key: 'stopZ', label: 'Stop z', min: 1.5, max: 6, step: 0.25 },
+      { group: 'backtest', key: 'costBps', label: 'Cost (bp)', min: 0, max: 25, step: 1 },
+      { group: 'filter', key: 'warmup', label: 'Warm-up (days)', min: 5, max: 100, step: 5 },
+      { group: 'filter', key: 'delta', label: 'δ (β drift)', min: -7, max: -2, step: 0.5, log: true },
+      { group: 'filter', key: 'observationNoise', label: 'Vε (obs. noise)', min: -2, max: 1.5, step: 0.25, log: true }
+    ];
+
+    this.setNavigation(() => this.navigationRows());
+    this.ready = this.init();
   }
 
   async init() {
-    await this.loadData('data/kalman-data.json');
+    await this.loadData('data/kalman-data.json', 'kalman');
     if (this.data) {
-      this.render();
+      Object.assign(this.config.filter, this.data.filter);
+      Object.assign(this.config.backtest, this.data.backtest);
     }
+    this.snapshotConfig();
+    this.prices = this.loadPrices();
+    if (this.prices.synthetic) this.markSynthetic('Synthetic demo pair');
+    this.compute();
+    this.render();
+    this.updateHeadline();
+  }
+
+  /**
+   * Price pair from data/kalman-data.json ("prices": { x, y }) when it has
+   * one, otherwise the seeded synthetic pair
+   */
+  loadPrices() {
+    const prices = this.data && this.data.prices;
+    if (prices && prices.x && prices.y && prices.x.length === prices.y.length) {
+      return { x: prices.x, y: prices.y, synthetic: false };
+    }
+
+    const { x, y } = KalmanFilter.simulatePair();
+    return { x, y, synthetic: true };
+  }
+
+  /**
+   * Runs the filter (unless only backtest settings changed), then the
+   * backtest on its spread
+   */
+  compute({ refilter = true } = {}) {
+    if (refilter || !this.steps) {
+      this.steps = KalmanFilter.run(this.prices.x, this.prices.y, this.config.filter);
+    }
+    this.backtest = PairsBacktest.run(this.steps, this.prices, this.config.backtest);
+  }
+
+  /**
+   * Applies one control's value and re-renders in place
+   */
+  setParameter(group, key, value) {
+    this.config[group][key] = value;
+    this.compute({ refilter: group === 'filter' });
+    this.update();
+    this.updateHeadline();
+    this.stateChanged();
+  }
+
+  /**
+   * Restores getState() output (from a shared URL or back / forward)
+   */
+  setState(state) {
+    if (!this.backtest) return; // still loading
+    const changed = this.applyState(state);
+    if (changed.size > 0) this.compute({ refilter: changed.has('filter') });
+    this.syncControls(this.chart.controls);
+    this.update();
+    this.updateHeadline();
+  }
+
+  /**
+   * Fills the win rate quoted in the project description from the backtest
+   */
+  updateHeadline() {
+    const { winRate, trades } = this.backtest.stats;
+    document.querySelectorAll('[data-stat="kalman-win-rate"]').forEach(el => {
+      el.textContent = `~${Math.round(winRate * 100)}%`;
+      el.title = `${trades} trades in the in-browser backtest` +
+        (this.prices.synthetic ? ' of the synthetic demo pair' : '');
+    });
   }
 
   render() {
+    if (!this.chart) this.setupChart();
+    this.update(false);
+  }
+
+  /**
+   * The scaffold is sized at build time, so rebuild it at the new size
+   */
+  relayout() {
+    if (!this.backtest) return; // still loading
+    this.chart = null;
+    this.render();
+  }
+
+  /**
+   * Builds the static scaffold once: groups, axes, labels, controls, stats
+   * and table. update() then only joins data into it.
+   */
+  setupChart() {
     this.clear();
     this.createSVG();
 
-    const { spread, signals } = this.data;
+    // β strip on top, z-score in the middle, equity curve below
+    // Band heights are designed at the base size and grow with the chart
+    const k = this.scale;
+    const layout = { betaHeight: 30 * k, zTop: 42 * k, zHeight: 120 * k };
+    layout.equityTop = layout.zTop + layout.zHeight + 26 * k;
+    layout.equityHeight = this.height - layout.equityTop;
 
-    // Create scales
-    const xScale = d3.scaleLinear()
-      .domain([0, d3.max(spread, d => d.time)])
-      .range([0, this.width]);
+    const label = (g, text, attrs) => {
+      const el = g.append('text').attr('font-size', this.font(10)).attr('fill', '#aaa').text(text);
+      Object.entries(attrs).forEach(([k, v]) => el.attr(k, v));
+      return el;
+    };
 
-    const yScale = d3.scaleLinear()
-      .domain([d3.min(spread, d => d.value) - 0.1, d3.max(spread, d => d.value) + 0.1])
-      .range([this.height, 0]);
-
-    // Create line generator
-    const line = d3.line()
-      .x(d => xScale(d.time))
-      .y(d => yScale(d.value))
-      .curve(d3.curveMonotoneX);
+    // β
+    const beta = this.svg.append('g');
+    const betaLine = beta.append('path')
+      .attr('clip-path', this.clipRect(this.width, layout.betaHeight))
+      .attr('fill', 'none')
+      .attr('stroke', '#ffcc00')
+      .attr('stroke-width', 1.5);
+    const betaAxis = beta.append('g');
+    const betaLabel = beta.append('text')
+      .attr('x', this.width)
+      .attr('y', 8)
+      .attr('text-anchor', 'end')
+      .attr('fill', '#ffcc00')
+      .attr('font-size', this.font(9));
 
-    // Add zero line
-    this.svg.append('line')
+    // z-score with shaded entry zones beyond ±entryZ
+    const z = this.svg.append('g').attr('transform', `translate(0, ${layout.zTop})`);
+    const shortZone = z.append('rect').attr('x', 0).attr('width', this.width)
+      .attr('fill', '#ff4c4c').attr('opacity', 0.1);
+    const longZone = z.append('rect').attr('x', 0).attr('width', this.width)
+      .attr('fill', '#4cff4c').attr('opacity', 0.1);
+    const zeroLine = z.append('line')
       .attr('x1', 0)
       .attr('x2', this.width)
-      .attr('y1', yScale(0))
-      .attr('y2', yScale(0))
       .attr('stroke', '#555')
       .attr('stroke-width', 1)
       .attr('stroke-dasharray', '3,3');
+    const zLine = z.append('path')
+      .attr('clip-path', this.clipRect(this.width, layout.zHeight))
+      .attr('fill', 'none')
+      .attr('stroke', '#ff4c4c')
+      .attr('stroke-width', 1.5);
+    // Glyphs mean nothing read aloud; trades are in the summary and table
+    const markers = z.append('g')
+      .attr('aria-hidden', 'true')
+      .attr('clip-path', this.clipRect(this.width, layout.zHeight, 14));
+    const zAxisX = z.append('g').attr('transform', `translate(0,${layout.zHeight})`);
+    const zAxisY = z.append('g');
+    label(z, 'Spread z', {
+      transform: 'rotate(-90)', x: -layout.zHeight / 2, y: -28, 'text-anchor': 'middle'
+    });
 
-    // Add shaded regions for entry zones
-    this.svg.append('rect')
+    // Equity
+    const equity = this.svg.append('g').attr('transform', `translate(0, ${layout.equityTop})`);
+    const equityLine = equity.append('path')
+      .attr('clip-path', this.clipRect(this.width, layout.equityHeight))
+      .attr('fill', 'none')
+      .attr('stroke', '#4cc9f0')
+      .attr('stroke-width', 1.5);
+    const equityAxisY = equity.append('g');
+    const equityAxisX = equity.append('g').attr('transform', `translate(0,${layout.equityHeight})`);
+    equity.append('text')
       .attr('x', 0)
-      .attr('y', 0)
-      .attr('width', this.width)
-      .attr('height', yScale(0.5) - yScale(0.8))
-      .attr('transform', `translate(0, ${yScale(0.8)})`)
+      .attr('y', -6)
+      .attr('fill', '#4cc9f0')
+      .attr('font-size', this.font(9))
+      .text('Equity');
+    label(equity, this.prices.synthetic ? 'Time (days) · synthetic pair' : 'Time (days)', {
+      x: this.width / 2, y: layout.equityHeight + 20, 'text-anchor': 'middle'
+    });
+
+    // Title
+    this.svg.append('text')
+      .attr('x', this.width / 2)
+      .attr('y', -5)
+      .attr('text-anchor', 'middle')
       .attr('fill', '#ff4c4c')
-      .attr('opacity', 0.1);
+      .attr('font-size', this.font(11))
+      .attr('font-weight', 'bold')
+      .text('Kalman Filter Spread Tracking');
 
-    this.svg.append('rect')
-      .attr('x', 0)
-      .attr('y', yScale(-0.5))
-      .attr('width', this.width)
-      .attr('height', yScale(-0.5) - yScale(-0.8))
-      .attr('fill', '#4cff4c')
-      .attr('opacity', 0.1);
-
-    // Draw the spread line
-    this.svg.append('path')
-      .datum(spread)
-      .attr('fill', 'none')
-      .attr('stroke', '#ff4c4c')
-      .attr('stroke-width', 2)
-      .attr('d', line);
+    const container = d3.select(this.container);
+    const stats = container.append('div').attr('class', 'viz-stats');
+    this.addExportMenu();
+    const controls = this.renderControls(container);
+    const table = container.append('table').attr('class', 'viz-table');
+    table.append('caption').attr('class', 'visually-hidden').text('Trade log');
+    table.append('thead')
+      .append('tr')
+      .selectAll('th')
+      .data(['Side', 'Entry', 'Exit', 'Days', 'Exit on', 'P&L'])
+      .join('th')
+      .text(d => d);
 
-    // Add signal markers
-    signals.forEach(signal => {
-      const color = signal.type === 'short' ? '#ff4c4c' :
-                   signal.type === 'long' ? '#4cff4c' : '#ffcc00';
-      const symbol = signal.type === 'short' ? '▼' :
-                    signal.type === 'long' ? '▲' : '×';
+    this.chart = {
+      layout, betaLine, betaAxis, betaLabel, shortZone, longZone, zeroLine, zLine,
+      markers, zAxisX, zAxisY, equityLine, equityAxisY, equityAxisX, stats, controls,
+      rows: table.append('tbody'),
+      scales: null // set by update()
+    };
+    this.addDataTable();
 
-      this.svg.append('text')
-        .attr('x', xScale(signal.time))
-        .attr('y', yScale(signal.value) - 8)
-        .attr('text-anchor', 'middle')
-        .attr('fill', color)
-        .attr('font-size', '14px')
-        .attr('font-weight', 'bold')
-        .text(symbol);
+    // Linked crosshairs on the shared time axis, brush to zoom all three
+    const scale = () => this.chart.scales.x;
+    const onZoom = (domain) => this.setZoom(domain);
+    const readout = (t) => this.readout(t);
+    this.addTimeInteractions(beta, {
+      height: layout.betaHeight, scale, readout, onZoom,
+      y: (t) => this.chart.scales.beta(this.stepAt(t).beta)
+    });
+    this.addTimeInteractions(z, {
+      height: layout.zHeight, scale, readout, onZoom,
+      y: (t) => this.chart.scales.z(this.stepAt(t).zscore)
+    });
+    this.addTimeInteractions(equity, {
+      height: layout.equityHeight, scale, readout, onZoom,
+      y: (t) => this.chart.scales.equity(this.backtest.equity[this.stepAt(t).t].value)
     });
+    markers.raise(); // above the overlay, for their own tooltips
+  }
 
-    // Add axes
-    const xAxis = d3.axisBottom(xScale).ticks(5);
-    const yAxis = d3.axisLeft(yScale).ticks(5);
+  /**
+   * Filter step at day t, clamped to the series
+   */
+  stepAt(t) {
+    return this.steps[Math.max(0, Math.min(this.steps.length - 1, t))];
+  }
 
-    this.svg.append('g')
-      .attr('transform', `translate(0,${this.height})`)
-      .call(xAxis)
-      .attr('color', '#888')
-      .selectAll('text')
-      .attr('fill', '#ccc');
+  /**
+   * Crosshair tooltip: β, z and equity on day t
+   */
+  readout(t) {
+    const step = this.stepAt(t);
+    const equity = this.backtest.equity[step.t];
+    return `<strong>Day ${step.t}</strong><br>` +
+      `β ${step.beta.toFixed(3)} · z ${step.zscore.toFixed(2)}<br>` +
+      `Equity ${d3.format(',.0f')(equity.value)}`;
+  }
+
+  /**
+   * Zooms the time axis to [t0, t1] (null resets) and redraws
+   */
+  setZoom(domain) {
+    this.zoom = domain;
+    this.update();
+    this.stateChanged();
+  }
+
+  /**
+   * Sliders for this.controls; each change re-runs the model and update()
+   */
+  renderControls(container) {
+    const form = container.append('form')
+      .attr('class', 'viz-controls')
+      .on('submit', (e) => e.preventDefault());
+
+    const rows = form.selectAll('label')
+      .data(this.controls)
+      .join('label')
+      .attr('class', 'viz-control');
+
+    rows.append('span').text(d => d.label);
+    rows.append('input')
+      .attr('type', 'range')
+      .attr('min', d => d.min)
+      .attr('max', d => d.max)
+      .attr('step', d => d.step)
+      .property('value', d => {
+        const value = this.config[d.group][d.key];
+        return d.log ? Math.log10(value) : value;
+      })
+      .on('input', (e, d) => {
+        const raw = parseFloat(e.target.value);
+        this.setParameter(d.group, d.key, d.log ? Math.pow(10, raw) : raw);
+      });
+    rows.append('output');
+
+    return form;
+  }
+
+  /**
+   * Joins the current model output into the scaffold, transitioning what
+   * moved
+   */
+  update(animate = true) {
+    const {
+      layout, betaLine, betaAxis, betaLabel, shortZone, longZone, zeroLine, zLine,
+      markers, zAxisX, zAxisY, equityLine, equityAxisY, equityAxisX
+    } = this.chart;
+    const steps = this.steps.filter(d => d.warm);
+    const { entryZ } = this.config.backtest;
+    const { trades, equity } = this.backtest;
+    const duration = animate ? this.config.transitionMs : 0;
+    const t = () => d3.transition().duration(duration);
 
-    this.svg.append('g')
-      .call(yAxis)
+    const styleAxis = (g) => g
       .attr('color', '#888')
       .selectAll('text')
       .attr('fill', '#ccc');
 
-    // Add axis labels
-    this.svg.append('text')
-      .attr('x', this.width / 2)
-      .attr('y', this.height + 20)
-      .attr('text-anchor', 'middle')
-      .attr('fill', '#aaa')
-      .attr('font-size', '10px')
-      .text('Time (days)');
+    // Zoom window, kept inside the (warm) series
+    const [first, last] = d3.extent(steps, d => d.t);
+    const domain = this.zoom
+      ? [Math.max(first, this.zoom[0]), Math.min(last, this.zoom[1])]
+      : [first, last];
+    if (domain[1] - domain[0] < 2) domain.splice(0, 2, first, last);
+    const visible = steps.filter(d => d.t >= domain[0] && d.t <= domain[1]);
 
-    this.svg.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -this.height / 2)
-      .attr('y', -28)
-      .attr('text-anchor', 'middle')
-      .attr('fill', '#aaa')
-      .attr('font-size', '10px')
-      .text('Spread');
+    const xScale = d3.scaleLinear()
+      .domain(domain)
+      .range([0, this.width]);
 
-    // Add title
-    this.svg.append('text')
-      .attr('x', this.width / 2)
-      .attr('y', -5)
-      .attr('text-anchor', 'middle')
-      .attr('fill', '#ff4c4c')
-      .attr('font-size', '11px')
-      .attr('font-weight', 'bold')
-      .text('Kalman Filter Spread Tracking');
+    // β
+    const betaScale = d3.scaleLinear()
+      .domain(d3.extent(visible, d => d.beta))
+      .nice()
+      .range([layout.betaHeight, 0]);
+
+    betaLine.datum(steps).transition(t())
+      .attr('d', d3.line().x(d => xScale(d.t)).y(d => betaScale(d.beta)));
+    betaAxis.transition(t()).call(d3.axisLeft(betaScale).ticks(2)).call(styleAxis);
+    betaLabel.text(`hedge ratio β = ${steps[steps.length - 1].beta.toFixed(3)}`);
+
+    // z-score
+    const zExtent = Math.max(entryZ + 0.5, d3.max(steps, d => Math.abs(d.zscore)));
+    const yScale = d3.scaleLinear()
+      .domain([-zExtent, zExtent])
+      .range([layout.zHeight, 0]);
+
+    shortZone.transition(t())
+      .attr('y', 0)
+      .attr('height', yScale(entryZ));
+    longZone.transition(t())
+      .attr('y', yScale(-entryZ))
+      .attr('height', layout.zHeight - yScale(-entryZ));
+    zeroLine.transition(t())
+      .attr('y1', yScale(0))
+      .attr('y2', yScale(0));
+    zLine.datum(steps).transition(t())
+      .attr('d', d3.line().x(d => xScale(d.t)).y(d => yScale(d.zscore)));
+    zAxisX.transition(t()).call(d3.axisBottom(xScale).ticks(this.ticks(5))).call(styleAxis);
+    zAxisY.transition(t()).call(d3.axisLeft(yScale).ticks(5)).call(styleAxis);
+
+    // Trade markers: entries by side, exits (× exit, ■ stop)
+    const markerData = KalmanViz.tradeMarkers(trades);
+    const color = (d) => d.type === 'short' ? '#ff4c4c' : d.type === 'long' ? '#4cff4c' : '#ffcc00';
+    const symbol = (d) => d.type === 'short' ? '▼' : d.type === 'long' ? '▲' : d.type === 'stop' ? '■' : '×';
+    const markerY = (d) => yScale(d.z) + (d.type === 'long' ? 12 : -4);
+
+    markers.selectAll('text')
+      .data(markerData, d => d.key)
+      .join(
+        enter => enter.append('text')
+          .attr('text-anchor', 'middle')
+          .attr('font-size', this.font(9))
+          .attr('font-weight', 'bold')
+          .attr('x', d => xScale(d.t))
+          .attr('y', markerY)
+          .attr('opacity', 0)
+          .call(sel => sel.transition(t()).attr('opacity', 1)),
+        update => update,
+        exit => exit.transition(t()).attr('opacity', 0).remove()
+      )
+      .attr('fill', color)
+      .text(symbol)
+      .call(sel => this.attachTooltip(sel, ({ trade }) =>
+        `<strong>${trade.side} spread</strong><br>` +
+        `in day ${trade.entryT} (z ${trade.entryZ.toFixed(2)})<br>` +
+        `out day ${trade.exitT} (${trade.reason}, z ${trade.exitZ.toFixed(2)})<br>` +
+        `P&amp;L ${d3.format(',.0f')(trade.pnl)}`))
+      .transition(t())
+      .attr('x', d => xScale(d.t))
+      .attr('y', markerY);
+
+    // Equity
+    const equityScale = d3.scaleLinear()
+      .domain(d3.extent(equity.filter(d => d.t >= domain[0] && d.t <= domain[1]), d => d.value))
+      .nice()
+      .range([layout.equityHeight, 0]);
+
+    equityLine.datum(equity.filter(d => d.t >= first)).transition(t())
+      .attr('d', d3.line().x(d => xScale(d.t)).y(d => equityScale(d.value)));
+    equityAxisY.transition(t())
+      .call(d3.axisLeft(equityScale).ticks(3).tickFormat(d3.format('.3s')))
+      .call(styleAxis);
+    equityAxisX.transition(t()).call(d3.axisBottom(xScale).ticks(this.ticks(5))).call(styleAxis);
+
+    this.chart.scales = { x: xScale, beta: betaScale, z: yScale, equity: equityScale };
+    this.updateControls();
+    this.updateStats();
+    this.updateTradeTable();
+    this.describe('Kalman filter spread tracking and pairs backtest', this.summary());
+  }
+
+  /**
+   * Text version of the chart for its <desc>, e.g. "Spread z-score peaked
+   * at 2.91 on day 45, short signal"
+   */
+  summary() {
+    const steps = this.steps.filter(d => d.warm);
+    const { trades, stats, equity } = this.backtest;
+    const first = steps[0];
+    const last = steps[steps.length - 1];
+    const peak = steps.reduce((a, d) => (Math.abs(d.zscore) > Math.abs(a.zscore) ? d : a));
+    const count = (test) => trades.filter(test).length;
+    const pct = d3.format('.1%');
+    const money = d3.format(',.0f');
+
+    return [
+      `${this.prices.synthetic ? 'Synthetic demo pair' : 'Price pair'}, ${steps.length} days after warm-up.`,
+      `Hedge ratio β moved from ${first.beta.toFixed(3)} to ${last.beta.toFixed(3)}.`,
+      `Spread z-score peaked at ${peak.zscore.toFixed(2)} on day ${peak.t}, ${this.signalAt(peak.zscore)};` +
+        ` it ends at ${last.zscore.toFixed(2)}, ${this.signalAt(last.zscore)}.`,
+      `${trades.length} trades (${count(d => d.side === 'long')} long, ${count(d => d.side === 'short')} short,` +
+        ` ${count(d => d.reason === 'stop')} stopped out), win rate ${pct(stats.winRate)},` +
+        ` Sharpe ${stats.sharpeRatio.toFixed(2)}, max drawdown ${pct(stats.maxDrawdown)}.`,
+      `Equity went from ${money(equity[0].value)} to ${money(equity[equity.length - 1].value)}.`
+    ].join(' ');
+  }
+
+  /**
+   * 'short signal' / 'long signal' / 'no signal' for a spread z-score
+   */
+  signalAt(z) {
+    const { entryZ } = this.config.backtest;
+    if (z >= entryZ) return 'short signal';
+    if (z <= -entryZ) return 'long signal';
+    return 'no signal';
+  }
+
+  /**
+   * Trade entries and exits by day, as words (the chart's ▲ ▼ × ■)
+   */
+  signalEvents() {
+    const events = new Map();
+    const add = (t, text) => events.set(t, events.has(t) ? `${events.get(t)}, ${text}` : text);
+    this.backtest.trades.forEach(trade => {
+      add(trade.entryT, `${trade.side} entry`);
+      add(trade.exitT, trade.reason === 'stop' ? 'stop-loss exit' : 'exit');
+    });
+    return events;
+  }
+
+  /**
+   * Keyboard rows: every visible day, then every trade
+   */
+  navigationRows() {
+    if (!this.chart || !this.chart.scales) return [];
+    const [t0, t1] = this.chart.scales.x.domain();
+    const days = this.steps.filter(d => d.warm && d.t >= t0 && d.t <= t1);
+    const { trades } = this.backtest;
+    const anchor = () => this.crosshairs.time && this.crosshairs.time[1].dot.node();
+    const money = d3.format(',.0f');
+
+    return [
+      {
+        name: 'Days',
+        size: days.length,
+        label: (i) => {
+          const { t, beta, zscore } = days[i];
+          const event = this.signalEvents().get(t);
+          return `Day ${t}: β ${beta.toFixed(3)}, spread z ${zscore.toFixed(2)},` +
+            ` equity ${money(this.backtest.equity[t].value)}${event ? `, ${event}` : ''}`;
+        },
+        onMove: (i) => this.highlight('time', days[i].t),
+        anchor
+      },
+      {
+        name: 'Trades',
+        size: trades.length,
+        label: (i) => {
+          const trade = trades[i];
+          return `Trade ${i + 1} of ${trades.length}: ${trade.side} spread, in day ${trade.entryT}` +
+            ` at z ${trade.entryZ.toFixed(2)}, out day ${trade.exitT} (${trade.reason}),` +
+            ` P&L ${money(trade.pnl)}`;
+        },
+        onMove: (i) => this.highlight('time', trades[i].entryT),
+        anchor
+      }
+    ];
+  }
+
+  /**
+   * The daily series behind the chart, for the data table
+   */
+  tableData() {
+    const events = this.signalEvents();
+    const { equity } = this.backtest;
+    return [{
+      caption: 'Hedge ratio, spread z-score, equity and signals by day',
+      columns: ['Day', 'β', 'Spread z', 'Equity', 'Signal'],
+      rows: this.steps.filter(d => d.warm).map(d => [
+        d.t,
+        d.beta.toFixed(3),
+        d.zscore.toFixed(2),
+        d3.format(',.0f')(equity[d.t].value),
+        events.get(d.t) || ''
+      ])
+    }];
+  }
+
+  updateControls() {
+    const format = (d) => {
+      const value = this.config[d.group][d.key];
+      return d.log ? value.toExponential(0) : String(value);
+    };
+    this.chart.controls.selectAll('output').text(format);
+  }
+
+  /**
+   * One-line summary of the backtest statistics
+   */
+  updateStats() {
+    const { stats } = this.backtest;
+    const pct = d3.format('.1%');
+
+    this.chart.stats
+      .selectAll('span')
+      .data([
+        ['Win rate', pct(stats.winRate)],
+        ['Sharpe', stats.sharpeRatio.toFixed(2)],
+        ['Sortino', stats.sortinoRatio.toFixed(2)],
+        ['Max DD', pct(stats.maxDrawdown)],
+        ['Turnover', `${stats.turnover.toFixed(1)}×/yr`]
+      ])
+      .join('span')
+      .html(([label, value]) => `${label} <strong>${value}</strong>`);
+  }
+
+  /**
+   * One marker per trade entry and exit, in day order of the trades
+   *
+   * @returns {Array<{key, t, z, type: 'long'|'short'|'close'|'stop', trade}>}
+   */
+  static tradeMarkers(trades) {
+    return trades.flatMap(trade => [
+      { key: `in-${trade.entryT}`, t: trade.entryT, z: trade.entryZ, type: trade.side, trade },
+      {
+        key: `out-${trade.exitT}`,
+        t: trade.exitT,
+        z: trade.exitZ,
+        type: trade.reason === 'stop' ? 'stop' : 'close',
+        trade
+      }
+    ]);
+  }
+
+  /**
+   * Filtered spread, trades / markers and equity as shown, for the export menu
+   */
+  exportData() {
+    const csv = 'text/csv';
+    return [
+      {
+        label: 'Spread (CSV)',
+        filename: 'kalman-spread.csv',
+        type: csv,
+        content: () => VizExport.csv(this.steps, [
+          't',
+          ['x', d => this.prices.x[d.t]],
+          ['y', d => this.prices.y[d.t]],
+          'beta', 'alpha', 'spread', 'variance', 'zscore', 'warm'
+        ])
+      },
+      {
+        label: 'Trades (CSV)',
+        filename: 'kalman-trades.csv',
+        type: csv,
+        content: () => VizExport.csv(this.backtest.trades,
+          ['side', 'entryT', 'exitT', 'entryZ', 'exitZ', 'days', 'reason', 'pnl', 'return'])
+      },
+      {
+        label: 'Equity (CSV)',
+        filename: 'kalman-equity.csv',
+        type: csv,
+        content: () => VizExport.csv(this.backtest.equity, ['t', 'value'])
+      },
+      {
+        label: 'Backtest (JSON)',
+        filename: 'kalman-backtest.json',
+        type: 'application/json',
+        content: () => JSON.stringify({
+          synthetic: this.prices.synthetic,
+          config: this.config,
+          stats: this.backtest.stats,
+          markers: KalmanViz.tradeMarkers(this.backtest.trades).map(({ t, type, z }) => ({ t, type, zscore: z })),
+          trades: this.backtest.trades
+        }, null, 2)
+      }
+    ];
+  }
+
+  updateTradeTable() {
+    this.chart.rows
+      .selectAll('tr')
+      .data(this.backtest.trades)
+      .join('tr')
+      .selectAll('td')
+      .data(trade => [
+        trade.side,
+        `t${trade.entryT} (z ${trade.entryZ.toFixed(2)})`,
+        `t${trade.exitT}`,
+        trade.days,
+        trade.reason,
+        trade.pnl.toFixed(0)
+      ])
+      .join('td')
+      .attr('class', (d, i) => i === 5 ? (parseFloat(d) > 0 ? 'is-gain' : 'is-loss') : null)
+      .text(d => d);
   }
 }
 
@@ -189,84 +1311,471 @@ class KalmanViz extends BaseViz {
 // ================================
 class MarkovViz extends BaseViz {
   constructor(containerId) {
-    super(containerId);
-    this.init();
+    // Taller than the base card: matrix, stationary bars, regime timeline,
+    // rolling accuracy and the forward simulation
+    super(containerId, { width: 300, height: 630 });
+    this.series = null; // { prices, returns, synthetic }
+    this.model = null; // { states, labels, matrix, lower, upper, stationary, durations, distributions }
+    this.backtest = null; // MarkovEstimator.backtest() output
+    this.zoom = null; // brushed [t0, t1] on the price / accuracy panels
+    this.scales = null; // time, price and accuracy scales of the last render
+    this.forecast = null; // RegimeSimulator.simulate() output
+    this.stepReadout = null; // days-ahead crosshair readout of the last render
+    this.stats = null; // summary line under the chart
+    this.form = null; // method picker and simulation sliders
+
+    // Defaults; data/markov-data.json "estimation" / "forecast" override them
+    this.config = {
+      estimation: { method: 'sign', threshold: 0.005, quantiles: 3, confidence: 0.95, minHistory: 20, window: 20 },
+      forecast: { horizon: 20, paths: 1000, samplePaths: 25, seed: 42 }
+    };
+    this.controls = [
+      { group: 'forecast', key: 'horizon', label: 'Horizon (days)', min: 5, max: 60, step: 5 },
+      { group: 'forecast', key: 'paths', label: 'Paths', min: 100, max: 3000, step: 100 },
+      { group: 'forecast', key: 'seed', label: 'Seed', min: 1, max: 100, step: 1 }
+    ];
+    this.methods = [
+      { value: 'sign', label: 'Sign (up / down)' },
+      { value: 'threshold', label: 'Threshold (up / flat / down)' },
+      { value: 'quantile', label: 'Return terciles' }
+    ];
+
+    this.setNavigation(() => this.navigationRows());
+    this.ready = this.init();
   }
 
   async init() {
-    await this.loadData('data/markov-data.json');
+    await this.loadData('data/markov-data.json', 'markov');
     if (this.data) {
-      this.render();
+      Object.assign(this.config.estimation, this.data.estimation);
+      Object.assign(this.config.forecast, this.data.forecast);
+    }
+    this.snapshotConfig();
+    this.series = this.loadSeries();
+    if (this.series.synthetic) this.markSynthetic('Synthetic series');
+
+    try {
+      this.compute();
+    } catch (error) {
+      console.error('Markov estimation failed:', error.message);
+      this.clear();
+      this.setStatus('error', 'Regime model could not be estimated', error.message);
+      return;
+    }
+    this.render();
+  }
+
+  /**
+   * Price series from data/markov-data.json ("prices": [...]) when it has
+   * one, otherwise the seeded synthetic regime-switching series
+   */
+  loadSeries() {
+    const { prices, simulation } = this.data || {};
+    if (Array.isArray(prices) && prices.length > this.config.estimation.minHistory + 1) {
+      return { prices, returns: MarkovEstimator.returnsFromPrices(prices), synthetic: false };
+    }
+
+    const { prices: simulated, returns } = MarkovEstimator.simulate(simulation);
+    return { prices: simulated, returns, synthetic: true };
+  }
+
+  /**
+   * Discretises the returns, estimates the transition matrix with
+   * intervals, derives the stationary distribution and expected durations
+   * (MarkovChain), runs the walk-forward prediction backtest and simulates
+   * forward from the last observed state
+   */
+  compute() {
+    const options = this.config.estimation;
+    const { returns } = this.series;
+    const { states, labels } = MarkovEstimator.discretise(returns, options);
+    const n = labels.length;
+    const { matrix, lower, upper, counts, visits } = MarkovEstimator.estimate(states, n, options);
+    MarkovChain.validate(matrix);
+
+    this.model = {
+      states,
+      labels: MarkovViz.shortLabels(labels),
+      matrix,
+      lower,
+      upper,
+      counts,
+      visits,
+      stationary: MarkovChain.stationary(matrix),
+      durations: MarkovChain.expectedDurations(matrix),
+      distributions: RegimeSimulator.distributions(states, returns, n)
+    };
+    this.backtest = MarkovEstimator.backtest(states, returns, n, options);
+    this.simulate();
+  }
+
+  /**
+   * Monte Carlo paths from the last observed state, each regime drawing
+   * returns from its own observed mean / vol
+   */
+  simulate() {
+    const { states, matrix, distributions } = this.model;
+    this.forecast = RegimeSimulator.simulate(matrix, distributions, {
+      ...this.config.forecast,
+      start: states[states.length - 1]
+    });
+  }
+
+  /**
+   * Switches the discretisation method and redraws
+   */
+  setMethod(method) {
+    this.config.estimation.method = method;
+    this.compute();
+    this.render();
+    this.stateChanged();
+  }
+
+  /**
+   * Applies one simulation slider and redraws; the estimate is unchanged
+   */
+  setParameter(group, key, value) {
+    this.config[group][key] = value;
+    this.simulate();
+    this.render();
+    this.stateChanged();
+  }
+
+  /**
+   * BaseViz state plus the discretisation method
+   */
+  getState() {
+    const state = super.getState();
+    const { method } = this.config.estimation;
+    if (this.defaults && method !== this.defaults.estimation.method) state.method = method;
+    return state;
+  }
+
+  /**
+   * Restores getState() output (from a shared URL or back / forward)
+   */
+  setState(state) {
+    if (!this.forecast) return; // still loading, or estimation failed
+    const changed = this.applyState(state);
+    const methods = this.methods.map(d => d.value);
+    const method = methods.includes(state.method) ? state.method : this.defaults.estimation.method;
+
+    if (method !== this.config.estimation.method) {
+      this.config.estimation.method = method;
+      this.compute();
+    } else if (changed.size > 0) {
+      this.simulate();
     }
+    if (this.form) {
+      this.syncControls(this.form);
+      this.form.select('select').property('value', method);
+    }
+    this.render();
+  }
+
+  /**
+   * First word of each state name ("Up Market" → "Up") when that keeps them
+   * distinct, otherwise the full names
+   */
+  static shortLabels(states) {
+    const first = states.map(state => state.split(' ')[0]);
+    return new Set(first).size === first.length ? first : states;
   }
 
+  /**
+   * One colour per state. States are ordered from the highest returns to the
+   * lowest, so they run green → grey → red; two states keep the plain
+   * green / red pair.
+   */
+  static stateColors(n) {
+    if (n === 2) return ['#4cff4c', '#ff4c4c'];
+    const ramp = d3.piecewise(d3.interpolateRgb, ['#4cff4c', '#aaaaaa', '#ff4c4c']);
+    return d3.quantize(ramp, n);
+  }
+
+  /**
+   * Rebuilds the SVG, summary line and controls at the new size
+   */
+  relayout() {
+    if (!this.forecast) return; // still loading, or estimation failed
+    this.svg = null;
+    this.render();
+  }
+
+  /**
+   * Builds the SVG, summary line and method picker once, then redraws the
+   * charts into the SVG on every call
+   */
   render() {
-    this.clear();
-    this.createSVG();
+    if (!this.svg) {
+      this.clear();
+      this.createSVG();
+      const container = d3.select(this.container);
+      this.stats = container.append('div').attr('class', 'viz-stats');
+      this.addExportMenu();
+      this.form = this.renderControls(container);
+      this.addDataTable();
+    }
+    this.svg.selectAll('*').remove();
+    this.resetInteractions();
+
+    // Matrix on top, then stationary bars, price with regime strip, accuracy
+    // Band heights are designed at the base size and grow with the chart
+    const k = this.scale;
+    const layout = { matrixHeight: 100 * k, barsTop: 122 * k, barsHeight: 45 * k };
+    layout.priceTop = layout.barsTop + layout.barsHeight + 30 * k;
+    layout.priceHeight = 80 * k;
+    layout.stripHeight = 8 * k;
+    layout.accuracyTop = layout.priceTop + layout.priceHeight + layout.stripHeight + 26 * k;
+    layout.accuracyHeight = 50 * k;
+    layout.fanTop = layout.accuracyTop + layout.accuracyHeight + 46 * k;
+    layout.fanHeight = 90 * k;
+    layout.probabilityTop = layout.fanTop + layout.fanHeight + 24 * k;
+    layout.probabilityHeight = this.height - layout.probabilityTop - 18;
+
+    // Price and accuracy share a (brushable) time axis
+    const last = this.series.prices.length - 1;
+    const domain = this.zoom
+      ? [Math.max(0, this.zoom[0]), Math.min(last, this.zoom[1])]
+      : [0, last];
+    this.scales = {
+      time: d3.scaleLinear()
+        .domain(domain[1] - domain[0] >= 2 ? domain : [0, last])
+        .range([0, this.width])
+    };
+
+    const colors = MarkovViz.stateColors(this.model.labels.length);
+    this.renderMatrix(layout, colors);
+    this.renderStationary(layout, colors);
+    this.renderTimeline(layout, colors);
+    this.renderAccuracy(layout);
+    this.renderForecast(layout, colors);
+    this.updateControls();
+    this.updateStats();
+    this.describe('Markov chain market regime model', this.summary());
+  }
+
+  /**
+   * Text version of the chart for its <desc>
+   */
+  summary() {
+    const { labels, matrix, stationary, durations, states } = this.model;
+    const { accuracy, baseline } = this.backtest;
+    const { fan } = this.forecast;
+    const outlook = fan[fan.length - 1].quantiles;
+    const share = d3.format('.0%');
+    const signed = d3.format('+.1%');
+    const list = (text) => labels.map((label, i) => `${label} ${text(i)}`).join(', ');
+
+    return [
+      `${labels.length}-state regime model (${labels.join(', ')}) estimated from` +
+        ` ${this.series.returns.length} daily returns${this.series.synthetic ? ' of a synthetic series' : ''}.`,
+      `Probability of staying in each regime: ${list(i => matrix[i][i].toFixed(2))}.`,
+      `Long-run share: ${list(i => `${share(stationary[i])}, runs of ${durations[i].toFixed(1)} days`)}.`,
+      `Walk-forward direction calls were right ${d3.format('.1%')(accuracy)} of the time,` +
+        ` against ${d3.format('.1%')(baseline)} for always-up.`,
+      `Currently ${labels[states[states.length - 1]]}; simulated ${fan.length - 1}-day return median` +
+        ` ${signed(outlook[2])}, 90% range ${signed(outlook[0])} to ${signed(outlook[4])}.`
+    ].join(' ');
+  }
+
+  /**
+   * Keyboard rows: matrix cells, days on the (zoomed) timeline, forecast
+   * steps
+   */
+  navigationRows() {
+    if (!this.scales || !this.forecast) return [];
+    const { labels, matrix, lower, upper, counts, visits } = this.model;
+    const n = labels.length;
+    const [t0, t1] = this.scales.time.domain().map(Math.round);
+    const dot = (key) => () => this.crosshairs[key] && this.crosshairs[key][0].dot.node();
+
+    return [
+      {
+        name: 'Transitions',
+        size: n * n,
+        label: (c) => {
+          const [i, j] = [Math.floor(c / n), c % n];
+          return `${labels[i]} to ${labels[j]}: P ${matrix[i][j].toFixed(3)}` +
+            ` (${lower[i][j].toFixed(2)} to ${upper[i][j].toFixed(2)}), ${counts[i][j]} of ${visits[i]} transitions`;
+        },
+        anchor: (c) => this.svg.selectAll('.markov-cell').nodes()[c]
+      },
+      {
+        name: 'Days',
+        size: t1 - t0 + 1,
+        label: (i) => BaseViz.plainText(this.timeReadout(t0 + i)),
+        onMove: (i) => this.highlight('time', t0 + i),
+        anchor: dot('time')
+      },
+      {
+        name: 'Forecast',
+        size: this.forecast.fan.length,
+        label: (k) => BaseViz.plainText(this.stepReadout(k)),
+        onMove: (k) => this.highlight('step', k),
+        anchor: dot('step')
+      }
+    ];
+  }
+
+  /**
+   * Matrix, regime shares, forecast and timeline, for the data table
+   */
+  tableData() {
+    const { labels, matrix, lower, upper, stationary, durations, states } = this.model;
+    const { fan, probabilities, levels } = this.forecast;
+    const { prices, returns } = this.series;
+    const predictions = new Map(this.backtest.predictions.map(d => [d.t, d]));
+    const share = d3.format('.1%');
+    const signed = d3.format('+.2%');
+
+    return [
+      {
+        caption: `Transition probabilities with ${Math.round(this.config.estimation.confidence * 100)}%` +
+          ' intervals (rows: from, columns: to)',
+        columns: ['From', ...labels],
+        rows: labels.map((label, i) => [
+          label,
+          ...matrix[i].map((p, j) => `${p.toFixed(3)} (${lower[i][j].toFixed(2)}–${upper[i][j].toFixed(2)})`)
+        ])
+      },
+      {
+        caption: 'Long-run share and expected run length by regime',
+        columns: ['Regime', 'Long-run share', 'Expected run (days)'],
+        rows: labels.map((label, i) => [label, share(stationary[i]), durations[i].toFixed(1)])
+      },
+      {
+        caption: `Simulated cumulative return quantiles and regime probabilities, ${fan.length - 1} days ahead`,
+        columns: ['Days ahead', ...levels.map(level => `${Math.round(level * 100)}th pct`),
+          ...labels.map(label => `P(${label})`)],
+        rows: fan.map(d => [d.step, ...d.quantiles.map(signed), ...probabilities[d.step].map(share)])
+      },
+      {
+        caption: 'Price, next-day move, regime and walk-forward prediction by day',
+        columns: ['Day', 'Price', 'Next-day move', 'Regime', 'Prediction'],
+        rows: prices.map((price, t) => [
+          t,
+          price.toFixed(2),
+          t < returns.length ? signed(returns[t]) : '',
+          t < states.length ? labels[states[t]] : '',
+          predictions.has(t) ? (predictions.get(t).hit ? 'hit' : 'miss') : ''
+        ])
+      }
+    ];
+  }
+
+  /**
+   * Zooms the price / accuracy time axis to [t0, t1] (null resets)
+   */
+  setZoom(domain) {
+    this.zoom = domain;
+    this.render();
+    this.stateChanged();
+  }
 
-    const { transitionMatrix, states, stateDistribution } = this.data;
+  /**
+   * Crosshair tooltip on the shared time axis: price, the move out of day t
+   * and its state, and the rolling accuracy
+   */
+  timeReadout(t) {
+    const { prices, returns } = this.series;
+    const { states, labels } = this.model;
+    const day = Math.max(0, Math.min(prices.length - 1, t));
+    const rolling = this.backtest.rolling.find(d => d.t === day);
+    const lines = [`<strong>Day ${day}</strong> · price ${prices[day].toFixed(2)}`];
 
-    // Split the visualization into two parts: heatmap (top) and bar chart (bottom)
-    const heatmapHeight = Math.max(this.height * 0.55, 60);
-    const barChartHeight = Math.max(this.height * 0.35, 40);
-    const gap = this.height * 0.10;
+    if (day < returns.length) {
+      lines.push(`next day ${labels[states[day]]} (${d3.format('+.2%')(returns[day])})`);
+    }
+    if (rolling) lines.push(`rolling accuracy ${d3.format('.0%')(rolling.accuracy)}`);
+    return lines.join('<br>');
+  }
+
+  /**
+   * Transition matrix heatmap; each cell shows P[i][j] and, when there is
+   * room, its confidence interval
+   */
+  renderMatrix(layout, colors) {
+    const { labels, matrix, lower, upper, counts, visits } = this.model;
+    const n = labels.length;
 
-    // ========== Transition Matrix Heatmap ==========
-    const cellSize = Math.min(this.width / 2.5, heatmapHeight / 2.5);
+    // Cells shrink with N; leave room for the row labels on the left
+    const labelWidth = 36;
+    const cellSize = Math.min((this.width - labelWidth) / n, layout.matrixHeight / n);
+    const gridLeft = labelWidth + (this.width - labelWidth - cellSize * n) / 2;
+    const fontSize = Math.max(7, Math.min(14, cellSize / 3.5));
+    const showIntervals = cellSize >= 30;
     const heatmapGroup = this.svg.append('g');
 
-    // Color scale for transition probabilities
+    // Colour scale over the observed range, so small probabilities in
+    // larger models still separate
+    const maxP = d3.max(matrix.flat());
     const colorScale = d3.scaleSequential()
-      .domain([0, 1])
+      .domain([0, maxP])
       .interpolator(d3.interpolateReds);
 
-    // Create cells
-    transitionMatrix.forEach((row, i) => {
+    matrix.forEach((row, i) => {
       row.forEach((value, j) => {
-        const x = j * cellSize + (this.width - cellSize * 2) / 2;
+        const x = gridLeft + j * cellSize;
         const y = i * cellSize;
+        const textColor = value > maxP / 2 ? '#fff' : '#333';
 
-        // Cell rectangle
         heatmapGroup.append('rect')
+          .attr('class', 'markov-cell')
           .attr('x', x)
           .attr('y', y)
           .attr('width', cellSize)
           .attr('height', cellSize)
           .attr('fill', colorScale(value))
           .attr('stroke', '#333')
-          .attr('stroke-width', 1);
+          .attr('stroke-width', 1)
+          .call(sel => this.attachTooltip(sel, () =>
+            `<strong>${labels[i]} → ${labels[j]}</strong><br>` +
+            `P = ${value.toFixed(3)} (${lower[i][j].toFixed(2)}–${upper[i][j].toFixed(2)})<br>` +
+            `${counts[i][j]} of ${visits[i]} transitions`));
 
-        // Probability text
         heatmapGroup.append('text')
           .attr('x', x + cellSize / 2)
-          .attr('y', y + cellSize / 2 + 5)
+          .attr('y', y + cellSize / 2 + (showIntervals ? 0 : fontSize / 3))
           .attr('text-anchor', 'middle')
-          .attr('fill', value > 0.5 ? '#fff' : '#333')
-          .attr('font-size', '14px')
+          .attr('pointer-events', 'none')
+          .attr('fill', textColor)
+          .attr('font-size', `${fontSize}px`)
           .attr('font-weight', 'bold')
           .text(value.toFixed(2));
+
+        if (showIntervals) {
+          heatmapGroup.append('text')
+            .attr('x', x + cellSize / 2)
+            .attr('y', y + cellSize / 2 + fontSize)
+            .attr('text-anchor', 'middle')
+            .attr('pointer-events', 'none')
+            .attr('fill', textColor)
+            .attr('font-size', this.font(7))
+            .text(`${lower[i][j].toFixed(2)}–${upper[i][j].toFixed(2)}`);
+        }
       });
     });
 
-    // Add state labels
-    states.forEach((state, i) => {
+    // State labels, coloured to match the bars
+    labels.forEach((label, i) => {
       // Row labels (left)
       heatmapGroup.append('text')
-        .attr('x', (this.width - cellSize * 2) / 2 - 5)
+        .attr('x', gridLeft - 5)
         .attr('y', i * cellSize + cellSize / 2 + 4)
         .attr('text-anchor', 'end')
-        .attr('fill', '#ccc')
-        .attr('font-size', '9px')
-        .text(state.split(' ')[0]); // Just "Up" or "Down"
+        .attr('fill', colors[i])
+        .attr('font-size', this.font(9))
+        .text(label);
 
       // Column labels (top)
       heatmapGroup.append('text')
-        .attr('x', i * cellSize + cellSize / 2 + (this.width - cellSize * 2) / 2)
+        .attr('x', gridLeft + i * cellSize + cellSize / 2)
         .attr('y', -5)
         .attr('text-anchor', 'middle')
-        .attr('fill', '#ccc')
-        .attr('font-size', '9px')
-        .text(state.split(' ')[0]);
+        .attr('fill', colors[i])
+        .attr('font-size', this.font(9))
+        .text(n > 4 ? label.slice(0, 3) : label);
     });
 
     // Heatmap title
@@ -275,50 +1784,62 @@ class MarkovViz extends BaseViz {
       .attr('y', -15)
       .attr('text-anchor', 'middle')
       .attr('fill', '#ff4c4c')
-      .attr('font-size', '11px')
+      .attr('font-size', this.font(11))
       .attr('font-weight', 'bold')
-      .text('Transition Probability Matrix');
+      .text(`Estimated Transitions (${Math.round(this.config.estimation.confidence * 100)}% CI)`);
+  }
 
-    // ========== State Distribution Bar Chart ==========
+  /**
+   * Stationary distribution bars, labelled with expected run length
+   */
+  renderStationary(layout, colors) {
+    const { labels, stationary, durations } = this.model;
+    const n = labels.length;
     const barChartGroup = this.svg.append('g')
-      .attr('transform', `translate(0, ${heatmapHeight + gap})`);
+      .attr('transform', `translate(0, ${layout.barsTop})`);
 
-    const barWidth = this.width / stateDistribution.length - 10;
+    const band = d3.scaleBand()
+      .domain(d3.range(n))
+      .range([0, this.width])
+      .padding(0.25);
     const barScale = d3.scaleLinear()
       .domain([0, 1])
-      .range([0, barChartHeight]);
+      .range([0, layout.barsHeight]);
 
-    stateDistribution.forEach((d, i) => {
-      const x = i * (barWidth + 10) + (this.width - (barWidth + 10) * stateDistribution.length + 10) / 2;
-      const barHeight = Math.max(0, barScale(d.probability)); // Ensure non-negative
+    stationary.forEach((probability, i) => {
+      const x = band(i);
+      const barHeight = Math.max(0, barScale(probability));
 
-      // Bar
       barChartGroup.append('rect')
         .attr('x', x)
-        .attr('y', Math.max(0, barChartHeight - barHeight)) // Ensure non-negative y
-        .attr('width', Math.max(0, barWidth)) // Ensure non-negative width
+        .attr('y', layout.barsHeight - barHeight)
+        .attr('width', band.bandwidth())
         .attr('height', barHeight)
-        .attr('fill', i === 0 ? '#4cff4c' : '#ff4c4c')
-        .attr('opacity', 0.7);
+        .attr('fill', colors[i])
+        .attr('opacity', 0.7)
+        .call(sel => this.attachTooltip(sel, () =>
+          `<strong>${labels[i]}</strong><br>` +
+          `long-run share ${(probability * 100).toFixed(1)}%<br>` +
+          `expected run ${durations[i].toFixed(1)} days`));
 
       // Percentage label
       barChartGroup.append('text')
-        .attr('x', x + barWidth / 2)
-        .attr('y', barChartHeight - barHeight - 5)
+        .attr('x', x + band.bandwidth() / 2)
+        .attr('y', layout.barsHeight - barHeight - 5)
         .attr('text-anchor', 'middle')
         .attr('fill', '#ccc')
-        .attr('font-size', '10px')
+        .attr('font-size', this.font(10))
         .attr('font-weight', 'bold')
-        .text(`${(d.probability * 100).toFixed(1)}%`);
+        .text(`${(probability * 100).toFixed(1)}%`);
 
-      // State label
+      // State label with expected run length
       barChartGroup.append('text')
-        .attr('x', x + barWidth / 2)
-        .attr('y', barChartHeight + 12)
+        .attr('x', x + band.bandwidth() / 2)
+        .attr('y', layout.barsHeight + 12)
         .attr('text-anchor', 'middle')
         .attr('fill', '#aaa')
-        .attr('font-size', '9px')
-        .text(d.state.split(' ')[0]);
+        .attr('font-size', this.font(9))
+        .text(`${n > 4 ? labels[i].slice(0, 3) : labels[i]} · ${durations[i].toFixed(1)}d`);
     });
 
     // Bar chart title
@@ -327,7 +1848,442 @@ class MarkovViz extends BaseViz {
       .attr('y', -5)
       .attr('text-anchor', 'middle')
       .attr('fill', '#aaa')
-      .attr('font-size', '9px')
-      .text('Steady-State Distribution');
+      .attr('font-size', this.font(9))
+      .text('Steady-State Distribution · expected run length');
+  }
+
+  /**
+   * Price line over a strip coloured by each day's state
+   */
+  renderTimeline(layout, colors) {
+    const { prices, synthetic } = this.series;
+    const { states } = this.model;
+    const group = this.svg.append('g').attr('transform', `translate(0, ${layout.priceTop})`);
+    const height = layout.priceHeight + 2 + layout.stripHeight;
+
+    // returns[t] (and states[t]) is the move from prices[t] to prices[t + 1]
+    const xScale = this.scales.time;
+    const [t0, t1] = xScale.domain();
+    const yScale = d3.scaleLinear()
+      .domain(d3.extent(prices.filter((d, t) => t >= t0 && t <= t1)))
+      .nice()
+      .range([layout.priceHeight, 0]);
+    this.scales.price = yScale;
+    const clip = this.clipRect(this.width, height);
+
+    group.append('g')
+      .attr('clip-path', clip)
+      .selectAll('rect')
+      .data(states)
+      .join('rect')
+      .attr('x', (d, t) => xScale(t))
+      .attr('y', layout.priceHeight + 2)
+      .attr('width', Math.max(xScale(1) - xScale(0), 0.5))
+      .attr('height', layout.stripHeight)
+      .attr('fill', d => colors[d]);
+
+    group.append('path')
+      .attr('clip-path', clip)
+      .datum(prices)
+      .attr('fill', 'none')
+      .attr('stroke', '#4cc9f0')
+      .attr('stroke-width', 1.2)
+      .attr('d', d3.line().x((d, t) => xScale(t)).y(d => yScale(d)));
+
+    group.append('g')
+      .call(d3.axisLeft(yScale).ticks(3))
+      .call(MarkovViz.styleAxis);
+
+    group.append('text')
+      .attr('x', 0)
+      .attr('y', -6)
+      .attr('fill', '#4cc9f0')
+      .attr('font-size', this.font(9))
+      .text(synthetic ? 'Price · regime timeline (synthetic series)' : 'Price · regime timeline');
+
+    this.addTimeInteractions(group, {
+      height,
+      scale: () => this.scales.time,
+      y: (t) => this.scales.price(prices[Math.max(0, Math.min(prices.length - 1, t))]),
+      readout: (t) => this.timeReadout(t),
+      onZoom: (domain) => this.setZoom(domain)
+    });
+  }
+
+  /**
+   * Rolling hit rate of the walk-forward direction call, against 50% and
+   * the always-up baseline
+   */
+  renderAccuracy(layout) {
+    const { rolling, baseline } = this.backtest;
+    const group = this.svg.append('g').attr('transform', `translate(0, ${layout.accuracyTop})`);
+
+    const xScale = this.scales.time;
+    const yScale = d3.scaleLinear()
+      .domain([0, 1])
+      .range([layout.accuracyHeight, 0]);
+    this.scales.accuracy = yScale;
+
+    [[0.5, '#555'], [baseline, '#ffcc00']].forEach(([value, color]) => {
+      group.append('line')
+        .attr('x1', 0)
+        .attr('x2', this.width)
+        .attr('y1', yScale(value))
+        .attr('y2', yScale(value))
+        .attr('stroke', color)
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '3,3');
+    });
+
+    group.append('path')
+      .attr('clip-path', this.clipRect(this.width, layout.accuracyHeight))
+      .datum(rolling)
+      .attr('fill', 'none')
+      .attr('stroke', '#ff4c4c')
+      .attr('stroke-width', 1.5)
+      .attr('d', d3.line().x(d => xScale(d.t)).y(d => yScale(d.accuracy)));
+
+    group.append('g')
+      .call(d3.axisLeft(yScale).ticks(2).tickFormat(d3.format('.0%')))
+      .call(MarkovViz.styleAxis);
+    group.append('g')
+      .attr('transform', `translate(0,${layout.accuracyHeight})`)
+      .call(d3.axisBottom(xScale).ticks(this.ticks(5)))
+      .call(MarkovViz.styleAxis);
+
+    group.append('text')
+      .attr('x', 0)
+      .attr('y', -6)
+      .attr('fill', '#ff4c4c')
+      .attr('font-size', this.font(9))
+      .text(`Rolling ${this.config.estimation.window}-day accuracy`);
+    group.append('text')
+      .attr('x', this.width)
+      .attr('y', -6)
+      .attr('text-anchor', 'end')
+      .attr('fill', '#ffcc00')
+      .attr('font-size', this.font(9))
+      .text('always-up');
+    group.append('text')
+      .attr('x', this.width / 2)
+      .attr('y', layout.accuracyHeight + 20)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#aaa')
+      .attr('font-size', this.font(10))
+      .text('Time (days) · drag to zoom, double-click to reset');
+
+    const byDay = new Map(rolling.map(d => [d.t, d.accuracy]));
+    this.addTimeInteractions(group, {
+      height: layout.accuracyHeight,
+      scale: () => this.scales.time,
+      y: (t) => (byDay.has(t) ? this.scales.accuracy(byDay.get(t)) : null),
+      readout: (t) => this.timeReadout(t),
+      onZoom: (domain) => this.setZoom(domain)
+    });
+  }
+
+  /**
+   * Fan chart of simulated cumulative return (5–95% and 25–75% bands,
+   * median, a few sample paths) over the share of paths in each regime;
+   * dashed lines there are the exact probabilities π₀Pᵏ
+   */
+  renderForecast(layout, colors) {
+    const { fan, samples, probabilities } = this.forecast;
+    const { matrix, labels, states } = this.model;
+    const { horizon, paths } = this.config.forecast;
+    const n = labels.length;
+
+    const xScale = d3.scaleLinear()
+      .domain([0, horizon])
+      .range([0, this.width]);
+
+    // Fan
+    const group = this.svg.append('g').attr('transform', `translate(0, ${layout.fanTop})`);
+    const yScale = d3.scaleLinear()
+      .domain([d3.min(fan, d => d.quantiles[0]), d3.max(fan, d => d.quantiles[4])])
+      .nice()
+      .range([layout.fanHeight, 0]);
+    const band = (lo, hi) => d3.area()
+      .x(d => xScale(d.step))
+      .y0(d => yScale(d.quantiles[lo]))
+      .y1(d => yScale(d.quantiles[hi]));
+    const line = d3.line().x((d, k) => xScale(k)).y(d => yScale(d));
+
+    group.append('g')
+      .selectAll('path')
+      .data(samples)
+      .join('path')
+      .attr('fill', 'none')
+      .attr('stroke', '#888')
+      .attr('stroke-width', 0.5)
+      .attr('opacity', 0.35)
+      .attr('d', d => line(d.cumulative));
+    group.append('path')
+      .datum(fan)
+      .attr('fill', '#4cc9f0')
+      .attr('opacity', 0.15)
+      .attr('d', band(0, 4));
+    group.append('path')
+      .datum(fan)
+      .attr('fill', '#4cc9f0')
+      .attr('opacity', 0.3)
+      .attr('d', band(1, 3));
+    group.append('path')
+      .datum(fan.map(d => d.quantiles[2]))
+      .attr('fill', 'none')
+      .attr('stroke', '#4cc9f0')
+      .attr('stroke-width', 1.5)
+      .attr('d', line);
+    group.append('line')
+      .attr('x1', 0)
+      .attr('x2', this.width)
+      .attr('y1', yScale(0))
+      .attr('y2', yScale(0))
+      .attr('stroke', '#555')
+      .attr('stroke-dasharray', '3,3');
+
+    group.append('g')
+      .call(d3.axisLeft(yScale).ticks(4).tickFormat(d3.format('.0%')))
+      .call(MarkovViz.styleAxis);
+
+    const last = fan[fan.length - 1].quantiles;
+    const pct = d3.format('+.1%');
+    group.append('text')
+      .attr('x', this.width / 2)
+      .attr('y', -24)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#ff4c4c')
+      .attr('font-size', this.font(11))
+      .attr('font-weight', 'bold')
+      .text(`Simulated ${horizon}-Day Outlook`);
+    group.append('text')
+      .attr('x', 0)
+      .attr('y', -6)
+      .attr('fill', '#4cc9f0')
+      .attr('font-size', this.font(9))
+      .text(`Cumulative return · median ${pct(last[2])}, 90% ${pct(last[0])} to ${pct(last[4])}`);
+
+    // Regime probabilities, stacked
+    const probability = this.svg.append('g').attr('transform', `translate(0, ${layout.probabilityTop})`);
+    const pScale = d3.scaleLinear()
+      .domain([0, 1])
+      .range([layout.probabilityHeight, 0]);
+    const stacked = d3.stack().keys(d3.range(n))(probabilities);
+
+    probability.append('g')
+      .selectAll('path')
+      .data(stacked)
+      .join('path')
+      .attr('fill', d => colors[d.key])
+      .attr('opacity', 0.6)
+      .attr('d', d3.area()
+        .x((d, k) => xScale(k))
+        .y0(d => pScale(d[0]))
+        .y1(d => pScale(d[1])));
+
+    // Exact cumulative boundaries from π₀Pᵏ, π₀ the current state
+    const start = states[states.length - 1];
+    const pi0 = d3.range(n).map(j => (j === start ? 1 : 0));
+    const exact = d3.range(horizon + 1).map(k => d3.cumsum(MarkovChain.distributionAfter(pi0, matrix, k)));
+    d3.range(n - 1).forEach(j => {
+      probability.append('path')
+        .datum(exact)
+        .attr('fill', 'none')
+        .attr('stroke', '#fff')
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '2,2')
+        .attr('d', d3.line().x((d, k) => xScale(k)).y(d => pScale(d[j])));
+    });
+
+    probability.append('g')
+      .call(d3.axisLeft(pScale).ticks(2).tickFormat(d3.format('.0%')))
+      .call(MarkovViz.styleAxis);
+    probability.append('g')
+      .attr('transform', `translate(0,${layout.probabilityHeight})`)
+      .call(d3.axisBottom(xScale).ticks(this.ticks(5)))
+      .call(MarkovViz.styleAxis);
+    probability.append('text')
+      .attr('x', 0)
+      .attr('y', -6)
+      .attr('fill', '#aaa')
+      .attr('font-size', this.font(9))
+      .text(`Regime probability · ${paths} paths (dashed: exact)`);
+    probability.append('text')
+      .attr('x', this.width / 2)
+      .attr('y', layout.probabilityHeight + 20)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#aaa')
+      .attr('font-size', this.font(10))
+      .text('Days ahead');
+
+    // Linked crosshair over both panels on the days-ahead axis
+    const step = (k) => Math.max(0, Math.min(horizon, k));
+    this.stepReadout = (k) => {
+      const q = fan[step(k)].quantiles;
+      const shares = probabilities[step(k)]
+        .map((p, j) => `${labels[j]} ${(p * 100).toFixed(0)}%`)
+        .join(' · ');
+      return `<strong>Day +${step(k)}</strong><br>` +
+        `median ${pct(q[2])} · 50% ${pct(q[1])} to ${pct(q[3])}<br>` +
+        `90% ${pct(q[0])} to ${pct(q[4])}<br>${shares}`;
+    };
+    const readout = this.stepReadout;
+    this.addTimeInteractions(group, {
+      key: 'step',
+      height: layout.fanHeight,
+      scale: () => xScale,
+      y: (k) => yScale(fan[step(k)].quantiles[2]),
+      readout
+    });
+    this.addTimeInteractions(probability, {
+      key: 'step',
+      height: layout.probabilityHeight,
+      scale: () => xScale,
+      readout
+    });
+  }
+
+  static styleAxis(g) {
+    g.attr('color', '#888')
+      .selectAll('text')
+      .attr('fill', '#ccc');
+  }
+
+  /**
+   * Estimated matrix, the state / prediction timeline and the simulated
+   * outlook as shown, for the export menu
+   */
+  exportData() {
+    const csv = 'text/csv';
+    return [
+      {
+        label: 'Transition matrix (CSV)',
+        filename: 'markov-transitions.csv',
+        type: csv,
+        content: () => {
+          const { labels, matrix, lower, upper, counts } = this.model;
+          const rows = [];
+          matrix.forEach((row, i) => row.forEach((p, j) => rows.push({
+            from: labels[i], to: labels[j], p, lower: lower[i][j], upper: upper[i][j], count: counts[i][j]
+          })));
+          return VizExport.csv(rows, ['from', 'to', 'p', 'lower', 'upper', 'count']);
+        }
+      },
+      {
+        label: 'Timeline (CSV)',
+        filename: 'markov-timeline.csv',
+        type: csv,
+        content: () => {
+          const { prices, returns } = this.series;
+          const { states, labels } = this.model;
+          const predictions = new Map(this.backtest.predictions.map(d => [d.t, d]));
+          const rolling = new Map(this.backtest.rolling.map(d => [d.t, d.accuracy]));
+          return VizExport.csv(prices.map((price, t) => ({ t, price })), [
+            't', 'price',
+            ['return', d => returns[d.t]],
+            ['state', d => (d.t < states.length ? labels[states[d.t]] : '')],
+            ['predictedUp', d => (predictions.has(d.t) ? predictions.get(d.t).up : '')],
+            ['hit', d => (predictions.has(d.t) ? predictions.get(d.t).hit : '')],
+            ['rollingAccuracy', d => rolling.get(d.t)]
+          ]);
+        }
+      },
+      {
+        label: 'Forecast (CSV)',
+        filename: 'markov-forecast.csv',
+        type: csv,
+        content: () => {
+          const { fan, probabilities, levels } = this.forecast;
+          return VizExport.csv(fan, [
+            'step',
+            ...levels.map((level, i) => [`q${Math.round(level * 100)}`, d => d.quantiles[i]]),
+            ...this.model.labels.map((label, j) => [`p_${label}`, d => probabilities[d.step][j]])
+          ]);
+        }
+      },
+      {
+        label: 'Model (JSON)',
+        filename: 'markov-model.json',
+        type: 'application/json',
+        content: () => {
+          const { labels, matrix, lower, upper, counts, stationary, durations, distributions } = this.model;
+          const { accuracy, baseline } = this.backtest;
+          return JSON.stringify({
+            synthetic: this.series.synthetic,
+            config: this.config,
+            states: labels,
+            transitionMatrix: matrix,
+            lower,
+            upper,
+            counts,
+            stationary,
+            durations,
+            distributions,
+            backtest: { accuracy, baseline }
+          }, null, 2);
+        }
+      }
+    ];
+  }
+
+  /**
+   * Discretisation picker (re-estimates) and simulation sliders
+   * (re-simulates); each change redraws
+   */
+  renderControls(container) {
+    const form = container.append('form')
+      .attr('class', 'viz-controls')
+      .on('submit', (e) => e.preventDefault());
+    const row = form.append('label').attr('class', 'viz-control');
+
+    row.append('span').text('States');
+    row.append('select')
+      .on('change', (e) => this.setMethod(e.target.value))
+      .selectAll('option')
+      .data(this.methods)
+      .join('option')
+      .attr('value', d => d.value)
+      .property('selected', d => d.value === this.config.estimation.method)
+      .text(d => d.label);
+
+    const rows = form.selectAll('label.viz-control-range')
+      .data(this.controls)
+      .join('label')
+      .attr('class', 'viz-control viz-control-range');
+
+    rows.append('span').text(d => d.label);
+    rows.append('input')
+      .attr('type', 'range')
+      .attr('min', d => d.min)
+      .attr('max', d => d.max)
+      .attr('step', d => d.step)
+      .property('value', d => this.config[d.group][d.key])
+      .on('input', (e, d) => this.setParameter(d.group, d.key, parseFloat(e.target.value)));
+    rows.append('output');
+
+    return form;
+  }
+
+  updateControls() {
+    this.form.selectAll('output').text(d => this.config[d.group][d.key]);
+  }
+
+  /**
+   * One-line summary of the prediction backtest
+   */
+  updateStats() {
+    const { accuracy, baseline, predictions } = this.backtest;
+    const pct = d3.format('.1%');
+
+    this.stats
+      .selectAll('span')
+      .data([
+        ['Accuracy', pct(accuracy)],
+        ['Always-up', pct(baseline)],
+        ['Edge', `${((accuracy - baseline) * 100).toFixed(1)}pp`],
+        ['Predictions', predictions.length]
+      ])
+      .join('span')
+      .html(([label, value]) => `${label} <strong>${value}</strong>`);
   }
 }
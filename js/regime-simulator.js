@@ -0,0 +1,128 @@
+/**
+ * Regime Simulator
+ *
+ * Monte Carlo forward paths of a Markov regime model: from the current state,
+ * each step draws the next regime from its row of the transition matrix and
+ * a return from that regime's N(mean, vol). Across many paths this gives the
+ * distribution of cumulative return at every step (a fan chart) and the
+ * probability of being in each regime. Seeded, so a given configuration
+ * always produces the same paths.
+ */
+
+class RegimeSimulator {
+  /**
+   * Shared PRNG class (SeededRandom in the browser)
+   */
+  static get Random() {
+    return typeof SeededRandom !== 'undefined'
+      ? SeededRandom
+      : require('./seeded-random.js');
+  }
+
+  /**
+   * Transition-matrix helpers (MarkovChain in the browser)
+   */
+  static get Chain() {
+    return typeof MarkovChain !== 'undefined'
+      ? MarkovChain
+      : require('./markov-chain.js');
+  }
+
+  /**
+   * Per-state return distribution (sample mean and standard deviation of the
+   * returns observed in each state)
+   *
+   * @returns {Array<{mean: number, vol: number}>}
+   */
+  static distributions(states, returns, n) {
+    return Array.from({ length: n }, (_, s) => {
+      const sample = returns.filter((_, t) => states[t] === s);
+      if (sample.length === 0) return { mean: 0, vol: 0 };
+
+      const mean = sample.reduce((a, b) => a + b, 0) / sample.length;
+      const variance = sample.reduce((a, r) => a + (r - mean) ** 2, 0) / Math.max(sample.length - 1, 1);
+      return { mean, vol: Math.sqrt(variance) };
+    });
+  }
+
+  /**
+   * @param {number[][]} matrix - row-stochastic transition matrix
+   * @param {Array<{mean, vol}>} distributions - one per state
+   * @param {Object} options - { start, horizon, paths, samplePaths, seed,
+   *   levels }
+   * @returns {{
+   *   samples: Array<{states: number[], cumulative: number[]}>,
+   *   fan: Array<{step: number, quantiles: number[]}>,
+   *   probabilities: number[][],
+   *   levels: number[]
+   * }}
+   *   samples: the first `samplePaths` paths, step 0 included
+   *   fan[k].quantiles: cumulative-return quantiles at `levels` after k steps
+   *   probabilities[k][j]: share of paths in state j after k steps
+   */
+  static simulate(matrix, distributions, {
+    start = 0,
+    horizon = 20,
+    paths = 1000,
+    samplePaths = 25,
+    seed = 42,
+    levels = [0.05, 0.25, 0.5, 0.75, 0.95]
+  } = {}) {
+    const n = matrix.length;
+    const rng = new RegimeSimulator.Random(seed);
+
+    // cumulative[k][p] and occupancy[k][j] across all paths
+    const cumulative = Array.from({ length: horizon + 1 }, () => new Float64Array(paths));
+    const occupancy = Array.from({ length: horizon + 1 }, () => new Array(n).fill(0));
+    const samples = [];
+
+    for (let p = 0; p < paths; p++) {
+      let state = start;
+      let growth = 1;
+      const path = { states: [state], cumulative: [0] };
+      occupancy[0][state]++;
+
+      for (let k = 1; k <= horizon; k++) {
+        state = RegimeSimulator.Chain.sampleNext(matrix[state], rng.next());
+        const { mean, vol } = distributions[state];
+        growth *= 1 + rng.normal(mean, vol);
+
+        cumulative[k][p] = growth - 1;
+        occupancy[k][state]++;
+        if (p < samplePaths) {
+          path.states.push(state);
+          path.cumulative.push(growth - 1);
+        }
+      }
+      if (p < samplePaths) samples.push(path);
+    }
+
+    return {
+      samples,
+      fan: cumulative.map((values, step) => ({
+        step,
+        quantiles: RegimeSimulator.quantiles(values, levels)
+      })),
+      probabilities: occupancy.map(row => row.map(count => count / paths)),
+      levels
+    };
+  }
+
+  /**
+   * Linearly interpolated sample quantiles
+   */
+  static quantiles(values, levels) {
+    const sorted = Float64Array.from(values).sort();
+    return levels.map(level => {
+      const position = level * (sorted.length - 1);
+      const lo = Math.floor(position);
+      const hi = Math.min(lo + 1, sorted.length - 1);
+      return sorted[lo] + (sorted[hi] - sorted[lo]) * (position - lo);
+    });
+  }
+}
+
+// Allow the simulator to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RegimeSimulator;
+}
@@ -0,0 +1,47 @@
+/**
+ * Seeded Random
+ *
+ * Small deterministic PRNG (mulberry32) with normal draws (Box–Muller), so
+ * simulated demo data is identical on every page load and in Node.
+ */
+
+class SeededRandom {
+  constructor(seed = 1) {
+    this.state = seed >>> 0;
+    this.spare = null; // second Box–Muller draw
+  }
+
+  /**
+   * Uniform in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Normal with the given mean and standard deviation
+   */
+  normal(mean = 0, sd = 1) {
+    if (this.spare !== null) {
+      const z = this.spare;
+      this.spare = null;
+      return mean + sd * z;
+    }
+
+    let u = 0;
+    while (u === 0) u = this.next();
+    const v = this.next();
+    const r = Math.sqrt(-2 * Math.log(u));
+    this.spare = r * Math.sin(2 * Math.PI * v);
+    return mean + sd * r * Math.cos(2 * Math.PI * v);
+  }
+}
+
+// Allow the generator to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeededRandom;
+}
@@ -0,0 +1,270 @@
+/**
+ * Surface Calibration
+ *
+ * Rebuilds implied σ from the raw crossing probabilities in
+ * health-surface-data.json by inverting the digital-crossing model on the
+ * logit scale:
+ *
+ *   P_cross(K, T) = N( (F_T − logit K) / (σ √T) )
+ *
+ * where F_T is the forward logit at horizon T (spot_logit plus drift, none by
+ * default). The model is solved for σ with a bracketed Brent root finder, so
+ * alternative conventions only need a different probability function.
+ *
+ * Near the money F_T ≈ logit K and P_cross ≈ ½, so σ becomes extremely
+ * sensitive to the forward (dσ/dF = 1 / (√T · |N⁻¹(P)|)). Those points are
+ * reported as 'ill-conditioned' rather than silently trusted.
+ */
+
+class SurfaceCalibration {
+  static logit(p) {
+    return Math.log(p / (1 - p));
+  }
+
+  /**
+   * Shared normal-distribution helpers (SurfaceDiagnostics in the browser)
+   */
+  static get normal() {
+    return typeof SurfaceDiagnostics !== 'undefined'
+      ? SurfaceDiagnostics
+      : require('./surface-diagnostics.js');
+  }
+
+  /**
+   * Inverse standard normal CDF (Acklam's rational approximation, refined
+   * with one Halley step)
+   */
+  static normalInv(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const pLow = 0.02425;
+
+    let x;
+    if (p < pLow || p > 1 - pLow) {
+      const q = Math.sqrt(-2 * Math.log(p < pLow ? p : 1 - p));
+      x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+          ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+      if (p > 1 - pLow) x = -x;
+    } else {
+      const q = p - 0.5;
+      const r = q * q;
+      x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+          (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    const { normalCdf, normalPdf } = SurfaceCalibration.normal;
+    const e = normalCdf(x) - p;
+    const u = e / normalPdf(x);
+    return x - u / (1 + x * u / 2);
+  }
+
+  /**
+   * Model crossing probability for a given σ (terminal digital on logit scale)
+   */
+  static digitalProbability(sigma, { forward, k, T }) {
+    const s = sigma * Math.sqrt(T);
+    if (s <= 0) return forward > k ? 1 : (forward < k ? 0 : 0.5);
+    return SurfaceCalibration.normal.normalCdf((forward - k) / s);
+  }
+
+  /**
+   * Brent's method on a bracket [a, b] with f(a)·f(b) ≤ 0
+   *
+   * @returns {{root: number, iterations: number, converged: boolean}}
+   */
+  static brent(f, a, b, { tol = 1e-10, maxIter = 100 } = {}) {
+    let fa = f(a);
+    let fb = f(b);
+    if (fa * fb > 0) return { root: NaN, iterations: 0, converged: false };
+
+    if (Math.abs(fa) < Math.abs(fb)) {
+      [a, b] = [b, a];
+      [fa, fb] = [fb, fa];
+    }
+
+    let c = a;
+    let fc = fa;
+    let d = b - a;
+    let bisected = true;
+
+    for (let iter = 1; iter <= maxIter; iter++) {
+      if (fb === 0 || Math.abs(b - a) < tol) {
+        return { root: b, iterations: iter, converged: true };
+      }
+
+      // Inverse quadratic interpolation, falling back to secant
+      let s;
+      if (fa !== fc && fb !== fc) {
+        s = a * fb * fc / ((fa - fb) * (fa - fc)) +
+            b * fa * fc / ((fb - fa) * (fb - fc)) +
+            c * fa * fb / ((fc - fa) * (fc - fb));
+      } else {
+        s = b - fb * (b - a) / (fb - fa);
+      }
+
+      // Bisect whenever the interpolated step isn't making safe progress
+      const lo = (3 * a + b) / 4;
+      const outside = (s - lo) * (s - b) > 0;
+      const slow = bisected
+        ? Math.abs(s - b) >= Math.abs(b - c) / 2 || Math.abs(b - c) < tol
+        : Math.abs(s - b) >= Math.abs(c - d) / 2 || Math.abs(c - d) < tol;
+
+      if (outside || slow) {
+        s = (a + b) / 2;
+        bisected = true;
+      } else {
+        bisected = false;
+      }
+
+      const fs = f(s);
+      d = c;
+      c = b;
+      fc = fb;
+
+      if (fa * fs < 0) {
+        b = s;
+        fb = fs;
+      } else {
+        a = s;
+        fa = fs;
+      }
+
+      if (Math.abs(fa) < Math.abs(fb)) {
+        [a, b] = [b, a];
+        [fa, fb] = [fb, fa];
+      }
+    }
+
+    return { root: b, iterations: maxIter, converged: false };
+  }
+
+  /**
+   * Solves the digital model for σ at one (K, T)
+   *
+   * @param {number} P - crossing probability
+   * @param {Object} point - { forward, K (fraction), T }
+   * @param {Object} options - { bracket, tol, maxSensitivity }
+   * @returns {{sigma: number|null, status: string, sensitivity: number}}
+   *   status: 'ok' | 'ill-conditioned' | 'no-solution'
+   */
+  static impliedSigma(P, { forward, K, T }, { bracket = [1e-4, 5], tol = 1e-10, maxSensitivity = 5 } = {}) {
+    if (!(P > 0 && P < 1)) {
+      return { sigma: null, status: 'no-solution', sensitivity: Infinity };
+    }
+
+    const k = SurfaceCalibration.logit(K);
+    const f = (sigma) => SurfaceCalibration.digitalProbability(sigma, { forward, k, T }) - P;
+    const { root, converged } = SurfaceCalibration.brent(f, bracket[0], bracket[1], { tol });
+
+    // No sign change: P is on the wrong side of ½ for this forward, or outside the bracket
+    if (!converged || Number.isNaN(root)) {
+      return { sigma: null, status: 'no-solution', sensitivity: Infinity };
+    }
+
+    const sensitivity = 1 / (Math.sqrt(T) * Math.abs(SurfaceCalibration.normalInv(P)));
+    return {
+      sigma: root,
+      status: sensitivity > maxSensitivity ? 'ill-conditioned' : 'ok',
+      sensitivity
+    };
+  }
+
+  /**
+   * Forward logit per maturity.
+   *
+   * @param {Array} rawPoints - raw_points from the data file
+   * @param {number[]} maturities - T values to estimate
+   * @param {number} spotLogit - metadata.spot_logit
+   * @param {'median'|number|Function} forward -
+   *   number:   constant drift per year, F_T = spot + μT; the default 0
+   *             holds the forward at spot;
+   *   'median': F_T where P_cross crosses ½ (linear in N⁻¹(P) vs logit K).
+   *             It makes every point solvable by construction, so it hides
+   *             the points a spot forward can't explain;
+   *   function: T → F_T
+   */
+  static estimateForwards(rawPoints, maturities, spotLogit, forward = 0) {
+    return maturities.map(T => {
+      if (typeof forward === 'function') return { T, forward: forward(T) };
+      if (typeof forward === 'number') return { T, forward: spotLogit + forward * T };
+
+      const points = rawPoints
+        .filter(p => Math.abs(p.T - T) < 1e-9 && p.P_cross > 0 && p.P_cross < 1)
+        .map(p => ({ k: SurfaceCalibration.logit(p.K), z: SurfaceCalibration.normalInv(p.P_cross) }))
+        .sort((a, b) => a.k - b.k);
+
+      for (let i = 0; i < points.length - 1; i++) {
+        const { k: k0, z: z0 } = points[i];
+        const { k: k1, z: z1 } = points[i + 1];
+        if (z0 >= 0 && z1 <= 0 && z0 !== z1) {
+          return { T, forward: k0 + z0 / (z0 - z1) * (k1 - k0) };
+        }
+      }
+
+      // P_cross never crosses ½ at this horizon: fall back to spot
+      return { T, forward: spotLogit };
+    });
+  }
+
+  /**
+   * Recalibrates every raw point and rebuilds a full σ grid on the data axes.
+   * Nodes without a usable σ (unbacked or no-solution) take the nearest
+   * solved σ in the same row, mirroring the published grid's padding, or
+   * keep their published σ when nothing in the row solves (never σ = 0);
+   * SurfaceDiagnostics reports the no-solution ones as unbacked.
+   *
+   * @returns {{forwards: Array, points: Array, grid: number[][]}}
+   */
+  static calibrate(data, options = {}) {
+    const { axes, metadata } = data;
+    const rawPoints = data.raw_points || [];
+    const spotLogit = options.spotLogit !== undefined ? options.spotLogit : metadata.spot_logit;
+
+    const forwards = SurfaceCalibration.estimateForwards(
+      rawPoints, axes.y.values, spotLogit, options.forward
+    );
+    const forwardAt = (T) => forwards.find(f => Math.abs(f.T - T) < 1e-9).forward;
+
+    const points = rawPoints.map(p => {
+      const result = SurfaceCalibration.impliedSigma(p.P_cross, { forward: forwardAt(p.T), K: p.K, T: p.T }, options);
+      return {
+        T: p.T,
+        K: p.K,
+        P_cross: p.P_cross,
+        published: p.sigma,
+        ...result,
+        error: result.sigma === null ? null : result.sigma - p.sigma
+      };
+    });
+
+    const published = data.surface.grid;
+    const grid = axes.y.values.map((T, r) => {
+      const row = axes.x.values.map(K => {
+        const point = points.find(p =>
+          Math.abs(p.T - T) < 1e-9 && Math.abs(p.K * (data.strikeScale || 100) - K) < 1e-6);
+        return point && point.sigma !== null ? point.sigma : null;
+      });
+
+      return row.map((sigma, c) => {
+        if (sigma !== null) return sigma;
+        for (let offset = 1; offset < row.length; offset++) {
+          if (row[c - offset] !== undefined && row[c - offset] !== null) return row[c - offset];
+          if (row[c + offset] !== undefined && row[c + offset] !== null) return row[c + offset];
+        }
+        return published[r][c];
+      });
+    });
+
+    return { forwards, points, grid };
+  }
+}
+
+// Allow the pure functions to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SurfaceCalibration;
+}
@@ -0,0 +1,281 @@
+/**
+ * Surface Camera Controls
+ *
+ * Minimal orbit / zoom / pan controller for the VolatilitySurface "explore"
+ * mode (the three.min.js build doesn't ship OrbitControls).
+ *
+ * - Drag: orbit around the target
+ * - Right-drag / Shift-drag / two-finger drag: pan
+ * - Wheel / pinch: zoom
+ * - Preset views: top-down heatmap, strike-slice front view, maturity-slice
+ *   side view, and home (the presentation camera)
+ *
+ * The camera is described by a spherical offset from `target`; presets ease
+ * between sphericals so switching views never jumps. onChange (if set) is
+ * called once the user has moved the camera, so the view can be saved.
+ */
+
+class SurfaceControls {
+  constructor(camera, domElement, target = new THREE.Vector3(0, 1, 0)) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.enabled = false;
+    this.target = target.clone();
+    this.spherical = new THREE.Spherical();
+    this.pointers = new Map(); // pointerId → { x, y }
+    this.dragMode = null;      // 'rotate' | 'pan'
+    this.pinchDistance = 0;
+    this.transition = null;
+    this.listeners = [];
+    this.onChange = null; // () => void, after a drag, wheel or finished transition
+
+    this.config = {
+      rotateSpeed: 1,
+      zoomSpeed: 0.0015,
+      minRadius: 4,
+      maxRadius: 35,
+      minPolar: 0.001,  // straight down would make lookAt() degenerate
+      maxPolar: Math.PI / 2,
+      transitionMs: 600
+    };
+
+    // Home view = wherever setupCamera() left the camera
+    this.spherical.setFromVector3(camera.position.clone().sub(this.target));
+    this.home = {
+      spherical: this.spherical.clone(),
+      target: this.target.clone()
+    };
+
+    const radius = this.home.spherical.radius;
+    this.views = {
+      home: this.home,
+      // Looking straight down: σ reads as a heatmap over (K, T)
+      top: { spherical: new THREE.Spherical(radius, this.config.minPolar, 0), target: this.home.target },
+      // Looking along the maturity axis: strike runs left → right (smile)
+      front: { spherical: new THREE.Spherical(radius, Math.PI / 2, 0), target: this.home.target },
+      // Looking along the strike axis: maturity runs left → right (term structure)
+      side: { spherical: new THREE.Spherical(radius, Math.PI / 2, Math.PI / 2), target: this.home.target }
+    };
+  }
+
+  init() {
+    const on = (target, type, handler, options) => {
+      target.addEventListener(type, handler, options);
+      this.listeners.push(() => target.removeEventListener(type, handler, options));
+    };
+
+    on(this.domElement, 'pointerdown', (e) => this.onPointerDown(e));
+    on(this.domElement, 'pointermove', (e) => this.onPointerMove(e));
+    on(this.domElement, 'pointerup', (e) => this.onPointerUp(e));
+    on(this.domElement, 'pointercancel', (e) => this.onPointerUp(e));
+    on(this.domElement, 'wheel', (e) => this.onWheel(e), { passive: false });
+    on(this.domElement, 'contextmenu', (e) => {
+      if (this.enabled) e.preventDefault();
+    });
+  }
+
+  enable() {
+    this.enabled = true;
+  }
+
+  /**
+   * Disables input and eases the camera back to the home view
+   */
+  disable() {
+    this.enabled = false;
+    this.pointers.clear();
+    this.dragMode = null;
+    this.setView('home');
+  }
+
+  isDragging() {
+    return this.enabled && this.pointers.size > 0;
+  }
+
+  /**
+   * Eases to a named preset view ('home' | 'top' | 'front' | 'side')
+   */
+  setView(name) {
+    const view = this.views[name];
+    if (!view) return;
+    this.easeTo(view);
+  }
+
+  easeTo(view) {
+    this.transition = {
+      start: performance.now(),
+      from: { spherical: this.spherical.clone(), target: this.target.clone() },
+      to: view
+    };
+  }
+
+  /**
+   * The camera as [radius, phi, theta, target x, y, z], theta in (-π, π]
+   */
+  getCamera() {
+    const { radius, phi, theta } = this.spherical;
+    const { x, y, z } = this.target;
+    return [radius, phi, Math.atan2(Math.sin(theta), Math.cos(theta)), x, y, z];
+  }
+
+  /**
+   * Eases to a getCamera() array, clamped to the zoom / polar limits;
+   * ignored unless it is six finite numbers
+   */
+  setCamera(values) {
+    if (!Array.isArray(values) || values.length !== 6 || !values.every(Number.isFinite)) return;
+
+    const [radius, phi, theta, x, y, z] = values;
+    const { minRadius, maxRadius, minPolar, maxPolar } = this.config;
+    this.easeTo({
+      spherical: new THREE.Spherical(
+        Math.max(minRadius, Math.min(maxRadius, radius)),
+        Math.max(minPolar, Math.min(maxPolar, phi)),
+        theta
+      ),
+      target: new THREE.Vector3(x, y, z)
+    });
+  }
+
+  notifyChange() {
+    if (this.onChange) this.onChange();
+  }
+
+  onPointerDown(e) {
+    if (!this.enabled) return;
+
+    this.transition = null;
+    this.domElement.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pointers.size === 1) {
+      this.dragMode = (e.button === 2 || e.shiftKey || e.ctrlKey || e.metaKey) ? 'pan' : 'rotate';
+    } else if (this.pointers.size === 2) {
+      this.pinchDistance = this.getPinchDistance();
+    }
+  }
+
+  onPointerMove(e) {
+    const prev = this.pointers.get(e.pointerId);
+    if (!this.enabled || !prev) return;
+
+    const dx = e.clientX - prev.x;
+    const dy = e.clientY - prev.y;
+
+    if (this.pointers.size === 1) {
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (this.dragMode === 'pan') {
+        this.pan(dx, dy);
+      } else {
+        this.rotate(dx, dy);
+      }
+      return;
+    }
+
+    // Two fingers: pinch to zoom, move the midpoint to pan
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const distance = this.getPinchDistance();
+    if (this.pinchDistance > 0 && distance > 0) {
+      this.zoom(this.pinchDistance / distance);
+    }
+    this.pinchDistance = distance;
+    this.pan(dx / 2, dy / 2);
+  }
+
+  onPointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+
+    this.pointers.delete(e.pointerId);
+    if (this.domElement.hasPointerCapture(e.pointerId)) {
+      this.domElement.releasePointerCapture(e.pointerId);
+    }
+    this.pinchDistance = 0;
+    if (this.pointers.size === 0) {
+      this.dragMode = null;
+      this.notifyChange();
+    }
+  }
+
+  onWheel(e) {
+    if (!this.enabled) return;
+
+    e.preventDefault();
+    this.transition = null;
+    this.zoom(Math.exp(e.deltaY * this.config.zoomSpeed));
+    this.notifyChange();
+  }
+
+  getPinchDistance() {
+    const [a, b] = [...this.pointers.values()];
+    return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+  }
+
+  rotate(dx, dy) {
+    const height = this.domElement.clientHeight || window.innerHeight;
+    const { rotateSpeed, minPolar, maxPolar } = this.config;
+
+    this.spherical.theta -= (2 * Math.PI * dx / height) * rotateSpeed;
+    this.spherical.phi -= (2 * Math.PI * dy / height) * rotateSpeed;
+    this.spherical.phi = Math.max(minPolar, Math.min(maxPolar, this.spherical.phi));
+  }
+
+  /**
+   * Moves the target in the camera's screen plane so the surface tracks the cursor
+   */
+  pan(dx, dy) {
+    const height = this.domElement.clientHeight || window.innerHeight;
+    const fov = THREE.MathUtils.degToRad(this.camera.fov);
+    const worldPerPixel = 2 * this.spherical.radius * Math.tan(fov / 2) / height;
+
+    const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 1);
+
+    this.target.addScaledVector(right, -dx * worldPerPixel);
+    this.target.addScaledVector(up, dy * worldPerPixel);
+  }
+
+  zoom(scale) {
+    const { minRadius, maxRadius } = this.config;
+    this.spherical.radius = Math.max(minRadius, Math.min(maxRadius, this.spherical.radius * scale));
+  }
+
+  /**
+   * Advances any preset transition and applies the spherical to the camera.
+   * Called from VolatilitySurface.animate() every frame.
+   */
+  update() {
+    if (this.transition) {
+      const { start, from, to } = this.transition;
+      const t = Math.min(1, (performance.now() - start) / this.config.transitionMs);
+      const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+      // Take the short way round in theta
+      let dTheta = (to.spherical.theta - from.spherical.theta) % (2 * Math.PI);
+      if (dTheta > Math.PI) dTheta -= 2 * Math.PI;
+      if (dTheta < -Math.PI) dTheta += 2 * Math.PI;
+
+      this.spherical.set(
+        from.spherical.radius + (to.spherical.radius - from.spherical.radius) * ease,
+        from.spherical.phi + (to.spherical.phi - from.spherical.phi) * ease,
+        from.spherical.theta + dTheta * ease
+      );
+      this.target.lerpVectors(from.target, to.target, ease);
+
+      if (t >= 1) {
+        this.transition = null;
+        this.notifyChange();
+      }
+    } else if (!this.enabled) {
+      return;
+    }
+
+    this.camera.position.setFromSpherical(this.spherical).add(this.target);
+    this.camera.lookAt(this.target);
+  }
+
+  dispose() {
+    this.listeners.forEach(off => off());
+    this.listeners = [];
+    this.pointers.clear();
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * Surface Datasets
+ *
+ * Loads surfaces for the VolatilitySurface from dataset descriptors
+ * (data/surface-datasets.json) and normalises every source format into one
+ * shape through pluggable schemas:
+ *
+ *   {
+ *     metadata,                               // source metadata, as shipped
+ *     axes: { x, y },                         // { label, symbol, unit, values, ticks }
+ *     surface: { z_label, z_symbol, z_scale, grid },
+ *     raw_points,                             // optional calibrated points
+ *     strikeScale,                            // raw_points K × strikeScale = x-axis units
+ *     atmStrike,                              // at-the-money strike in x-axis units, if known
+ *     display: { title, asof, spot }          // overlay text
+ *   }
+ *
+ * Descriptor fields (all optional except id / schema / url or vintages):
+ *   id, label, schema, url, vintages (manifest of { asof_year, url }),
+ *   axes.{x,y}.{label, symbol, unit, ticks}, z.{label, symbol, scale},
+ *   strikeScale, atm_strike, columns (CSV column names), asof_year and
+ *   source (CSV metadata)
+ */
+
+class SurfaceDatasets {
+  /**
+   * Shared fetch / cache / validation (DataLoader in the browser)
+   */
+  static get Loader() {
+    return typeof DataLoader !== 'undefined'
+      ? DataLoader
+      : require('./data-loader.js').DataLoader;
+  }
+
+  /**
+   * Registers a schema: { format: 'json' | 'text', validate: DataLoader
+   * schema name (optional), parse(raw, descriptor) }
+   */
+  static register(name, schema) {
+    SurfaceDatasets.schemas[name] = schema;
+  }
+
+  /**
+   * Reads the dataset manifest; without one, the built-in obesity surface
+   */
+  static async loadManifest(url) {
+    try {
+      const manifest = await SurfaceDatasets.Loader.load(url, { schema: 'surface-datasets' });
+      if (manifest.datasets.length > 0) {
+        return manifest.datasets;
+      }
+    } catch (e) {
+      console.warn('No surface dataset manifest, using built-in dataset:', e.message);
+    }
+    return [SurfaceDatasets.DEFAULT_DESCRIPTOR];
+  }
+
+  /**
+   * Loads every vintage of a dataset, normalised and sorted by as-of year.
+   * Vintages that fail to load, validate or parse are skipped and passed to
+   * onError(error, entry).
+   */
+  static async load(descriptor, { onError = () => {} } = {}) {
+    const schema = SurfaceDatasets.schemas[descriptor.schema];
+    if (!schema) {
+      const error = new Error(`Unknown surface schema: ${descriptor.schema}`);
+      console.error(error.message);
+      onError(error, descriptor);
+      return [];
+    }
+
+    let entries = [{ url: descriptor.url }];
+    if (descriptor.vintages) {
+      try {
+        const manifest = await SurfaceDatasets.Loader.load(descriptor.vintages, { schema: 'surface-vintages' });
+        if (manifest.vintages.length > 0) {
+          entries = manifest.vintages;
+        }
+      } catch (e) {
+        console.warn(`No vintage manifest for ${descriptor.id}, loading single snapshot:`, e.message);
+      }
+    }
+
+    const loaded = await Promise.all(entries.filter(entry => entry.url).map(async (entry) => {
+      try {
+        const raw = await SurfaceDatasets.Loader.load(entry.url, {
+          format: schema.format,
+          schema: schema.validate || null
+        });
+        const data = schema.parse(raw, descriptor, entry);
+        return { asof_year: data.display.asof, url: entry.url, data };
+      } catch (e) {
+        console.warn(`Could not load surface ${descriptor.id} from ${entry.url}:`, e.message);
+        onError(e, entry);
+        return null;
+      }
+    }));
+
+    const vintages = loaded.filter(Boolean).sort((a, b) => a.asof_year - b.asof_year);
+    SurfaceDatasets.fitZScale(vintages);
+    return vintages;
+  }
+
+  /**
+   * Descriptor overrides on top of the source's own axis fields; ticks
+   * default to the first, middle and last knot
+   */
+  static buildAxis(source, override = {}) {
+    const values = source.values;
+    return {
+      label: override.label || source.label || '',
+      symbol: override.symbol || source.symbol || '',
+      unit: override.unit !== undefined ? override.unit : (source.unit || ''),
+      values,
+      ticks: override.ticks || source.ticks ||
+        [values[0], values[Math.floor((values.length - 1) / 2)], values[values.length - 1]]
+    };
+  }
+
+  /**
+   * Without a z scale in the descriptor, scale so the highest σ across all
+   * vintages sits at FIT_HEIGHT — one scale for all, so morphs stay honest
+   */
+  static fitZScale(vintages) {
+    const missing = vintages.filter(v => !v.data.surface.z_scale);
+    if (missing.length === 0) return;
+
+    const maxSigma = Math.max(...vintages.map(v => Math.max(...v.data.surface.grid.flat())));
+    const scale = maxSigma > 0 ? SurfaceDatasets.FIT_HEIGHT / maxSigma : 1;
+    missing.forEach(v => {
+      v.data.surface.z_scale = scale;
+    });
+  }
+}
+
+SurfaceDatasets.FIT_HEIGHT = 6;
+
+SurfaceDatasets.DEFAULT_DESCRIPTOR = {
+  id: 'us-obesity',
+  label: 'US obesity (CDC BRFSS)',
+  schema: 'health-surface',
+  url: 'data/health-surface-data.json',
+  vintages: 'data/health-surface-vintages.json'
+};
+
+SurfaceDatasets.schemas = {};
+
+// ================================
+// Schema: health-surface JSON (obesity-vol-surface pipeline output)
+// ================================
+// Grid shape, σ and P_cross ranges are checked by DataLoader before parse.
+SurfaceDatasets.register('health-surface', {
+  format: 'json',
+  validate: 'health-surface',
+  parse(json, descriptor) {
+    const axes = descriptor.axes || {};
+    const z = descriptor.z || {};
+    const { metadata } = json;
+
+    return {
+      metadata,
+      axes: {
+        x: SurfaceDatasets.buildAxis(json.axes.x, axes.x),
+        y: SurfaceDatasets.buildAxis(json.axes.y, axes.y)
+      },
+      surface: {
+        z_label: z.label || json.surface.z_label,
+        z_symbol: z.symbol || 'σ',
+        z_scale: z.scale,
+        grid: json.surface.grid
+      },
+      raw_points: json.raw_points || [],
+      strikeScale: descriptor.strikeScale || 100,
+      atmStrike: descriptor.atm_strike !== undefined ? descriptor.atm_strike : metadata.spot_obesity_pct,
+      display: {
+        title: metadata.title,
+        asof: metadata.asof_year,
+        spot: metadata.spot_obesity_pct !== undefined
+          ? `spot obesity ${metadata.spot_obesity_pct.toFixed(1)}%`
+          : ''
+      }
+    };
+  }
+});
+
+// ================================
+// Schema: long-format implied-vol CSV (one row per (maturity, strike))
+// ================================
+//   maturity,strike,iv
+//   0.25,3800,0.231
+//   ...
+// Column names come from descriptor.columns ({ x, y, z }); the as-of year
+// from the vintage entry or descriptor.asof_year.
+SurfaceDatasets.register('iv-csv', {
+  format: 'text',
+  parse(text, descriptor, entry = {}) {
+    const columns = Object.assign({ x: 'strike', y: 'maturity', z: 'iv' }, descriptor.columns);
+    const rows = text.trim().split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim()));
+    const header = rows.shift();
+    const index = {
+      x: header.indexOf(columns.x),
+      y: header.indexOf(columns.y),
+      z: header.indexOf(columns.z)
+    };
+    if (Object.values(index).some(i => i < 0)) {
+      throw new Error(`CSV must have columns ${columns.x}, ${columns.y}, ${columns.z}`);
+    }
+
+    const points = rows
+      .map(cells => ({ x: parseFloat(cells[index.x]), y: parseFloat(cells[index.y]), z: parseFloat(cells[index.z]) }))
+      .filter(p => [p.x, p.y, p.z].every(Number.isFinite));
+
+    const unique = (key) => [...new Set(points.map(p => p[key]))].sort((a, b) => a - b);
+    const xs = unique('x');
+    const ys = unique('y');
+
+    // Missing cells take the nearest quoted strike in the same maturity row
+    const grid = ys.map(y => {
+      const row = xs.map(x => {
+        const point = points.find(p => p.x === x && p.y === y);
+        return point ? point.z : null;
+      });
+      return row.map((z, c) => {
+        if (z !== null) return z;
+        for (let offset = 1; offset < row.length; offset++) {
+          if (row[c - offset] != null) return row[c - offset];
+          if (row[c + offset] != null) return row[c + offset];
+        }
+        return 0;
+      });
+    });
+
+    const axes = descriptor.axes || {};
+    const z = descriptor.z || {};
+    const asof = entry.asof_year || descriptor.asof_year;
+
+    return {
+      metadata: { title: descriptor.label, asof_year: asof, source: descriptor.source },
+      axes: {
+        x: SurfaceDatasets.buildAxis({ label: 'Strike', values: xs }, axes.x),
+        y: SurfaceDatasets.buildAxis({ label: 'Maturity', values: ys }, axes.y)
+      },
+      surface: {
+        z_label: z.label || 'Implied volatility',
+        z_symbol: z.symbol || 'σ',
+        z_scale: z.scale,
+        grid
+      },
+      raw_points: [],
+      strikeScale: descriptor.strikeScale || 1,
+      atmStrike: descriptor.atm_strike,
+      display: { title: descriptor.label, asof, spot: '' }
+    };
+  }
+});
+
+// Allow the schemas to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SurfaceDatasets;
+}
@@ -0,0 +1,414 @@
+/**
+ * Surface Diagnostics
+ *
+ * Static-arbitrage and data-quality checks on a normalised surface dataset
+ * (see SurfaceDatasets), plus an overlay that marks offending nodes on the
+ * wireframe and lists every check in a panel.
+ *
+ * Checks (most severe first):
+ * - calendar:  total variance w = σ²T must be non-decreasing in T at fixed K
+ * - butterfly: Bachelier call prices on the logit scale, C(k) = E[(X_T − k)⁺]
+ *              with X_T ~ N(spot_logit, σ(K)²T), must be convex in k = logit(K)
+ * - pcross:    P_cross must be non-increasing in K at fixed T
+ * - unbacked:  grid nodes with no raw point behind them (padded / extrapolated),
+ *              or, on a recalibrated grid, whose raw point did not solve
+ *
+ * Checks that need inputs a dataset doesn't carry (spot_logit, raw_points)
+ * are skipped rather than reported as failures.
+ */
+
+// ================================
+// Pure checks
+// ================================
+class SurfaceDiagnostics {
+  static logit(p) {
+    return Math.log(p / (1 - p));
+  }
+
+  static normalPdf(x) {
+    return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+  }
+
+  /**
+   * Standard normal CDF (Abramowitz & Stegun 26.2.17, |error| < 7.5e-8)
+   */
+  static normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 +
+                 t * (-1.821255978 + t * 1.330274429))));
+    const tail = SurfaceDiagnostics.normalPdf(x) * poly;
+    return x >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Undiscounted Bachelier call E[(X_T − k)⁺] for X_T ~ N(x0, σ²T)
+   */
+  static bachelierCall(x0, k, sigma, T) {
+    const s = sigma * Math.sqrt(T);
+    if (s <= 0) return Math.max(x0 - k, 0);
+
+    const d = (x0 - k) / s;
+    return (x0 - k) * SurfaceDiagnostics.normalCdf(d) + s * SurfaceDiagnostics.normalPdf(d);
+  }
+
+  /**
+   * Raw points store K as a fraction; grid axes may be in other units
+   */
+  static strikeOf(data, point) {
+    return point.K * (data.strikeScale || 100);
+  }
+
+  static issue(row, col, axes, message) {
+    return { row, col, T: axes.y.values[row], K: axes.x.values[col], message };
+  }
+
+  static calendarSpread(data, tol = 1e-6) {
+    const { axes, surface } = data;
+    const Ts = axes.y.values;
+    const issues = [];
+
+    axes.x.values.forEach((K, c) => {
+      for (let r = 1; r < Ts.length; r++) {
+        const prev = surface.grid[r - 1][c] ** 2 * Ts[r - 1];
+        const curr = surface.grid[r][c] ** 2 * Ts[r];
+        if (curr < prev - tol) {
+          issues.push(SurfaceDiagnostics.issue(r, c, axes,
+            `σ²T falls from ${prev.toFixed(4)} (${Ts[r - 1]}y) to ${curr.toFixed(4)}`));
+        }
+      }
+    });
+
+    return {
+      id: 'calendar',
+      label: 'Calendar spread',
+      description: 'Total variance σ²T non-decreasing in T',
+      issues
+    };
+  }
+
+  /**
+   * Call slopes may only rise with k. priceTol is in call-price units and is
+   * divided by the knot spacing, so the slope tolerance follows the grid:
+   * 1e-4 covers σ quoted to 4 decimals (vega ≤ √T φ(0) per node), which
+   * would otherwise flag pure rounding noise where both slopes are ≈ 0.
+   */
+  static butterfly(data, priceTol = 1e-4) {
+    const { axes, surface, metadata } = data;
+    const x0 = metadata && metadata.spot_logit;
+    const result = {
+      id: 'butterfly',
+      label: 'Butterfly / convexity',
+      description: 'Logit-scale call prices convex in K',
+      issues: []
+    };
+    if (x0 === undefined) return { ...result, skipped: 'no spot_logit in metadata' };
+
+    const Ks = axes.x.values;
+    const ks = Ks.map(K => SurfaceDiagnostics.logit(K / (data.strikeScale || 100)));
+    const { issues } = result;
+
+    axes.y.values.forEach((T, r) => {
+      const calls = surface.grid[r].map((sigma, c) => SurfaceDiagnostics.bachelierCall(x0, ks[c], sigma, T));
+
+      for (let c = 1; c < Ks.length - 1; c++) {
+        const left = (calls[c] - calls[c - 1]) / (ks[c] - ks[c - 1]);
+        const right = (calls[c + 1] - calls[c]) / (ks[c + 1] - ks[c]);
+        const tol = priceTol / (ks[c] - ks[c - 1]) + priceTol / (ks[c + 1] - ks[c]);
+        if (right < left - tol) {
+          issues.push(SurfaceDiagnostics.issue(r, c, axes,
+            `call slope drops from ${left.toFixed(4)} to ${right.toFixed(4)} (negative density)`));
+        }
+      }
+    });
+
+    return result;
+  }
+
+  static probabilityMonotonicity(data, tol = 1e-6) {
+    const { axes } = data;
+    const raw = data.raw_points || [];
+    const issues = [];
+    const result = {
+      id: 'pcross',
+      label: 'P_cross monotone in K',
+      description: 'Crossing probability non-increasing in K',
+      issues
+    };
+    if (raw.length === 0) return { ...result, skipped: 'no raw points' };
+
+    axes.y.values.forEach((T, r) => {
+      const points = raw
+        .filter(p => Math.abs(p.T - T) < 1e-6)
+        .sort((a, b) => a.K - b.K);
+
+      for (let i = 1; i < points.length; i++) {
+        if (points[i].P_cross > points[i - 1].P_cross + tol) {
+          const strike = SurfaceDiagnostics.strikeOf(data, points[i]);
+          const col = axes.x.values.findIndex(K => Math.abs(K - strike) < 1e-6);
+          issues.push(SurfaceDiagnostics.issue(r, col, axes,
+            `P_cross rises from ${points[i - 1].P_cross} to ${points[i].P_cross}`));
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * @param {Object} calibration - SurfaceCalibration.calibrate() result when
+   *   the grid is recalibrated; its unsolved points count as unbacked
+   */
+  static unbackedNodes(data, calibration = null) {
+    const { axes, surface } = data;
+    const raw = data.raw_points || [];
+    const issues = [];
+    const result = {
+      id: 'unbacked',
+      label: 'Backed by raw points',
+      description: 'Every grid node has a calibrated raw point',
+      issues
+    };
+    // Quoted grids (e.g. an IV CSV) have no raw points to back them
+    if (raw.length === 0) return { ...result, skipped: 'no raw points' };
+
+    axes.y.values.forEach((T, r) => {
+      axes.x.values.forEach((K, c) => {
+        const at = (p) => Math.abs(p.T - T) < 1e-6 && Math.abs(SurfaceDiagnostics.strikeOf(data, p) - K) < 1e-6;
+        if (!raw.some(at)) {
+          const repeats = c > 0 && surface.grid[r][c] === surface.grid[r][c - 1];
+          issues.push(SurfaceDiagnostics.issue(r, c, axes, repeats
+            ? `no raw point — padded (repeats ${axes.x.symbol || 'K'} = ${axes.x.values[c - 1]}${axes.x.unit || ''})`
+            : 'no raw point — extrapolated'));
+          return;
+        }
+
+        const point = calibration && calibration.points.find(at);
+        if (point && point.sigma === null) {
+          issues.push(SurfaceDiagnostics.issue(r, c, axes,
+            `raw point did not solve (P_cross ${point.P_cross}) — padded from the nearest solved σ`));
+        }
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Runs every check, most severe first
+   *
+   * @param {Object} options - { tol, priceTol (see butterfly), calibration
+   *   (see unbackedNodes) }
+   */
+  static run(data, { tol = 1e-6, priceTol = 1e-4, calibration = null } = {}) {
+    return [
+      SurfaceDiagnostics.calendarSpread(data, tol),
+      SurfaceDiagnostics.butterfly(data, priceTol),
+      SurfaceDiagnostics.probabilityMonotonicity(data, tol),
+      SurfaceDiagnostics.unbackedNodes(data, calibration)
+    ];
+  }
+}
+
+// ================================
+// Overlay
+// ================================
+class DiagnosticsOverlay {
+  constructor(surface, panelId = 'surface-diagnostics') {
+    this.surface = surface;
+    this.panel = document.getElementById(panelId);
+    this.checks = [];
+    this.flagged = []; // one entry per marked node: { u, v, row, col, checks }
+    this.markers = null;
+    this.open = false;
+
+    this.config = {
+      markerSize: 0.3,
+      lift: 0.05,
+      colors: {
+        calendar: '#ff9f1c',
+        butterfly: '#c77dff',
+        pcross: '#4cc9f0',
+        unbacked: '#888888'
+      }
+    };
+  }
+
+  init() {
+    this.refresh();
+  }
+
+  /**
+   * (Re-)runs the checks — again whenever the grid changes (e.g. recalibration)
+   */
+  refresh() {
+    this.dispose();
+    this.checks = SurfaceDiagnostics.run(this.surface.surfaceData, { calibration: this.surface.calibration });
+    this.collectFlagged();
+    this.createMarkers();
+    this.renderPanel();
+    this.setMode(this.surface.mode);
+    this.logFailures();
+  }
+
+  logFailures() {
+    const failing = this.checks.filter(check => check.issues.length > 0);
+    if (failing.length > 0) {
+      console.warn('Surface diagnostics:', failing.map(c => `${c.label} (${c.issues.length})`).join(', '));
+    }
+  }
+
+  /**
+   * Merges issues by node; a node's marker takes the colour of its most
+   * severe check
+   */
+  collectFlagged() {
+    const { axes } = this.surface.surfaceData;
+    const byNode = new Map();
+
+    this.checks.forEach(check => {
+      check.issues.forEach(issue => {
+        const key = `${issue.row}:${issue.col}`;
+        if (!byNode.has(key)) {
+          byNode.set(key, {
+            row: issue.row,
+            col: issue.col,
+            u: this.surface.axisPositionOf(axes.x.values, issue.K),
+            v: this.surface.axisPositionOf(axes.y.values, issue.T),
+            checks: []
+          });
+        }
+        byNode.get(key).checks.push({ id: check.id, label: check.label, message: issue.message });
+      });
+    });
+
+    this.flagged = [...byNode.values()];
+  }
+
+  createMarkers() {
+    const geometry = new THREE.BufferGeometry();
+    const colors = [];
+    this.flagged.forEach(node => {
+      const color = new THREE.Color(this.config.colors[node.checks[0].id]);
+      colors.push(color.r, color.g, color.b);
+    });
+
+    geometry.setAttribute('position',
+      new THREE.Float32BufferAttribute(new Array(this.flagged.length * 3).fill(0), 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+    this.markers = new THREE.Points(geometry, new THREE.PointsMaterial({
+      size: this.config.markerSize,
+      vertexColors: true,
+      depthTest: false
+    }));
+    this.markers.visible = false;
+    this.surface.surfaceGroup.add(this.markers);
+  }
+
+  renderPanel() {
+    if (!this.panel) return;
+
+    const list = document.createElement('ul');
+    list.className = 'diagnostics-list';
+
+    this.checks.forEach(check => {
+      const item = document.createElement('li');
+      item.className = check.issues.length ? 'diagnostics-check is-failing' : 'diagnostics-check';
+
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      const swatch = document.createElement('span');
+      swatch.className = 'diagnostics-swatch';
+      swatch.style.background = this.config.colors[check.id];
+      const status = check.skipped
+        ? 'skipped'
+        : (check.issues.length ? `${check.issues.length} flagged` : 'pass');
+      summary.append(swatch, `${check.label} — ${status}`);
+      details.appendChild(summary);
+
+      const description = document.createElement('p');
+      description.textContent = check.skipped
+        ? `${check.description} (skipped: ${check.skipped})`
+        : check.description;
+      details.appendChild(description);
+
+      if (check.issues.length) {
+        const issues = document.createElement('ul');
+        check.issues.forEach(issue => {
+          const li = document.createElement('li');
+          li.textContent = `${this.surface.formatAxis('x', issue.K)} / ${this.surface.formatAxis('y', issue.T)}: ${issue.message}`;
+          issues.appendChild(li);
+        });
+        details.appendChild(issues);
+      }
+
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+
+    const title = document.createElement('h3');
+    title.textContent = 'Surface diagnostics';
+    this.panel.replaceChildren(title, list);
+  }
+
+  /**
+   * Issues flagged at a grid node (used by the hover readout)
+   */
+  issuesAt(K, T) {
+    const node = this.flagged.find(n => {
+      const { axes } = this.surface.surfaceData;
+      return Math.abs(axes.x.values[n.col] - K) < 1e-6 && Math.abs(axes.y.values[n.row] - T) < 1e-6;
+    });
+    return node ? node.checks : [];
+  }
+
+  toggle(open = !this.open) {
+    this.open = open;
+    this.setMode(this.surface.mode);
+  }
+
+  /**
+   * Panel and markers are only shown while exploring
+   */
+  setMode(mode) {
+    const visible = mode === 'explore' && this.open;
+    if (this.panel) this.panel.hidden = !visible;
+    if (this.markers) this.markers.visible = visible;
+
+    const button = this.surface.toolbar &&
+      this.surface.toolbar.querySelector('[data-layer="diagnostics"]');
+    if (button) button.setAttribute('aria-pressed', String(this.open));
+  }
+
+  /**
+   * Keeps markers on the (waving) wireframe.
+   * Called from VolatilitySurface.animate() every frame.
+   */
+  update() {
+    if (!this.markers || !this.markers.visible) return;
+
+    const { scaleX, scaleY } = this.surface.config;
+    const positions = this.markers.geometry.attributes.position;
+    this.flagged.forEach((node, i) => {
+      positions.setXYZ(i,
+        (node.u - 0.5) * scaleX,
+        this.surface.heightAt(node.u, node.v) + this.config.lift,
+        (node.v - 0.5) * scaleY
+      );
+    });
+    positions.needsUpdate = true;
+  }
+
+  dispose() {
+    if (!this.markers) return;
+    if (this.markers.parent) this.markers.parent.remove(this.markers);
+    this.markers.geometry.dispose();
+    this.markers.material.dispose();
+    this.markers = null;
+  }
+}
+
+// Allow the pure checks to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SurfaceDiagnostics;
+}
@@ -0,0 +1,189 @@
+/**
+ * Surface Fallback
+ *
+ * Degraded mode for the background surface when VolatilitySurface can't run:
+ * no WebGL, or Three.js / D3 didn't load. Draws the published σ grid of the
+ * default dataset's latest vintage as a static SVG heatmap in place of the
+ * canvas. It uses plain DOM calls, so it needs neither library, and the
+ * surface badge says why the 3D view is missing.
+ */
+
+class SurfaceFallback {
+  /**
+   * @param {string} canvasId - the surface canvas to stand in for
+   * @param {string} reason - shown in the badge, e.g. "WebGL is not available"
+   */
+  constructor(canvasId, reason = '') {
+    this.canvas = document.getElementById(canvasId);
+    this.reason = reason;
+    this.svg = null;
+    this.surfaceData = null;
+
+    this.config = {
+      datasetsUrl: 'data/surface-datasets.json',
+      colormap: 'viridis',
+      width: 640,
+      height: 400,
+      margin: { top: 50, right: 30, bottom: 50, left: 70 }
+    };
+  }
+
+  /**
+   * Whether this browser can create a WebGL context
+   */
+  static supportsWebGL() {
+    try {
+      const canvas = document.createElement('canvas');
+      return Boolean(window.WebGLRenderingContext &&
+        (canvas.getContext('webgl2') || canvas.getContext('webgl')));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async init() {
+    const datasets = await SurfaceDatasets.loadManifest(this.config.datasetsUrl);
+    const vintages = await SurfaceDatasets.load(datasets[0], {
+      onError: (error) => console.warn('Surface fallback:', error.message)
+    });
+
+    if (this.canvas) this.canvas.hidden = true;
+    if (vintages.length === 0) {
+      this.setBadge(`3D view unavailable (${this.reason}) · surface data failed to load`);
+      return;
+    }
+
+    this.surfaceData = vintages[vintages.length - 1].data;
+    this.render();
+    this.updateOverlay();
+    this.setBadge(`Static heatmap · ${this.reason}`);
+  }
+
+  static element(name, attributes = {}) {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', name);
+    Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+  }
+
+  formatAxis(axis, value, digits = 1) {
+    return `${value.toFixed(digits)}${this.surfaceData.axes[axis].unit}`;
+  }
+
+  /**
+   * σ grid as coloured cells: strikes across, maturities down, with the
+   * value in each cell and axis labels
+   */
+  render() {
+    const { width, height, margin, colormap } = this.config;
+    const { axes, surface, display } = this.surfaceData;
+    const el = SurfaceFallback.element;
+    const sigmas = surface.grid.flat();
+    const lo = Math.min(...sigmas);
+    const hi = Math.max(...sigmas);
+    const color = (sigma) => {
+      const [r, g, b] = SurfaceColormap.sample(colormap, (sigma - lo) / (hi - lo || 1));
+      return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+    };
+
+    const cols = axes.x.values.length;
+    const rows = axes.y.values.length;
+    const cellWidth = (width - margin.left - margin.right) / cols;
+    const cellHeight = (height - margin.top - margin.bottom) / rows;
+
+    this.svg = el('svg', {
+      class: 'three-canvas surface-fallback',
+      viewBox: `0 0 ${width} ${height}`,
+      preserveAspectRatio: 'xMidYMid meet',
+      role: 'img',
+      'aria-label': `${display.title} (static heatmap)`,
+      'aria-describedby': 'surface-description'
+    });
+
+    const title = el('text', { x: width / 2, y: margin.top - 20, 'text-anchor': 'middle', class: 'surface-fallback-title' });
+    title.textContent = `${surface.z_label} by ${axes.x.symbol || 'K'} and ${axes.y.symbol || 'T'}`;
+    this.svg.appendChild(title);
+
+    surface.grid.forEach((row, r) => {
+      const y = margin.top + r * cellHeight;
+      row.forEach((sigma, c) => {
+        const x = margin.left + c * cellWidth;
+        this.svg.appendChild(el('rect', {
+          x: x + 1, y: y + 1, width: cellWidth - 2, height: cellHeight - 2, fill: color(sigma)
+        }));
+        const value = el('text', {
+          x: x + cellWidth / 2,
+          y: y + cellHeight / 2 + 4,
+          'text-anchor': 'middle',
+          fill: (sigma - lo) / (hi - lo || 1) > 0.6 ? '#111' : '#eee'
+        });
+        value.textContent = sigma.toFixed(2);
+        this.svg.appendChild(value);
+      });
+
+      const label = el('text', { x: margin.left - 8, y: y + cellHeight / 2 + 4, 'text-anchor': 'end' });
+      label.textContent = this.formatAxis('y', axes.y.values[r], 0);
+      this.svg.appendChild(label);
+    });
+
+    axes.x.values.forEach((K, c) => {
+      const label = el('text', { x: margin.left + (c + 0.5) * cellWidth, y: height - margin.bottom + 18, 'text-anchor': 'middle' });
+      label.textContent = this.formatAxis('x', K, 0);
+      this.svg.appendChild(label);
+    });
+
+    const xLabel = el('text', { x: margin.left + (width - margin.left - margin.right) / 2, y: height - 12, 'text-anchor': 'middle' });
+    xLabel.textContent = axes.x.label;
+    const yLabel = el('text', {
+      x: -(margin.top + (height - margin.top - margin.bottom) / 2),
+      y: 18,
+      transform: 'rotate(-90)',
+      'text-anchor': 'middle'
+    });
+    yLabel.textContent = axes.y.label;
+    this.svg.append(xLabel, yLabel);
+
+    if (this.canvas) {
+      this.canvas.after(this.svg);
+    } else {
+      document.body.prepend(this.svg);
+    }
+  }
+
+  /**
+   * Overlay title / spot and the screen-reader description, as the 3D view
+   * would set them
+   */
+  updateOverlay() {
+    const { metadata, axes, surface, display } = this.surfaceData;
+    const titleEl = document.querySelector('.surface-title');
+    const spotEl = document.querySelector('.surface-spot');
+    if (titleEl) titleEl.textContent = display.asof ? `${display.title} · ${display.asof}` : display.title;
+    if (spotEl) spotEl.textContent = [display.asof ? `As of ${display.asof}` : '', display.spot].filter(Boolean).join(' · ');
+
+    const description = document.getElementById('surface-description');
+    if (!description) return;
+    const range = (axis) => {
+      const { values } = axes[axis];
+      return `${axes[axis].label} from ${this.formatAxis(axis, values[0])} to ${this.formatAxis(axis, values[values.length - 1])}`;
+    };
+    description.textContent = [
+      `Static heatmap of the ${display.title}${display.asof ? ` as of ${display.asof}` : ''}; the 3D view is unavailable (${this.reason}).`,
+      `${surface.z_label} over ${range('x')} (columns) and ${range('y')} (rows).`,
+      metadata.source ? `Source: ${metadata.source}.` : ''
+    ].filter(Boolean).join(' ');
+  }
+
+  setBadge(text) {
+    const badge = document.querySelector('.surface-badge');
+    if (!badge) return;
+    badge.hidden = false;
+    badge.className = 'surface-badge surface-badge-warning';
+    badge.textContent = text;
+  }
+
+  dispose() {
+    if (this.svg) this.svg.remove();
+    this.svg = null;
+    if (this.canvas) this.canvas.hidden = false;
+  }
+}
@@ -0,0 +1,315 @@
+/**
+ * Surface Heatmap
+ *
+ * Flat view of the background VolatilitySurface for the expanded
+ * health-surface card: the published σ grid as a (K, T) heatmap, with the
+ * smile and term structure through a selected node underneath. Reads
+ * surface.surfaceData, so it always shows the dataset / vintage on screen.
+ * Clicking a cell (or arrow keys once the chart has focus) moves the
+ * selection.
+ */
+
+class SurfaceHeatmapViz extends BaseViz {
+  /**
+   * @param {string} containerId
+   * @param {VolatilitySurface} surface
+   * @param {Promise} ready - resolves once the surface has loaded its data
+   */
+  constructor(containerId, surface, ready = Promise.resolve()) {
+    super(containerId, { width: 300, height: 420 }, { top: 30, right: 15, bottom: 30, left: 50 });
+    this.surface = surface;
+    this.selected = null; // { row, col } into surface.grid
+    this.setNavigation(() => this.navigationRows());
+    this.init(ready);
+  }
+
+  async init(ready) {
+    try {
+      await ready;
+    } catch (error) {
+      console.error('Surface failed to load:', error);
+    }
+    this.data = this.surface && this.surface.surfaceData;
+    if (!this.data) {
+      this.clear();
+      const status = this.surface && this.surface.dataStatus;
+      if (status) this.setStatus('error', status.text, status.detail);
+      d3.select(this.container).append('p')
+        .attr('class', 'viz-empty')
+        .text('Surface data is not available.');
+      return;
+    }
+
+    const { axes } = this.data;
+    this.selected = {
+      row: Math.floor(axes.y.values.length / 2),
+      col: Math.floor(axes.x.values.length / 2)
+    };
+    this.cursor = { row: this.selected.row, index: this.selected.col };
+    this.render();
+  }
+
+  /**
+   * Colour for σ in [lo, hi], from the surface's shading colormap when it
+   * has a sequential one
+   */
+  colorFor(lo, hi) {
+    const shading = this.surface.config.shading;
+    const name = shading && shading.colormap !== 'diverging' ? shading.colormap : 'viridis';
+    return (sigma) => {
+      const [r, g, b] = SurfaceColormap.sample(name, (sigma - lo) / (hi - lo || 1));
+      return d3.rgb(r * 255, g * 255, b * 255).formatHex();
+    };
+  }
+
+  render() {
+    this.clear();
+    this.createSVG();
+
+    const { axes, surface } = this.data;
+    const [lo, hi] = d3.extent(surface.grid.flat());
+    const color = this.colorFor(lo, hi);
+    const k = this.scale;
+    const layout = { heatmapHeight: 190 * k, slicesTop: 190 * k + 50 * k };
+    layout.sliceHeight = this.height - layout.slicesTop;
+    layout.sliceWidth = (this.width - 40 * k) / 2;
+
+    // ========== σ Heatmap ==========
+    const heatmap = this.svg.append('g');
+    const xBand = d3.scaleBand()
+      .domain(d3.range(axes.x.values.length))
+      .range([0, this.width])
+      .padding(0.04);
+    const yBand = d3.scaleBand()
+      .domain(d3.range(axes.y.values.length))
+      .range([0, layout.heatmapHeight])
+      .padding(0.04);
+    const showValues = xBand.bandwidth() >= 26 * k;
+
+    surface.grid.forEach((row, r) => {
+      row.forEach((sigma, c) => {
+        const cell = heatmap.append('g')
+          .attr('class', 'heatmap-cell')
+          .attr('transform', `translate(${xBand(c)},${yBand(r)})`)
+          .style('cursor', 'pointer')
+          .on('click', () => this.select(r, c));
+
+        cell.append('rect')
+          .attr('width', xBand.bandwidth())
+          .attr('height', yBand.bandwidth())
+          .attr('fill', color(sigma))
+          .attr('stroke', r === this.selected.row || c === this.selected.col ? '#fff' : 'none')
+          .attr('stroke-width', r === this.selected.row && c === this.selected.col ? 2 : 0.5);
+
+        this.attachTooltip(cell, () =>
+          `${this.sliceLabel('x', axes.x.values[c])}, ${this.sliceLabel('y', axes.y.values[r])}<br>` +
+          `<strong>${surface.z_symbol || 'σ'} = ${sigma.toFixed(3)}</strong>`);
+
+        if (showValues) {
+          cell.append('text')
+            .attr('x', xBand.bandwidth() / 2)
+            .attr('y', yBand.bandwidth() / 2 + 3 * k)
+            .attr('text-anchor', 'middle')
+            .attr('fill', (sigma - lo) / (hi - lo || 1) > 0.6 ? '#111' : '#eee')
+            .attr('font-size', this.font(8))
+            .attr('pointer-events', 'none')
+            .text(sigma.toFixed(2));
+        }
+      });
+    });
+
+    heatmap.append('g')
+      .attr('transform', `translate(0,${layout.heatmapHeight})`)
+      .call(d3.axisBottom(xBand).tickFormat(c => this.surface.formatAxis('x', axes.x.values[c], 0)))
+      .call(SurfaceHeatmapViz.styleAxis);
+    heatmap.append('g')
+      .call(d3.axisLeft(yBand).tickFormat(r => this.surface.formatAxis('y', axes.y.values[r], 0)))
+      .call(SurfaceHeatmapViz.styleAxis);
+
+    this.svg.append('text')
+      .attr('x', this.width / 2)
+      .attr('y', -14)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#ff4c4c')
+      .attr('font-size', this.font(11))
+      .attr('font-weight', 'bold')
+      .text(`${surface.z_label} by ${axes.x.symbol || 'K'} and ${axes.y.symbol || 'T'}`);
+    this.svg.append('text')
+      .attr('x', this.width / 2)
+      .attr('y', layout.heatmapHeight + 28 * k)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#aaa')
+      .attr('font-size', this.font(10))
+      .text(axes.x.label);
+
+    // ========== Slices through the selected node ==========
+    const { row, col } = this.selected;
+    const yDomain = [0, hi * 1.1];
+    this.renderSlice({
+      left: 0,
+      top: layout.slicesTop,
+      width: layout.sliceWidth,
+      height: layout.sliceHeight,
+      points: axes.x.values.map((K, c) => ({ x: K, sigma: surface.grid[row][c] })),
+      yDomain,
+      axis: 'x',
+      color: '#ff4c4c',
+      title: `Smile (${this.sliceLabel('y', axes.y.values[row])})`
+    });
+    this.renderSlice({
+      left: layout.sliceWidth + 40 * k,
+      top: layout.slicesTop,
+      width: layout.sliceWidth,
+      height: layout.sliceHeight,
+      points: axes.y.values.map((T, r) => ({ x: T, sigma: surface.grid[r][col] })),
+      yDomain,
+      axis: 'y',
+      color: '#ffcc00',
+      title: `Term structure (${this.sliceLabel('x', axes.x.values[col])})`
+    });
+
+    this.addExportMenu();
+    this.addDataTable();
+    this.describe(`${surface.z_label} heatmap`, this.summary());
+  }
+
+  /**
+   * Text version of the heatmap for its <desc>: grid extent, the lowest and
+   * highest σ and the selected node
+   */
+  summary() {
+    const { axes, surface } = this.data;
+    const symbol = surface.z_symbol || 'σ';
+    const cells = surface.grid.flatMap((row, r) => row.map((sigma, c) => ({ sigma, r, c })));
+    const lowest = cells.reduce((a, d) => (d.sigma < a.sigma ? d : a));
+    const highest = cells.reduce((a, d) => (d.sigma > a.sigma ? d : a));
+    const at = ({ r, c }) => `${this.sliceLabel('x', axes.x.values[c])}, ${this.sliceLabel('y', axes.y.values[r])}`;
+    const range = (axis) => {
+      const { values } = axes[axis];
+      return `${this.surface.formatAxis(axis, values[0])} to ${this.surface.formatAxis(axis, values[values.length - 1])}`;
+    };
+    const { row, col } = this.selected;
+
+    return [
+      `${surface.z_label} on a ${axes.y.values.length} × ${axes.x.values.length} grid:` +
+        ` ${axes.y.label} ${range('y')} by ${axes.x.label} ${range('x')}.`,
+      `Lowest ${symbol} ${lowest.sigma.toFixed(3)} at ${at(lowest)};` +
+        ` highest ${highest.sigma.toFixed(3)} at ${at(highest)}.`,
+      `Selected ${at({ r: row, c: col })}, ${symbol} = ${surface.grid[row][col].toFixed(3)},` +
+        ' with its smile and term structure below.'
+    ].join(' ');
+  }
+
+  /**
+   * Keyboard rows: one per maturity, across the strikes
+   */
+  navigationRows() {
+    if (!this.data) return [];
+    const { axes, surface } = this.data;
+    const symbol = surface.z_symbol || 'σ';
+
+    return axes.y.values.map((T, r) => ({
+      name: this.sliceLabel('y', T),
+      size: axes.x.values.length,
+      label: (c) => `${this.sliceLabel('x', axes.x.values[c])}, ${this.sliceLabel('y', T)}:` +
+        ` ${symbol} = ${surface.grid[r][c].toFixed(3)}`,
+      onMove: (c) => this.select(r, c),
+      anchor: (c) => this.svg.selectAll('.heatmap-cell').nodes()[r * axes.x.values.length + c]
+    }));
+  }
+
+  /**
+   * The σ grid as a table (rows: maturities, columns: strikes)
+   */
+  tableData() {
+    const { axes, surface } = this.data;
+    return [{
+      caption: `${surface.z_label} by ${axes.y.label} (rows) and ${axes.x.label} (columns)`,
+      columns: [
+        `${axes.y.symbol || 'T'} \\ ${axes.x.symbol || 'K'}`,
+        ...axes.x.values.map(K => this.surface.formatAxis('x', K))
+      ],
+      rows: surface.grid.map((row, r) => [
+        this.surface.formatAxis('y', axes.y.values[r]),
+        ...row.map(sigma => sigma.toFixed(3))
+      ])
+    }];
+  }
+
+  /**
+   * The surface's own σ grid / raw points / JSON downloads
+   */
+  exportData() {
+    const name = this.surface.dataset ? this.surface.dataset.id : 'surface';
+    return this.surface.exportData().map(item => ({ ...item, filename: `${name}-${item.filename}` }));
+  }
+
+  /**
+   * One knot-by-knot slice of the grid, as a line with markers
+   */
+  renderSlice({ left, top, width, height, points, yDomain, axis, color, title }) {
+    const group = this.svg.append('g').attr('transform', `translate(${left},${top})`);
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(points, d => d.x))
+      .range([0, width]);
+    const yScale = d3.scaleLinear()
+      .domain(yDomain)
+      .range([height, 0]);
+
+    group.append('path')
+      .datum(points)
+      .attr('fill', 'none')
+      .attr('stroke', color)
+      .attr('stroke-width', 2)
+      .attr('d', d3.line().x(d => xScale(d.x)).y(d => yScale(d.sigma)));
+    group.selectAll('circle')
+      .data(points)
+      .join('circle')
+      .attr('cx', d => xScale(d.x))
+      .attr('cy', d => yScale(d.sigma))
+      .attr('r', 2.5 * this.scale)
+      .attr('fill', '#0d0d0d')
+      .attr('stroke', color);
+
+    group.append('g')
+      .attr('transform', `translate(0,${height})`)
+      .call(d3.axisBottom(xScale).ticks(this.ticks(2)).tickFormat(d => this.surface.formatAxis(axis, d, 0)))
+      .call(SurfaceHeatmapViz.styleAxis);
+    group.append('g')
+      .call(d3.axisLeft(yScale).ticks(4))
+      .call(SurfaceHeatmapViz.styleAxis);
+    group.append('text')
+      .attr('x', width / 2)
+      .attr('y', -8)
+      .attr('text-anchor', 'middle')
+      .attr('fill', color)
+      .attr('font-size', this.font(10))
+      .attr('font-weight', 'bold')
+      .text(title);
+  }
+
+  /**
+   * e.g. "T = 5.0y", as in the background slice panels
+   */
+  sliceLabel(axis, value) {
+    const symbol = this.data.axes[axis].symbol || axis;
+    return `${symbol} = ${this.surface.formatAxis(axis, value)}`;
+  }
+
+  select(row, col) {
+    const { axes } = this.data;
+    this.selected = {
+      row: Math.max(0, Math.min(axes.y.values.length - 1, row)),
+      col: Math.max(0, Math.min(axes.x.values.length - 1, col))
+    };
+    this.cursor = { row: this.selected.row, index: this.selected.col };
+    this.render();
+    if (this.root) this.root.node().focus();
+  }
+
+  static styleAxis(g) {
+    g.attr('color', '#888')
+      .selectAll('text')
+      .attr('fill', '#ccc');
+  }
+}
@@ -0,0 +1,307 @@
+/**
+ * Surface Inspector
+ *
+ * Raycasts mouse / touch positions against the VolatilitySurface and shows a
+ * crosshair snapped to the nearest mesh node, with a readout of the
+ * interpolated strike K, maturity T and implied σ. When the node is one of the
+ * calibrated raw_points, P_cross and the pipeline note are shown as well.
+ *
+ * The wireframe itself (LineSegments) can't be raycast reliably, so an
+ * invisible triangle mesh sharing the wireframe's position buffer is used for
+ * picking — it follows the wave animation for free.
+ */
+
+class SurfaceInspector {
+  constructor(surface, readoutId = 'surface-readout') {
+    this.surface = surface;
+    this.readout = document.getElementById(readoutId);
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.pickMesh = null;
+    this.crosshair = null;
+    this.marker = null;
+    this.activeNode = null;
+    this.listeners = [];
+
+    this.config = {
+      // Elements that own the pointer — hovering them never triggers a readout
+      blockSelector: 'a, button, input, select, textarea, label, .viz-container, .surface-slices, .surface-diagnostics',
+      color: 0xff4c4c,
+      markerSize: 0.25,
+      readoutOffset: { x: 16, y: 16 }
+    };
+  }
+
+  init() {
+    this.createPickMesh();
+    this.createCrosshair();
+    this.bindEvents();
+  }
+
+  /**
+   * Invisible triangulated copy of the render grid used as raycast target
+   */
+  createPickMesh() {
+    const { x: gridX, y: gridY } = this.surface.config.renderGrid;
+    const source = this.surface.surface.geometry;
+    const geometry = new THREE.BufferGeometry();
+    const indices = [];
+
+    for (let i = 0; i < gridY; i++) {
+      for (let j = 0; j < gridX; j++) {
+        const a = i * (gridX + 1) + j;
+        const b = a + gridX + 1;
+        indices.push(a, b, a + 1);
+        indices.push(b, b + 1, a + 1);
+      }
+    }
+
+    geometry.setAttribute('position', source.attributes.position);
+    geometry.setIndex(indices);
+
+    // Bounding sphere is computed once; pad it so the wave never escapes it
+    geometry.computeBoundingSphere();
+    geometry.boundingSphere.radius += this.surface.config.waveAmplitude;
+
+    const material = new THREE.MeshBasicMaterial({
+      visible: false,
+      side: THREE.DoubleSide
+    });
+
+    this.pickMesh = new THREE.Mesh(geometry, material);
+    this.surface.surfaceGroup.add(this.pickMesh);
+  }
+
+  /**
+   * Heights changed (new vintage / σ source): refit the pick mesh bounds
+   */
+  refresh() {
+    const geometry = this.pickMesh.geometry;
+    geometry.computeBoundingSphere();
+    geometry.boundingSphere.radius += this.surface.config.waveAmplitude;
+    this.hide();
+  }
+
+  /**
+   * Crosshair: a drop line from the node to the floor, two floor guides out to
+   * the strike and maturity axes, and a point marker on the node itself
+   */
+  createCrosshair() {
+    const lineGeometry = new THREE.BufferGeometry();
+    lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(new Array(18).fill(0), 3));
+
+    this.crosshair = new THREE.LineSegments(lineGeometry, new THREE.LineBasicMaterial({
+      color: this.config.color,
+      opacity: 0.8,
+      transparent: true,
+      depthTest: false
+    }));
+
+    const markerGeometry = new THREE.BufferGeometry();
+    markerGeometry.setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0], 3));
+
+    this.marker = new THREE.Points(markerGeometry, new THREE.PointsMaterial({
+      color: this.config.color,
+      size: this.config.markerSize,
+      depthTest: false
+    }));
+
+    this.crosshair.visible = false;
+    this.marker.visible = false;
+    this.surface.surfaceGroup.add(this.crosshair);
+    this.surface.surfaceGroup.add(this.marker);
+  }
+
+  bindEvents() {
+    const on = (target, type, handler, options) => {
+      target.addEventListener(type, handler, options);
+      this.listeners.push(() => target.removeEventListener(type, handler, options));
+    };
+
+    // The canvas sits behind .content-wrapper, so listen on the window and
+    // raycast from client coordinates (the canvas is fixed and full-screen)
+    on(window, 'pointermove', (e) => {
+      if (e.pointerType === 'touch') return; // touch uses tap, not drag
+      this.handlePointer(e);
+    }, { passive: true });
+
+    on(window, 'pointerdown', (e) => {
+      if (e.pointerType !== 'touch') return;
+      this.handlePointer(e);
+    }, { passive: true });
+
+    on(document, 'mouseleave', () => this.hide());
+    on(window, 'blur', () => this.hide());
+  }
+
+  handlePointer(e) {
+    const controls = this.surface.controls;
+    if (controls && controls.isDragging()) {
+      this.hide();
+      return;
+    }
+    if (e.target && e.target.closest && e.target.closest(this.config.blockSelector)) {
+      this.hide();
+      return;
+    }
+
+    const node = this.pick(e.clientX, e.clientY);
+    if (node) {
+      this.show(node, e.clientX, e.clientY);
+    } else {
+      this.hide();
+    }
+  }
+
+  /**
+   * Raycasts a client-space position and returns the snapped node, or null
+   */
+  pick(clientX, clientY) {
+    const rect = this.surface.canvas.getBoundingClientRect();
+    this.pointer.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+
+    this.raycaster.setFromCamera(this.pointer, this.surface.camera);
+    const hit = this.raycaster.intersectObject(this.pickMesh, false)[0];
+    if (!hit) return null;
+
+    const local = this.surface.surfaceGroup.worldToLocal(hit.point.clone());
+    return this.snapToNode(local);
+  }
+
+  /**
+   * Snaps a surface-local point to the nearest render-grid node. Data knots
+   * take priority when they fall within half a render cell, so hovering near
+   * a calibrated point always lands exactly on it.
+   */
+  snapToNode(local) {
+    const { renderGrid, scaleX, scaleY } = this.surface.config;
+    const { axes } = this.surface.surfaceData;
+    const clamp = (t) => Math.max(0, Math.min(1, t));
+
+    const u = clamp(local.x / scaleX + 0.5);
+    const v = clamp(local.z / scaleY + 0.5);
+
+    const nearest = (positions, t) => positions.reduce((best, p) =>
+      Math.abs(p - t) < Math.abs(best - t) ? p : best
+    );
+    const knotU = nearest(this.surface.knotPositions(axes.x.values), u);
+    const knotV = nearest(this.surface.knotPositions(axes.y.values), v);
+
+    const onKnot = Math.abs(knotU - u) <= 0.5 / renderGrid.x &&
+                   Math.abs(knotV - v) <= 0.5 / renderGrid.y;
+
+    const nu = onKnot ? knotU : Math.round(u * renderGrid.x) / renderGrid.x;
+    const nv = onKnot ? knotV : Math.round(v * renderGrid.y) / renderGrid.y;
+    const values = this.surface.valuesAt(nu, nv);
+
+    return {
+      u: nu,
+      v: nv,
+      ...values,
+      raw: onKnot ? this.surface.rawPointAt(values.K, values.T) : null
+    };
+  }
+
+  show(node, clientX, clientY) {
+    // Redraws the crosshair when the loop is idle on a static frame
+    this.surface.requestRender();
+    this.activeNode = node;
+    this.crosshair.visible = true;
+    this.marker.visible = true;
+    this.update();
+
+    if (!this.readout) return;
+
+    const { axes, surface } = this.surface.surfaceData;
+    this.readout.replaceChildren(
+      this.createRow(axes.x.symbol || 'K', this.surface.formatAxis('x', node.K)),
+      this.createRow(axes.y.symbol || 'T', this.surface.formatAxis('y', node.T)),
+      this.createRow(surface.z_symbol, node.sigma.toFixed(4))
+    );
+    if (node.raw) {
+      this.readout.append(
+        this.createRow('P_cross', node.raw.P_cross.toFixed(4)),
+        this.createRow('note', node.raw.note)
+      );
+    }
+
+    // Flags from the diagnostics overlay, when it's switched on
+    const diagnostics = this.surface.diagnostics;
+    if (diagnostics && diagnostics.open) {
+      diagnostics.issuesAt(node.K, node.T).forEach(issue => {
+        this.readout.append(this.createRow('⚠', issue.label));
+      });
+    }
+
+    // Keep the readout on-screen near the right / bottom edges
+    const { x: dx, y: dy } = this.config.readoutOffset;
+    this.readout.hidden = false;
+    const { offsetWidth: w, offsetHeight: h } = this.readout;
+    const left = clientX + dx + w > window.innerWidth ? clientX - dx - w : clientX + dx;
+    const top = clientY + dy + h > window.innerHeight ? clientY - dy - h : clientY + dy;
+    this.readout.style.left = `${Math.max(0, left)}px`;
+    this.readout.style.top = `${Math.max(0, top)}px`;
+  }
+
+  createRow(label, value) {
+    const row = document.createElement('div');
+    row.className = 'surface-readout-row';
+
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    const valueEl = document.createElement('strong');
+    valueEl.textContent = value;
+
+    row.append(labelEl, valueEl);
+    return row;
+  }
+
+  hide() {
+    if (this.crosshair && this.crosshair.visible) this.surface.requestRender();
+    this.activeNode = null;
+    if (this.crosshair) this.crosshair.visible = false;
+    if (this.marker) this.marker.visible = false;
+    if (this.readout) this.readout.hidden = true;
+  }
+
+  /**
+   * Moves the crosshair to the active node's current (animated) height.
+   * Called from VolatilitySurface.animate() every frame.
+   */
+  update() {
+    if (!this.activeNode) return;
+
+    const { scaleX, scaleY } = this.surface.config;
+    const halfX = scaleX / 2;
+    const halfZ = scaleY / 2;
+    const x = (this.activeNode.u - 0.5) * scaleX;
+    const z = (this.activeNode.v - 0.5) * scaleY;
+    const y = this.surface.heightAt(this.activeNode.u, this.activeNode.v);
+
+    const lines = this.crosshair.geometry.attributes.position;
+    [
+      [x, y, z], [x, 0, z],         // drop line to the floor
+      [x, 0, z], [x, 0, halfZ],     // guide to the strike axis (front edge)
+      [x, 0, z], [halfX, 0, z]      // guide to the maturity axis (right edge)
+    ].forEach((p, i) => lines.setXYZ(i, ...p));
+    lines.needsUpdate = true;
+
+    const marker = this.marker.geometry.attributes.position;
+    marker.setXYZ(0, x, y, z);
+    marker.needsUpdate = true;
+  }
+
+  dispose() {
+    this.listeners.forEach(off => off());
+    this.listeners = [];
+    [this.pickMesh, this.crosshair, this.marker].forEach(obj => {
+      if (!obj) return;
+      if (obj.parent) obj.parent.remove(obj);
+      obj.geometry.dispose();
+      obj.material.dispose();
+    });
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Surface Interpolation
+ *
+ * Pure interpolation schemes for a σ grid on non-uniform (K, T) knots, in
+ * real axis coordinates rather than grid indices:
+ * - 'bilinear': piecewise linear in K, then in T
+ * - 'bicubic':  tensor-product monotone cubic Hermite (Catmull-Rom
+ *               tangents on non-uniform knots, limited as in Fritsch–Carlson)
+ * - 'spline':   natural cubic spline (C², zero curvature at the ends) in
+ *               total variance w = σ²T, in K then in T, converted back to
+ *               σ = √(w / T)
+ *
+ * All schemes interpolate the knots exactly and clamp (flat-extrapolate)
+ * outside the grid. None overshoots its knots: the bicubic tangents are
+ * limited, and the spline's w is clipped to the range of its cell's corners
+ * where it would ring past them (next to a spike), so it can't spill into
+ * the neighbours or drive total variance negative.
+ */
+
+class SurfaceInterpolation {
+  /**
+   * Segment containing x: knots[i] ≤ x ≤ knots[i + 1], with t ∈ [0,1] the
+   * position inside it. x is clamped to the knot range.
+   */
+  static findInterval(knots, x) {
+    const n = knots.length - 1;
+    const clamped = Math.max(knots[0], Math.min(knots[n], x));
+
+    let i = 0;
+    while (i < n - 1 && clamped > knots[i + 1]) i++;
+
+    const h = knots[i + 1] - knots[i];
+    return { i, t: h > 0 ? (clamped - knots[i]) / h : 0, x: clamped };
+  }
+
+  static linear(knots, values, x) {
+    if (knots.length === 1) return values[0];
+
+    const { i, t } = SurfaceInterpolation.findInterval(knots, x);
+    return values[i] + t * (values[i + 1] - values[i]);
+  }
+
+  /**
+   * Catmull-Rom tangents (one-sided at the ends), limited as in
+   * Fritsch–Carlson: zero at a local extremum or flat segment, and scaled
+   * back where they would overshoot, so each segment stays monotone
+   */
+  static monotoneTangents(knots, values) {
+    const n = knots.length - 1;
+    if (n < 1) return values.map(() => 0);
+    const secant = (k) => (values[k + 1] - values[k]) / (knots[k + 1] - knots[k]);
+    const m = [];
+
+    for (let k = 0; k <= n; k++) {
+      if (k === 0 || k === n) {
+        m.push(secant(Math.min(k, n - 1)));
+      } else if (secant(k - 1) * secant(k) <= 0) {
+        m.push(0);
+      } else {
+        m.push((values[k + 1] - values[k - 1]) / (knots[k + 1] - knots[k - 1]));
+      }
+    }
+
+    for (let k = 0; k < n; k++) {
+      const d = secant(k);
+      if (d === 0) {
+        m[k] = 0;
+        m[k + 1] = 0;
+        continue;
+      }
+      const a = Math.max(0, m[k] / d);
+      const b = Math.max(0, m[k + 1] / d);
+      const scale = a * a + b * b > 9 ? 3 / Math.sqrt(a * a + b * b) : 1;
+      m[k] = scale * a * d;
+      m[k + 1] = scale * b * d;
+    }
+    return m;
+  }
+
+  static hermiteAt(knots, values, m, x) {
+    if (knots.length === 1) return values[0];
+
+    const { i, t } = SurfaceInterpolation.findInterval(knots, x);
+    const h = knots[i + 1] - knots[i];
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    return (2 * t3 - 3 * t2 + 1) * values[i] +
+           (t3 - 2 * t2 + t) * h * m[i] +
+           (-2 * t3 + 3 * t2) * values[i + 1] +
+           (t3 - t2) * h * m[i + 1];
+  }
+
+  /**
+   * Monotone cubic Hermite through (knots, values)
+   */
+  static monotoneCubic(knots, values, x) {
+    const m = SurfaceInterpolation.monotoneTangents(knots, values);
+    return SurfaceInterpolation.hermiteAt(knots, values, m, x);
+  }
+
+  /**
+   * Second derivatives of the natural cubic spline through (knots, values)
+   * (tridiagonal solve, M₀ = Mₙ = 0)
+   */
+  static splineSecondDerivatives(knots, values) {
+    const n = knots.length - 1;
+    const M = new Array(n + 1).fill(0);
+    if (n < 2) return M;
+
+    const c = new Array(n + 1).fill(0);
+    const d = new Array(n + 1).fill(0);
+
+    for (let k = 1; k < n; k++) {
+      const h0 = knots[k] - knots[k - 1];
+      const h1 = knots[k + 1] - knots[k];
+      const rhs = 6 * ((values[k + 1] - values[k]) / h1 - (values[k] - values[k - 1]) / h0);
+      const diag = 2 * (h0 + h1) - h0 * c[k - 1];
+
+      c[k] = h1 / diag;
+      d[k] = (rhs - h0 * d[k - 1]) / diag;
+    }
+
+    for (let k = n - 1; k >= 1; k--) {
+      M[k] = d[k] - c[k] * M[k + 1];
+    }
+    return M;
+  }
+
+  static splineAt(knots, values, M, x) {
+    if (knots.length === 1) return values[0];
+
+    const { i, x: xc } = SurfaceInterpolation.findInterval(knots, x);
+    const h = knots[i + 1] - knots[i];
+    const a = (knots[i + 1] - xc) / h;
+    const b = (xc - knots[i]) / h;
+
+    return a * values[i] + b * values[i + 1] +
+           ((a * a * a - a) * M[i] + (b * b * b - b) * M[i + 1]) * h * h / 6;
+  }
+
+  static spline(knots, values, x) {
+    const M = SurfaceInterpolation.splineSecondDerivatives(knots, values);
+    return SurfaceInterpolation.splineAt(knots, values, M, x);
+  }
+
+  /**
+   * [min, max] of the grid values around (x, y): the cell's four corners,
+   * or just the two ends of an edge (one node at a knot) it lies on
+   */
+  static cellRange(xs, ys, grid, x, y) {
+    const around = (knots, value) => {
+      if (knots.length === 1) return [0];
+      const { i, t } = SurfaceInterpolation.findInterval(knots, value);
+      if (t === 0) return [i];
+      if (t === 1) return [i + 1];
+      return [i, i + 1];
+    };
+    const corners = around(ys, y).flatMap(r => around(xs, x).map(c => grid[r][c]));
+    return [Math.min(...corners), Math.max(...corners)];
+  }
+
+  /**
+   * Tensor-product 2D interpolation: along x within every row, then along y
+   *
+   * @param {Function} interp1d - (knots, values, x) → value
+   * @param {number[]} xs - column knots (strike K)
+   * @param {number[]} ys - row knots (maturity T)
+   * @param {number[][]} grid - grid[row][col]
+   */
+  static separable(interp1d, xs, ys, grid, x, y) {
+    const column = grid.map(row => interp1d(xs, row, x));
+    return interp1d(ys, column, y);
+  }
+
+  static bilinear(xs, ys, grid, x, y) {
+    return SurfaceInterpolation.separable(SurfaceInterpolation.linear, xs, ys, grid, x, y);
+  }
+
+  static bicubic(xs, ys, grid, x, y) {
+    return SurfaceInterpolation.separable(SurfaceInterpolation.monotoneCubic, xs, ys, grid, x, y);
+  }
+
+  static totalVarianceSpline(xs, ys, grid, x, y) {
+    return SurfaceInterpolation.create('spline', xs, ys, grid)(x, y);
+  }
+
+  /**
+   * Builds an interpolator (K, T) → σ for a method name. The spline variant
+   * precomputes its per-row second derivatives, so prefer this over the
+   * static helpers when evaluating many points.
+   */
+  static create(method, xs, ys, grid) {
+    switch (method) {
+      case 'bilinear':
+        return (x, y) => SurfaceInterpolation.bilinear(xs, ys, grid, x, y);
+
+      case 'bicubic':
+        return (x, y) => SurfaceInterpolation.bicubic(xs, ys, grid, x, y);
+
+      case 'spline': {
+        const variance = grid.map((row, r) => row.map(sigma => sigma * sigma * ys[r]));
+        const rowM = variance.map(row => SurfaceInterpolation.splineSecondDerivatives(xs, row));
+
+        return (x, y) => {
+          const column = variance.map((row, r) => SurfaceInterpolation.splineAt(xs, row, rowM[r], x));
+          const [lo, hi] = SurfaceInterpolation.cellRange(xs, ys, variance, x, y);
+          const w = Math.max(lo, Math.min(hi, SurfaceInterpolation.spline(ys, column, y)));
+          const T = SurfaceInterpolation.findInterval(ys, y).x;
+          return Math.sqrt(w / T);
+        };
+      }
+
+      default:
+        throw new Error(`Unknown interpolation method: ${method}`);
+    }
+  }
+
+  /**
+   * Interpolated vs. calibrated σ at each raw point. raw_points store K as a
+   * fraction; pass strikeScale = 100 when the axes are in percent.
+   */
+  static residuals(interpolate, rawPoints, strikeScale = 100) {
+    return rawPoints.map(p => {
+      const fitted = interpolate(p.K * strikeScale, p.T);
+      return { T: p.T, K: p.K, sigma: p.sigma, fitted, error: fitted - p.sigma };
+    });
+  }
+}
+
+SurfaceInterpolation.METHODS = ['bilinear', 'bicubic', 'spline'];
+
+// Allow the pure functions to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SurfaceInterpolation;
+}
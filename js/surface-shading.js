@@ -0,0 +1,451 @@
+/**
+ * Surface Shading
+ *
+ * Alternative render mode for the VolatilitySurface: a filled, lit mesh with
+ * per-vertex colours from a σ colormap, optional contour lines at fixed σ
+ * levels and an HTML colour-bar legend. The wireframe stays underneath as a
+ * faint grid. Small σ differences (0.01–0.30) that vanish in a wireframe
+ * become readable as colour.
+ *
+ * Colormaps:
+ * - 'viridis', 'inferno': sequential over the grid's σ range
+ * - 'diverging':          σ − σ_ATM(T), centred on the at-the-money σ of
+ *                         each maturity, so the smile reads as blue / red
+ */
+
+// ================================
+// Colormaps (pure)
+// ================================
+class SurfaceColormap {
+  /**
+   * Colour at t ∈ [0,1] along a named map, linear between stops
+   *
+   * @returns {number[]} [r, g, b] in [0,1]
+   */
+  static sample(name, t) {
+    const stops = SurfaceColormap.STOPS[name];
+    if (!stops) throw new Error(`Unknown colormap: ${name}`);
+
+    const x = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(x));
+    const f = x - i;
+    const a = SurfaceColormap.hexToRgb(stops[i]);
+    const b = SurfaceColormap.hexToRgb(stops[i + 1]);
+    return a.map((channel, k) => channel + (b[k] - channel) * f);
+  }
+
+  static hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255];
+  }
+
+  /**
+   * CSS linear-gradient() for a legend bar, low → high left to right
+   */
+  static gradient(name) {
+    const stops = SurfaceColormap.STOPS[name];
+    return `linear-gradient(to right, ${stops.map((c, i) =>
+      `${c} ${(i / (stops.length - 1) * 100).toFixed(1)}%`).join(', ')})`;
+  }
+
+  /**
+   * Contour levels: multiples of step inside [lo, hi]
+   */
+  static levels(lo, hi, step) {
+    const levels = [];
+    for (let level = Math.ceil(lo / step) * step; level <= hi + 1e-9; level += step) {
+      levels.push(Number(level.toFixed(6)));
+    }
+    return levels;
+  }
+
+  /**
+   * Marching squares on a (cols × rows) node grid of values[row][col].
+   * Returns segments as pairs of { u, v } in normalised grid coordinates.
+   * Saddle cells (all four edges crossed) are split by the cell-centre
+   * average: the diagonal pair of corners on its side stays joined.
+   */
+  static contour(values, level) {
+    const rows = values.length - 1;
+    const cols = values[0].length - 1;
+    const segments = [];
+
+    const cross = (a, b, pa, pb) => {
+      if ((a < level) === (b < level)) return null;
+      const t = (level - a) / (b - a);
+      return { u: pa.u + (pb.u - pa.u) * t, v: pa.v + (pb.v - pa.v) * t };
+    };
+
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const p00 = { u: c / cols, v: r / rows };
+        const p10 = { u: (c + 1) / cols, v: r / rows };
+        const p11 = { u: (c + 1) / cols, v: (r + 1) / rows };
+        const p01 = { u: c / cols, v: (r + 1) / rows };
+        const s00 = values[r][c];
+        const s10 = values[r][c + 1];
+        const s11 = values[r + 1][c + 1];
+        const s01 = values[r + 1][c];
+
+        // Crossings on the bottom, right, top and left edges
+        const edges = [
+          cross(s00, s10, p00, p10),
+          cross(s10, s11, p10, p11),
+          cross(s11, s01, p11, p01),
+          cross(s01, s00, p01, p00)
+        ];
+        const points = edges.filter(Boolean);
+
+        if (points.length === 2) {
+          segments.push(points);
+        } else if (points.length === 4) {
+          const centre = (s00 + s10 + s11 + s01) / 4;
+          if ((centre < level) === (s00 < level)) {
+            // s00 and s11 joined through the centre: cut off s10 and s01
+            segments.push([edges[0], edges[1]], [edges[2], edges[3]]);
+          } else {
+            // s10 and s01 joined: cut off s00 and s11
+            segments.push([edges[3], edges[0]], [edges[1], edges[2]]);
+          }
+        }
+      }
+    }
+    return segments;
+  }
+}
+
+SurfaceColormap.STOPS = {
+  viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+  inferno: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'],
+  diverging: ['#2166ac', '#67a9cf', '#d1e5f0', '#f7f7f7', '#fddbc7', '#ef8a62', '#b2182b']
+};
+
+SurfaceColormap.NAMES = Object.keys(SurfaceColormap.STOPS);
+
+// ================================
+// Shaded mesh layer
+// ================================
+class SurfaceShading {
+  constructor(surface, legendId = 'surface-legend') {
+    this.surface = surface;
+    this.legend = document.getElementById(legendId);
+    this.mesh = null;
+    this.contours = null;
+    this.contourPoints = []; // { u, v, height } per contour vertex
+    this.light = null;
+    this.range = null; // { lo, hi } of the colour scale, in σ (or Δσ for 'diverging')
+
+    // renderMode / colormap / showContours live on surface.config.shading so
+    // they survive the layer being rebuilt for another dataset
+    this.options = surface.config.shading;
+
+    this.config = {
+      contourStep: 0.02, // σ between contour levels
+      contourLift: 0.03,
+      wireframeOpacity: 0.15 // wireframe over the shaded mesh
+    };
+  }
+
+  init() {
+    this.createMesh();
+    this.refresh();
+    this.setRenderMode(this.options.renderMode);
+  }
+
+  /**
+   * Triangulated mesh sharing the wireframe's position buffer, so it follows
+   * the wave and vintage morphs with no extra vertex writes
+   */
+  createMesh() {
+    const { x: gridX, y: gridY } = this.surface.config.renderGrid;
+    const wire = this.surface.surface.geometry;
+    const geometry = new THREE.BufferGeometry();
+    const indices = [];
+
+    for (let i = 0; i < gridY; i++) {
+      for (let j = 0; j < gridX; j++) {
+        const a = i * (gridX + 1) + j;
+        const b = a + gridX + 1;
+        indices.push(a, b, a + 1, a + 1, b, b + 1);
+      }
+    }
+
+    geometry.setAttribute('position', wire.attributes.position);
+    geometry.setAttribute('color',
+      new THREE.Float32BufferAttribute(new Array(wire.attributes.position.count * 3).fill(0), 3));
+    geometry.setIndex(indices);
+
+    this.mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({
+      vertexColors: true,
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.9
+    }));
+    this.surface.surfaceGroup.add(this.mesh);
+
+    // The scene's ambient light alone leaves a lit mesh flat
+    this.light = new THREE.DirectionalLight(0xffffff, 0.8);
+    this.light.position.set(5, 12, 8);
+    this.surface.scene.add(this.light);
+  }
+
+  /**
+   * σ at every render node, recovered from the base heights
+   * (so it follows vintage morphs and σ-source switches)
+   */
+  nodeSigmas() {
+    const { z_scale } = this.surface.surfaceData.surface;
+    return this.surface.baseHeights.map(h => h / z_scale);
+  }
+
+  /**
+   * Value the colormap is applied to at node idx: σ, or σ − σ_ATM(T)
+   */
+  colorValues(sigmas) {
+    if (this.options.colormap !== 'diverging') return sigmas;
+
+    const { x: gridX, y: gridY } = this.surface.config.renderGrid;
+    const { axes, atmStrike } = this.surface.surfaceData;
+    const xs = axes.x.values;
+    const K = atmStrike !== undefined ? atmStrike : (xs[0] + xs[xs.length - 1]) / 2;
+
+    const values = [];
+    for (let i = 0; i <= gridY; i++) {
+      const T = this.surface.axisValueAt(axes.y.values, i / gridY);
+      const atm = this.surface.interpolate(K, T);
+      for (let j = 0; j <= gridX; j++) {
+        values.push(sigmas[i * (gridX + 1) + j] - atm);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Recolours the mesh and rebuilds contours and legend for the current
+   * heights. Called after heights change and on colormap switches.
+   */
+  refresh() {
+    if (!this.mesh) return;
+
+    this.recolor();
+    this.createContours();
+    this.renderLegend();
+  }
+
+  recolor() {
+    const values = this.colorValues(this.nodeSigmas());
+    const diverging = this.options.colormap === 'diverging';
+
+    let lo = Math.min(...values);
+    let hi = Math.max(...values);
+    if (diverging) {
+      const extent = Math.max(Math.abs(lo), Math.abs(hi)) || 1e-6;
+      lo = -extent;
+      hi = extent;
+    }
+    this.range = { lo, hi };
+
+    const colors = this.mesh.geometry.attributes.color;
+    const span = hi - lo || 1;
+    values.forEach((value, i) => {
+      const [r, g, b] = SurfaceColormap.sample(this.options.colormap, (value - lo) / span);
+      colors.setXYZ(i, r, g, b);
+    });
+    colors.needsUpdate = true;
+  }
+
+  /**
+   * Contour lines at fixed σ levels; each vertex sits at level × z_scale,
+   * i.e. exactly on the base surface
+   */
+  createContours() {
+    this.disposeContours();
+    if (!this.options.showContours) return;
+
+    const { x: gridX, y: gridY } = this.surface.config.renderGrid;
+    const { z_scale } = this.surface.surfaceData.surface;
+    const sigmas = this.nodeSigmas();
+    const values = [];
+    for (let i = 0; i <= gridY; i++) {
+      values.push(sigmas.slice(i * (gridX + 1), (i + 1) * (gridX + 1)));
+    }
+
+    this.contourPoints = [];
+    SurfaceColormap.levels(Math.min(...sigmas), Math.max(...sigmas), this.config.contourStep)
+      .forEach(level => {
+        SurfaceColormap.contour(values, level).forEach(([a, b]) => {
+          this.contourPoints.push(
+            { u: a.u, v: a.v, height: level * z_scale },
+            { u: b.u, v: b.v, height: level * z_scale }
+          );
+        });
+      });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position',
+      new THREE.Float32BufferAttribute(new Array(this.contourPoints.length * 3).fill(0), 3));
+
+    this.contours = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 0.6
+    }));
+    this.contours.visible = this.options.renderMode === 'shaded';
+    this.surface.surfaceGroup.add(this.contours);
+  }
+
+  /**
+   * Colour bar with the σ range (or ±Δσ around ATM for 'diverging')
+   */
+  renderLegend() {
+    if (!this.legend || !this.range) return;
+
+    const { surface } = this.surface.surfaceData;
+    const diverging = this.options.colormap === 'diverging';
+    const format = (x) => (diverging && x > 0 ? '+' : '') + x.toFixed(3);
+
+    const title = document.createElement('div');
+    title.className = 'surface-legend-title';
+    title.textContent = diverging
+      ? `${surface.z_symbol} − ${surface.z_symbol} ATM`
+      : surface.z_label;
+
+    const bar = document.createElement('div');
+    bar.className = 'surface-legend-bar';
+    bar.style.background = SurfaceColormap.gradient(this.options.colormap);
+
+    const ticks = document.createElement('div');
+    ticks.className = 'surface-legend-ticks';
+    const { lo, hi } = this.range;
+    [lo, (lo + hi) / 2, hi].forEach(value => {
+      const tick = document.createElement('span');
+      tick.textContent = format(value);
+      ticks.appendChild(tick);
+    });
+
+    const children = [title, bar, ticks];
+    if (this.options.showContours) {
+      const note = document.createElement('div');
+      note.className = 'surface-legend-note';
+      note.textContent = `Contours every ${this.config.contourStep} ${surface.z_symbol}`;
+      children.push(note);
+    }
+    this.legend.replaceChildren(...children);
+  }
+
+  setRenderMode(mode) {
+    this.options.renderMode = mode;
+    const shaded = mode === 'shaded';
+
+    this.mesh.visible = shaded;
+    if (this.contours) this.contours.visible = shaded;
+    this.surface.surface.material.opacity = shaded
+      ? this.config.wireframeOpacity
+      : this.surface.config.opacity;
+    if (this.legend) this.legend.hidden = !shaded;
+
+    this.syncToolbar();
+  }
+
+  toggle() {
+    this.setRenderMode(this.options.renderMode === 'shaded' ? 'wireframe' : 'shaded');
+  }
+
+  setColormap(name) {
+    if (!SurfaceColormap.STOPS[name]) return;
+    this.options.colormap = name;
+    this.recolor();
+    this.renderLegend();
+    this.syncToolbar();
+  }
+
+  /**
+   * Steps through SurfaceColormap.NAMES (toolbar button)
+   */
+  cycleColormap() {
+    const names = SurfaceColormap.NAMES;
+    this.setColormap(names[(names.indexOf(this.options.colormap) + 1) % names.length]);
+  }
+
+  toggleContours() {
+    this.options.showContours = !this.options.showContours;
+    this.createContours();
+    this.renderLegend();
+    this.syncToolbar();
+  }
+
+  syncToolbar() {
+    const toolbar = this.surface.toolbar;
+    if (!toolbar) return;
+
+    const shaded = this.options.renderMode === 'shaded';
+    const render = toolbar.querySelector('[data-layer="shading"]');
+    const colormap = toolbar.querySelector('[data-action="cycle-colormap"]');
+    const contours = toolbar.querySelector('[data-action="toggle-contours"]');
+
+    if (render) render.setAttribute('aria-pressed', String(shaded));
+    if (colormap) {
+      colormap.hidden = !shaded;
+      colormap.textContent = `Colours: ${this.options.colormap}`;
+    }
+    if (contours) {
+      contours.hidden = !shaded;
+      contours.setAttribute('aria-pressed', String(this.options.showContours));
+    }
+  }
+
+  /**
+   * Normals follow the wave; colours follow a vintage morph.
+   * Called from VolatilitySurface.animate() every frame.
+   */
+  update() {
+    if (!this.mesh || !this.mesh.visible) return;
+
+    if (this.surface.morph) this.recolor();
+    this.mesh.geometry.computeVertexNormals();
+
+    if (!this.contours) return;
+    const positions = this.contours.geometry.attributes.position;
+    const { scaleX, scaleY } = this.surface.config;
+    this.contourPoints.forEach((p, i) => {
+      positions.setXYZ(i,
+        (p.u - 0.5) * scaleX,
+        p.height + this.surface.waveAt(p.u, p.v) + this.config.contourLift,
+        (p.v - 0.5) * scaleY
+      );
+    });
+    positions.needsUpdate = true;
+  }
+
+  disposeContours() {
+    if (!this.contours) return;
+    if (this.contours.parent) this.contours.parent.remove(this.contours);
+    this.contours.geometry.dispose();
+    this.contours.material.dispose();
+    this.contours = null;
+    this.contourPoints = [];
+  }
+
+  dispose() {
+    this.disposeContours();
+    if (this.mesh) {
+      if (this.mesh.parent) this.mesh.parent.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh.material.dispose();
+      this.mesh = null;
+    }
+    if (this.light) {
+      this.surface.scene.remove(this.light);
+      this.light = null;
+    }
+    if (this.surface.surface) {
+      this.surface.surface.material.opacity = this.surface.config.opacity;
+    }
+    if (this.legend) this.legend.hidden = true;
+  }
+}
+
+// Allow the colormaps to be required from Node for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SurfaceColormap;
+}
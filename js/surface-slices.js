@@ -0,0 +1,430 @@
+/**
+ * Surface Slice Panels
+ *
+ * 2D cross-sections of the VolatilitySurface, drawn with D3 from
+ * surface.grid and axes in health-surface-data.json:
+ * - Smile: σ vs strike K at a chosen maturity T
+ * - Term structure: σ vs maturity T at a chosen strike K
+ *
+ * Each slice is mirrored on the Three.js wireframe as a highlighted line, and
+ * the sliders sweep it across the surface. Clicking a node on the surface in
+ * explore mode picks both slices through that node. The pair is part of the
+ * shareable view state as e.g. "T5,K35" (see UrlState).
+ */
+
+// ================================
+// Slice Chart
+// ================================
+class SliceChart extends BaseViz {
+  constructor(containerId, { title, xLabel, yLabel, color, xFormat }) {
+    super(containerId, { width: 300, height: 160 }, { top: 20, right: 15, bottom: 30, left: 45 });
+    this.options = { title, xLabel, yLabel, color, xFormat };
+    this.slice = null; // last render() argument, redrawn on resize
+  }
+
+  relayout() {
+    if (this.slice) this.render(this.slice);
+  }
+
+  /**
+   * @param {Object} slice
+   * @param {Array<{x: number, sigma: number}>} slice.line - densely sampled slice
+   * @param {Array<{x: number, sigma: number}>} slice.knots - values at the data knots
+   * @param {number[]} slice.yDomain - shared σ range so sweeps are comparable
+   * @param {string} slice.subtitle - e.g. "T = 5.0y"
+   */
+  render(slice) {
+    const { line, knots, yDomain, subtitle } = slice;
+    this.slice = slice;
+    this.clear();
+    this.createSVG();
+
+    const { title, xLabel, yLabel, color, xFormat } = this.options;
+
+    const xScale = d3.scaleLinear()
+      .domain(d3.extent(line, d => d.x))
+      .range([0, this.width]);
+
+    const yScale = d3.scaleLinear()
+      .domain(yDomain)
+      .range([this.height, 0]);
+
+    const lineGen = d3.line()
+      .x(d => xScale(d.x))
+      .y(d => yScale(d.sigma));
+
+    // Interpolated slice
+    this.svg.append('path')
+      .datum(line)
+      .attr('fill', 'none')
+      .attr('stroke', color)
+      .attr('stroke-width', 2)
+      .attr('d', lineGen);
+
+    // Values at the data knots
+    this.svg.selectAll('.slice-knot')
+      .data(knots)
+      .enter()
+      .append('circle')
+      .attr('class', 'slice-knot')
+      .attr('cx', d => xScale(d.x))
+      .attr('cy', d => yScale(d.sigma))
+      .attr('r', 3)
+      .attr('fill', '#0d0d0d')
+      .attr('stroke', color)
+      .attr('stroke-width', 1.5);
+
+    // Add axes
+    const xAxis = d3.axisBottom(xScale).ticks(5).tickFormat(xFormat);
+    const yAxis = d3.axisLeft(yScale).ticks(4);
+
+    this.svg.append('g')
+      .attr('transform', `translate(0,${this.height})`)
+      .call(xAxis)
+      .attr('color', '#888')
+      .selectAll('text')
+      .attr('fill', '#ccc');
+
+    this.svg.append('g')
+      .call(yAxis)
+      .attr('color', '#888')
+      .selectAll('text')
+      .attr('fill', '#ccc');
+
+    // Add axis labels
+    this.svg.append('text')
+      .attr('x', this.width / 2)
+      .attr('y', this.height + 26)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#aaa')
+      .attr('font-size', '10px')
+      .text(xLabel);
+
+    this.svg.append('text')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -this.height / 2)
+      .attr('y', -34)
+      .attr('text-anchor', 'middle')
+      .attr('fill', '#aaa')
+      .attr('font-size', '10px')
+      .text(yLabel);
+
+    // Add title
+    this.svg.append('text')
+      .attr('x', this.width / 2)
+      .attr('y', -7)
+      .attr('text-anchor', 'middle')
+      .attr('fill', color)
+      .attr('font-size', '11px')
+      .attr('font-weight', 'bold')
+      .text(`${title} (${subtitle})`);
+  }
+}
+
+// ================================
+// Slice Controller
+// ================================
+class SurfaceSlices {
+  constructor(surface, panelId = 'surface-slices') {
+    this.surface = surface;
+    this.panel = document.getElementById(panelId);
+    this.maturity = null; // T (years) of the smile slice
+    this.strike = null;   // K (%) of the term-structure slice
+    this.open = !surface.isMobile();
+    this.lines = {};      // Three.js highlight lines: { smile, term }
+    this.baseLines = {};  // Static heights of each highlight line
+    this.clickStart = null;
+    this.listeners = [];
+
+    this.config = {
+      samples: 60,
+      lift: 0.03, // keep highlight lines just above the wireframe
+      smile: { color: '#ff4c4c', sliderId: 'smile-maturity', chartId: 'smile-chart' },
+      term: { color: '#ffcc00', sliderId: 'term-strike', chartId: 'term-chart' }
+    };
+  }
+
+  init() {
+    if (!this.panel) return;
+
+    const { axes, surface } = this.surface.surfaceData;
+    const sigmas = surface.grid.flat();
+    this.yDomain = [0, d3.max(sigmas) * 1.1];
+
+    this.charts = {
+      smile: new SliceChart(this.config.smile.chartId, {
+        title: 'Smile',
+        xLabel: axes.x.label,
+        yLabel: surface.z_label,
+        color: this.config.smile.color,
+        xFormat: d => `${d}${axes.x.unit}`
+      }),
+      term: new SliceChart(this.config.term.chartId, {
+        title: 'Term structure',
+        xLabel: axes.y.label,
+        yLabel: surface.z_label,
+        color: this.config.term.color,
+        xFormat: d => `${d}${axes.y.unit}`
+      })
+    };
+
+    this.sliders = {
+      smile: this.setupSlider(this.config.smile.sliderId, axes.y.values, (T) => this.setMaturity(T)),
+      term: this.setupSlider(this.config.term.sliderId, axes.x.values, (K) => this.setStrike(K))
+    };
+
+    this.lines.smile = this.createLine(this.config.smile.color);
+    this.lines.term = this.createLine(this.config.term.color);
+
+    this.bindSurfaceClicks();
+
+    // Start on the ATM-ish middle knots
+    this.setMaturity(axes.y.values[Math.floor(axes.y.values.length / 2)]);
+    this.setStrike(axes.x.values[Math.floor(axes.x.values.length / 2)]);
+    this.setMode(this.surface.mode);
+  }
+
+  /**
+   * Configures a range input over an axis, with the data knots as tick marks
+   */
+  setupSlider(id, values, onChange) {
+    const slider = document.getElementById(id);
+    if (!slider) return null;
+
+    slider.min = values[0];
+    slider.max = values[values.length - 1];
+    slider.step = 0.1;
+
+    const list = document.createElement('datalist');
+    list.id = `${id}-knots`;
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      list.appendChild(option);
+    });
+    slider.after(list);
+    slider.setAttribute('list', list.id);
+
+    const handler = () => {
+      onChange(parseFloat(slider.value));
+      this.surface.stateChanged();
+    };
+    slider.addEventListener('input', handler);
+    this.listeners.push(() => slider.removeEventListener('input', handler));
+    return slider;
+  }
+
+  createLine(color) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position',
+      new THREE.Float32BufferAttribute(new Array((this.config.samples + 1) * 3).fill(0), 3));
+
+    const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+      color: new THREE.Color(color),
+      linewidth: 2,
+      depthTest: false
+    }));
+    line.visible = false;
+    this.surface.surfaceGroup.add(line);
+    return line;
+  }
+
+  /**
+   * In explore mode, a click (not a drag) on the surface picks both slices
+   * through the inspected node
+   */
+  bindSurfaceClicks() {
+    const canvas = this.surface.canvas;
+    const onDown = (e) => {
+      this.clickStart = { x: e.clientX, y: e.clientY };
+    };
+    const onClick = (e) => {
+      const start = this.clickStart;
+      const node = this.surface.inspector && this.surface.inspector.activeNode;
+      if (!start || !node || this.surface.mode !== 'explore') return;
+      if (Math.hypot(e.clientX - start.x, e.clientY - start.y) > 4) return;
+
+      this.setMaturity(node.T);
+      this.setStrike(node.K);
+      this.surface.stateChanged();
+    };
+
+    canvas.addEventListener('pointerdown', onDown);
+    canvas.addEventListener('click', onClick);
+    this.listeners.push(() => {
+      canvas.removeEventListener('pointerdown', onDown);
+      canvas.removeEventListener('click', onClick);
+    });
+  }
+
+  /**
+   * Re-samples both slices after the surface heights change
+   * (e.g. a new interpolation scheme)
+   */
+  refresh() {
+    if (this.maturity === null || this.strike === null) return;
+    this.setMaturity(this.maturity);
+    this.setStrike(this.strike);
+  }
+
+  /**
+   * Samples the surface along a slice. `at(t)` maps the sweep parameter
+   * t ∈ [0,1] to surface coordinates (u, v).
+   */
+  sample(at) {
+    const n = this.config.samples;
+    return d3.range(n + 1).map(k => {
+      const { u, v } = at(k / n);
+      return { u, v, ...this.surface.valuesAt(u, v), height: this.surface.baseHeightAt(u, v) };
+    });
+  }
+
+  setMaturity(T) {
+    const { axes } = this.surface.surfaceData;
+    const v = this.surface.axisPositionOf(axes.y.values, T);
+    this.maturity = T;
+
+    const line = this.sample(t => ({ u: t, v }));
+    this.baseLines.smile = line;
+
+    if (this.sliders.smile) {
+      this.sliders.smile.value = T;
+      this.setSliderLabel(this.sliders.smile, this.sliceLabel('y', T));
+    }
+
+    this.charts.smile.render({
+      line: line.map(d => ({ x: d.K, sigma: d.sigma })),
+      knots: axes.x.values.map(K => ({
+        x: K,
+        sigma: this.surface.valuesAt(this.surface.axisPositionOf(axes.x.values, K), v).sigma
+      })),
+      yDomain: this.yDomain,
+      subtitle: this.sliceLabel('y', T)
+    });
+  }
+
+  setStrike(K) {
+    const { axes } = this.surface.surfaceData;
+    const u = this.surface.axisPositionOf(axes.x.values, K);
+    this.strike = K;
+
+    const line = this.sample(t => ({ u, v: t }));
+    this.baseLines.term = line;
+
+    if (this.sliders.term) {
+      this.sliders.term.value = K;
+      this.setSliderLabel(this.sliders.term, this.sliceLabel('x', K));
+    }
+
+    this.charts.term.render({
+      line: line.map(d => ({ x: d.T, sigma: d.sigma })),
+      knots: axes.y.values.map(T => ({
+        x: T,
+        sigma: this.surface.valuesAt(u, this.surface.axisPositionOf(axes.y.values, T)).sigma
+      })),
+      yDomain: this.yDomain,
+      subtitle: this.sliceLabel('x', K)
+    });
+  }
+
+  /**
+   * The smile's maturity and the term structure's strike by axis symbol,
+   * e.g. "T5,K35"
+   */
+  getState() {
+    if (this.maturity === null || this.strike === null) return '';
+
+    const { axes } = this.surface.surfaceData;
+    const value = (v) => String(Number(v.toFixed(2)));
+    return `${axes.y.symbol || 'T'}${value(this.maturity)},${axes.x.symbol || 'K'}${value(this.strike)}`;
+  }
+
+  /**
+   * Moves the slices named in a getState() string ("T5" alone moves just the
+   * smile); values are clamped to the axis range
+   */
+  setState(text) {
+    const { axes } = this.surface.surfaceData;
+    const clamp = (values, v) => Math.max(values[0], Math.min(values[values.length - 1], v));
+
+    String(text).split(',').forEach(part => {
+      const match = /^([^\d-]+)(-?\d+(?:\.\d+)?)$/.exec(part.trim());
+      if (!match) return;
+
+      const value = parseFloat(match[2]);
+      if (match[1] === (axes.y.symbol || 'T')) {
+        this.setMaturity(clamp(axes.y.values, value));
+      } else if (match[1] === (axes.x.symbol || 'K')) {
+        this.setStrike(clamp(axes.x.values, value));
+      }
+    });
+  }
+
+  /**
+   * e.g. "T = 5.0y" for the y axis of the obesity surface
+   */
+  sliceLabel(axis, value) {
+    const symbol = this.surface.surfaceData.axes[axis].symbol || axis;
+    return `${symbol} = ${this.surface.formatAxis(axis, value)}`;
+  }
+
+  setSliderLabel(slider, text) {
+    const output = this.panel.querySelector(`output[for="${slider.id}"]`);
+    if (output) output.textContent = text;
+  }
+
+  toggle(open = !this.open) {
+    this.open = open;
+    this.setMode(this.surface.mode);
+  }
+
+  /**
+   * Panel and highlight lines are only shown while exploring
+   */
+  setMode(mode) {
+    if (!this.panel || !this.lines.smile) return;
+
+    const visible = mode === 'explore' && this.open;
+    this.panel.hidden = !visible;
+    this.lines.smile.visible = visible;
+    this.lines.term.visible = visible;
+
+    const button = this.surface.toolbar &&
+      this.surface.toolbar.querySelector('[data-layer="slices"]');
+    if (button) button.setAttribute('aria-pressed', String(this.open));
+  }
+
+  /**
+   * Follows the wave animation so the highlight stays on the wireframe.
+   * Called from VolatilitySurface.animate() every frame.
+   */
+  update() {
+    if (!this.lines.smile || !this.lines.smile.visible) return;
+
+    const { scaleX, scaleY } = this.surface.config;
+
+    ['smile', 'term'].forEach(key => {
+      const positions = this.lines[key].geometry.attributes.position;
+      this.baseLines[key].forEach((d, i) => {
+        positions.setXYZ(i,
+          (d.u - 0.5) * scaleX,
+          d.height + this.surface.waveAt(d.u, d.v) + this.config.lift,
+          (d.v - 0.5) * scaleY
+        );
+      });
+      positions.needsUpdate = true;
+    });
+  }
+
+  dispose() {
+    this.listeners.forEach(off => off());
+    this.listeners = [];
+    Object.values(this.lines).forEach(line => {
+      if (line.parent) line.parent.remove(line);
+      line.geometry.dispose();
+      line.material.dispose();
+    });
+    this.lines = {};
+    Object.values(this.charts || {}).forEach(chart => chart.dispose());
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Surface Timeline
+ *
+ * As-of year scrubber with play / pause for the VolatilitySurface vintages.
+ * Scrubbing or playback calls surface.setVintage(), which morphs the mesh
+ * between grids; the timeline only decides which vintage and when.
+ * With a single vintage it says so in place of the controls, so a dataset
+ * without history doesn't read as a missing feature.
+ */
+
+class SurfaceTimeline {
+  constructor(surface, containerId = 'surface-timeline') {
+    this.surface = surface;
+    this.container = document.getElementById(containerId);
+    this.slider = null;
+    this.label = null;
+    this.button = null;
+    this.playing = false;
+    this.lastStep = 0;
+    this.listeners = [];
+
+    this.config = {
+      stepMs: 2500 // time on each vintage while playing (includes the morph)
+    };
+  }
+
+  init() {
+    const { vintages } = this.surface;
+    if (!this.container || vintages.length === 0) return;
+
+    const slider = this.container.querySelector('input[type="range"]');
+    const label = this.container.querySelector('output');
+    const button = this.container.querySelector('[data-action="toggle-playback"]');
+    const note = this.container.querySelector('.surface-timeline-note');
+    const single = vintages.length < 2;
+    [slider, label, button].forEach(el => {
+      el.hidden = single;
+    });
+    if (note) note.hidden = !single;
+    this.container.hidden = false;
+
+    if (single) {
+      if (note) note.textContent = `${vintages[0].asof_year} only · no earlier vintages published yet`;
+      return;
+    }
+
+    this.slider = slider;
+    this.label = label;
+    this.button = button;
+
+    this.slider.min = 0;
+    this.slider.max = vintages.length - 1;
+    this.slider.step = 1;
+
+    const onInput = () => {
+      this.pause();
+      this.surface.setVintage(parseInt(this.slider.value, 10));
+      this.refresh();
+      this.surface.stateChanged();
+    };
+    const onClick = () => {
+      this.toggle();
+      this.surface.stateChanged(false);
+    };
+
+    this.slider.addEventListener('input', onInput);
+    this.button.addEventListener('click', onClick);
+    this.listeners.push(() => {
+      this.slider.removeEventListener('input', onInput);
+      this.button.removeEventListener('click', onClick);
+    });
+
+    this.refresh();
+  }
+
+  play() {
+    if (!this.slider) return;
+
+    // Restart from the first vintage when playing from the end
+    if (this.surface.vintageIndex >= this.surface.vintages.length - 1) {
+      this.surface.setVintage(0);
+    }
+    this.playing = true;
+    this.lastStep = performance.now();
+    this.refresh();
+    this.surface.requestRender(); // wake a static (reduced-motion) loop
+  }
+
+  pause() {
+    this.playing = false;
+    this.refresh();
+  }
+
+  toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Advances playback. Called from VolatilitySurface.animate() every frame.
+   */
+  update() {
+    if (!this.playing) return;
+
+    const now = performance.now();
+    if (now - this.lastStep < this.config.stepMs) return;
+
+    this.lastStep = now;
+    const next = this.surface.vintageIndex + 1;
+    if (next >= this.surface.vintages.length) {
+      this.pause();
+      return;
+    }
+    this.surface.setVintage(next);
+    this.refresh();
+  }
+
+  /**
+   * Syncs the controls with the surface's current vintage
+   */
+  refresh() {
+    if (!this.slider) return;
+
+    const vintage = this.surface.vintages[this.surface.vintageIndex];
+    this.slider.value = this.surface.vintageIndex;
+    this.label.textContent = vintage ? vintage.asof_year : '';
+    this.button.textContent = this.playing ? 'Pause' : 'Play';
+    this.button.setAttribute('aria-pressed', String(this.playing));
+  }
+
+  dispose() {
+    this.listeners.forEach(off => off());
+    this.listeners = [];
+    this.playing = false;
+    if (this.container) this.container.hidden = true;
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * URL State
+ *
+ * Keeps the page's view state in the query string, so a reload or a shared
+ * link opens exactly the same view, e.g.
+ *   ?view=explore&cam=14.2,1.05,0.6,0,1,0&slice=T5&year=2021
+ *   ?kalman=from:40,to:120,entryZ:1.5#kalman
+ * - Projects listed in `inline` (the background surface) put their
+ *   getState() keys straight into the query: view, cam, slice, dataset, year
+ * - Every other project's chart state goes under its key as name:value
+ *   pairs; while its expanded view is open, that chart is the one recorded
+ * - open: the expanded project. ProjectDetail owns it as the hash (#kalman),
+ *   so an incoming ?open=kalman is moved into the hash on start
+ *
+ * Components call stateChanged(), which fires a bubbling "viewstatechange"
+ * event. Bursts (a slider drag) are coalesced into one history entry, or
+ * written over the current one for camera moves and while a project is
+ * expanded, so Back still closes it. Back / forward re-apply the entry.
+ */
+
+class UrlState {
+  /**
+   * @param {PortfolioApp} app
+   * @param {Object} options - { inline: project keys whose state keys are
+   *   top-level params, debounceMs: quiet time before writing the URL }
+   */
+  constructor(app, { inline = ['health-surface'], debounceMs = 300 } = {}) {
+    this.app = app;
+    this.inline = inline;
+    this.debounceMs = debounceMs;
+    this.timer = null; // pending write()
+    this.pendingPush = false; // whether the pending write adds a history entry
+  }
+
+  /**
+   * Restores the URL's state and starts recording changes. Call after
+   * app.start(), once the projects are mounted.
+   */
+  start() {
+    this.app.listen('url-state:change', document, 'viewstatechange', (e) => {
+      this.changed(!e.detail || e.detail.push !== false);
+    });
+    this.app.listen('url-state:popstate', window, 'popstate', () => this.restore());
+    this.app.listen('url-state:detail', document, 'projectdetailopen', (e) => {
+      const { project, viz } = e.detail;
+      this.restoreInstance(viz, this.projectState(project, UrlState.params()));
+    });
+
+    this.restore();
+    this.moveOpenToHash();
+  }
+
+  /**
+   * The query string as URLSearchParams
+   */
+  static params() {
+    return new URLSearchParams(window.location.search);
+  }
+
+  /**
+   * Query string for params, leaving "," and ":" readable
+   */
+  static toQuery(params) {
+    return [...params]
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+      .join('&')
+      .replace(/%2C/g, ',')
+      .replace(/%3A/g, ':');
+  }
+
+  /**
+   * "from:40,to:120" → { from: '40', to: '120' }
+   */
+  static parseEntries(text) {
+    const state = {};
+    String(text || '').split(',').forEach(entry => {
+      const split = entry.indexOf(':');
+      if (split > 0) state[entry.slice(0, split)] = entry.slice(split + 1);
+    });
+    return state;
+  }
+
+  static formatEntries(state) {
+    return Object.entries(state)
+      .map(([name, value]) => `${name}:${value}`)
+      .join(',');
+  }
+
+  /**
+   * A project's state from the query: its own params if inline, otherwise
+   * the entries under its key
+   */
+  projectState(key, params) {
+    if (this.inline.includes(key)) return Object.fromEntries(params);
+    return UrlState.parseEntries(params.get(key));
+  }
+
+  /**
+   * The chart recorded for a project: its expanded view while that is open,
+   * otherwise its card
+   */
+  instanceFor(key) {
+    const { detail } = this.app;
+    if (!this.inline.includes(key) && detail && detail.project === key && detail.viz) {
+      return detail.viz;
+    }
+    return this.app.get(key);
+  }
+
+  /**
+   * Current view state of every project, in the query's shape
+   */
+  read() {
+    const params = new URLSearchParams();
+    this.app.definitions.forEach((_, key) => {
+      const instance = this.instanceFor(key);
+      if (!instance || !instance.getState) return;
+
+      const state = instance.getState();
+      if (this.inline.includes(key)) {
+        Object.entries(state).forEach(([name, value]) => params.set(name, value));
+      } else if (Object.keys(state).length > 0) {
+        params.set(key, UrlState.formatEntries(state));
+      }
+    });
+    return params;
+  }
+
+  /**
+   * Schedules a write. push: false means every change in the burst only
+   * updates the current history entry.
+   */
+  changed(push = true) {
+    this.pendingPush = this.pendingPush || push;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.write(), this.debounceMs);
+  }
+
+  /**
+   * Writes read() into the address bar, keeping the hash. Nothing is written
+   * if the URL would not change.
+   */
+  write() {
+    // Inside an expanded view, Back must close it rather than step through
+    // its states
+    const push = this.pendingPush && !(this.app.detail && this.app.detail.project);
+    this.timer = null;
+    this.pendingPush = false;
+
+    const { pathname, search, hash } = window.location;
+    const query = UrlState.toQuery(this.read());
+    const url = `${pathname}${query ? `?${query}` : ''}${hash}`;
+    if (url === `${pathname}${search}${hash}`) return;
+
+    try {
+      if (push) {
+        history.pushState(null, '', url);
+      } else {
+        history.replaceState(null, '', url);
+      }
+    } catch (error) {
+      console.warn('Could not update the URL:', error);
+    }
+  }
+
+  /**
+   * Applies the URL's state to every mounted project (and the expanded
+   * view), each once it has finished loading
+   */
+  restore() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pendingPush = false;
+
+    const params = UrlState.params();
+    this.app.definitions.forEach((_, key) => {
+      const state = this.projectState(key, params);
+      this.app.ready(key).then(() => this.restoreInstance(this.app.get(key), state));
+
+      const { detail } = this.app;
+      if (!this.inline.includes(key) && detail && detail.project === key) {
+        this.restoreInstance(detail.viz, state);
+      }
+    });
+  }
+
+  async restoreInstance(instance, state) {
+    if (!instance || !instance.setState) return;
+    try {
+      await instance.ready;
+      await instance.setState(state);
+    } catch (error) {
+      console.error('Could not restore view state:', error);
+    }
+  }
+
+  /**
+   * ?open=markov → #markov, then lets ProjectDetail open it
+   */
+  moveOpenToHash() {
+    const params = UrlState.params();
+    const open = params.get('open');
+    if (open === null) return;
+
+    params.delete('open');
+    const { pathname, hash } = window.location;
+    const query = UrlState.toQuery(params);
+    history.replaceState(null, '', `${pathname}${query ? `?${query}` : ''}${hash || `#${encodeURIComponent(open)}`}`);
+    if (this.app.detail) this.app.detail.syncFromHash();
+  }
+
+  dispose() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    ['change', 'popstate', 'detail'].forEach(name => this.app.unlisten(`url-state:${name}`));
+  }
+}
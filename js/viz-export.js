@@ -0,0 +1,174 @@
+/**
+ * Viz Export
+ *
+ * Client-side snapshots and data downloads for the charts and the
+ * background surface, so they can be pasted into notes and slides. Nothing
+ * leaves the browser: files are built as Blobs and saved through a
+ * temporary object URL.
+ * - SVG: the chart's <svg> with computed styles inlined, so it renders the
+ *   same outside the page
+ * - PNG: that SVG rasterised at 2× / 4×, or a WebGL canvas capture
+ * - CSV / JSON: the exact series a chart is showing
+ */
+
+class VizExport {
+  /**
+   * Presentation properties copied from computed style onto every exported
+   * SVG element
+   */
+  static get STYLE_PROPERTIES() {
+    return [
+      'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+      'opacity', 'visibility', 'font-family', 'font-size', 'font-weight', 'text-anchor',
+      'dominant-baseline'
+    ];
+  }
+
+  /**
+   * Saves a Blob (or string) under filename
+   */
+  static download(content, filename, type = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Standalone SVG markup for an on-page <svg>: computed styles inlined,
+   * interaction overlays dropped, explicit size and a solid background
+   */
+  static serializeSVG(svg, { background = '#141414' } = {}) {
+    const clone = svg.cloneNode(true);
+    const source = svg.querySelectorAll('*');
+    const target = clone.querySelectorAll('*');
+
+    source.forEach((el, i) => {
+      const computed = getComputedStyle(el);
+      const inline = VizExport.STYLE_PROPERTIES
+        .map(prop => [prop, computed.getPropertyValue(prop)])
+        .filter(([, value]) => value)
+        .map(([prop, value]) => `${prop}:${value}`)
+        .join(';');
+      const existing = target[i].getAttribute('style');
+      if (inline) target[i].setAttribute('style', existing ? `${existing};${inline}` : inline);
+    });
+    clone.querySelectorAll('.viz-overlay, .viz-crosshair, .viz-crosshair-dot').forEach(el => el.remove());
+
+    const [, , width, height] = (svg.getAttribute('viewBox') || `0 0 ${svg.clientWidth} ${svg.clientHeight}`)
+      .split(/\s+/).map(Number);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.removeAttribute('style');
+
+    if (background) {
+      const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      rect.setAttribute('width', '100%');
+      rect.setAttribute('height', '100%');
+      rect.setAttribute('fill', background);
+      clone.insertBefore(rect, clone.firstChild);
+    }
+
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+  }
+
+  /**
+   * Rasterises an on-page <svg> to a PNG Blob at `scale`× its viewBox size
+   */
+  static svgToPNG(svg, scale = 2) {
+    const { markup, width, height } = VizExport.serializeSVG(svg);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('SVG could not be rasterised'));
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * CSV text. columns: keys of each row, or [header, accessor(row)] pairs.
+   * Fields with commas, quotes or newlines are quoted.
+   */
+  static csv(rows, columns) {
+    const specs = columns.map(col => (Array.isArray(col) ? col : [col, row => row[col]]));
+    const field = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      specs.map(([header]) => field(header)).join(','),
+      ...rows.map(row => specs.map(([, accessor]) => field(accessor(row))).join(','))
+    ].join('\n');
+  }
+
+  /**
+   * Columns for a list of plain objects: every key that appears, in order
+   */
+  static keysOf(rows) {
+    const keys = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => keys.add(key)));
+    return [...keys];
+  }
+
+  /**
+   * Export dropdown (<details>) appended to parent. Each item is
+   * { label, run } where run may return a Promise.
+   *
+   * @param {HTMLElement} parent
+   * @param {Array<{label: string, run: function}>} items
+   * @param {string} className - extra class for the summary button
+   * @returns {HTMLDetailsElement}
+   */
+  static menu(parent, items, className = '') {
+    const details = document.createElement('details');
+    details.className = 'viz-export';
+
+    const summary = document.createElement('summary');
+    summary.className = className;
+    summary.textContent = 'Export';
+    details.appendChild(summary);
+
+    const list = document.createElement('div');
+    list.className = 'viz-export-menu';
+    items.forEach(({ label, run }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', async () => {
+        details.open = false;
+        try {
+          await run();
+        } catch (error) {
+          console.error(`Export failed (${label}):`, error);
+        }
+      });
+      list.appendChild(button);
+    });
+    details.appendChild(list);
+
+    parent.appendChild(details);
+    return details;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Viz Interactions
+ *
+ * Building blocks for the interaction layer on BaseViz (see
+ * project-visualizations.js), so every chart gets the same behaviour:
+ * - VizTooltip: one HTML tooltip per chart container, placed at the pointer
+ *   (or under a keyboard-focused point)
+ * - VizInteractions.timeOverlay: a pointer overlay on a time-axis panel that
+ *   reports the hovered x position, with brush-to-zoom and double-click reset
+ */
+
+// ================================
+// Tooltip
+// ================================
+class VizTooltip {
+  constructor(container) {
+    this.container = container;
+    this.el = null;
+    this.offset = 12; // px from the pointer
+  }
+
+  /**
+   * The tooltip element, recreated if the container was cleared
+   */
+  element() {
+    if (!this.el || !this.el.isConnected) {
+      this.el = document.createElement('div');
+      this.el.className = 'viz-tooltip';
+      this.el.setAttribute('role', 'status');
+      this.el.hidden = true;
+      this.container.appendChild(this.el);
+    }
+    return this.el;
+  }
+
+  /**
+   * @param {string} html
+   * @param {PointerEvent|MouseEvent} event - positions the tooltip
+   */
+  show(html, event) {
+    const el = this.element();
+    el.innerHTML = html;
+    el.hidden = false;
+
+    // Container coordinates, including its scroll, flipped left near the edge
+    const rect = this.container.getBoundingClientRect();
+    let x = event.clientX - rect.left + this.container.scrollLeft + this.offset;
+    const y = event.clientY - rect.top + this.container.scrollTop + this.offset;
+    if (x + el.offsetWidth > this.container.clientWidth + this.container.scrollLeft) {
+      x -= el.offsetWidth + this.offset * 2;
+    }
+
+    el.style.left = `${Math.max(0, x)}px`;
+    el.style.top = `${y}px`;
+  }
+
+  /**
+   * Places the tooltip under an element instead of the pointer, e.g. the
+   * point reached with the keyboard
+   */
+  showAt(html, element) {
+    const rect = element.getBoundingClientRect();
+    this.show(html, { clientX: rect.left + rect.width / 2, clientY: rect.bottom });
+  }
+
+  hide() {
+    if (this.el) this.el.hidden = true;
+  }
+
+  dispose() {
+    if (this.el) this.el.remove();
+    this.el = null;
+  }
+}
+
+// ================================
+// Time-axis overlay
+// ================================
+class VizInteractions {
+  /**
+   * Transparent overlay over a panel that reports the hovered x (in pixels)
+   * and, with onZoom, turns a horizontal drag into a zoom: onZoom([x0, x1])
+   * with the brushed pixel range, onZoom(null) on double-click.
+   *
+   * @param {d3.Selection} group - the panel's <g>
+   * @param {Object} options - { width, height, onMove(px, event), onLeave(),
+   *   onZoom(range|null) }
+   */
+  static timeOverlay(group, { width, height, onMove, onLeave, onZoom }) {
+    const layer = group.append('g').attr('class', 'viz-overlay');
+    let overlay;
+
+    if (onZoom) {
+      const brush = d3.brushX()
+        .extent([[0, 0], [width, height]])
+        .on('end', (event) => {
+          if (!event.selection) return;
+          const [x0, x1] = event.selection;
+          layer.call(brush.move, null);
+          if (x1 - x0 > 3) onZoom([x0, x1]);
+        });
+      layer.call(brush);
+      overlay = layer.select('.overlay');
+    } else {
+      overlay = layer.append('rect')
+        .attr('width', width)
+        .attr('height', height)
+        .attr('fill', 'transparent');
+    }
+
+    overlay
+      .on('pointermove.viz', (event) => onMove(d3.pointer(event, group.node())[0], event))
+      .on('pointerleave.viz', () => onLeave());
+    if (onZoom) overlay.on('dblclick.viz', () => onZoom(null));
+
+    return layer;
+  }
+
+  /**
+   * Vertical crosshair line (and optional dot), hidden until moved
+   */
+  static crosshair(group, height) {
+    const line = group.append('line')
+      .attr('class', 'viz-crosshair')
+      .attr('y1', 0)
+      .attr('y2', height)
+      .attr('visibility', 'hidden')
+      .attr('pointer-events', 'none');
+    const dot = group.append('circle')
+      .attr('class', 'viz-crosshair-dot')
+      .attr('r', 3)
+      .attr('visibility', 'hidden')
+      .attr('pointer-events', 'none');
+    return { line, dot };
+  }
+}
@@ -8,8 +8,13 @@
  * Y-axis: Horizon (Maturity T) — 1 to 10 years
  * Z-axis: Implied Sigma (logit scale)
  *
- * Loads data from data/health-surface-data.json and interpolates
- * to a denser mesh for smooth rendering.
+ * Everything dataset-specific (axis values, labels, units, ticks, z scaling)
+ * comes from the dataset descriptors in data/surface-datasets.json, loaded
+ * through SurfaceDatasets; the obesity surface above is the default. Each
+ * dataset may list one snapshot per as-of year — switching vintages morphs
+ * the mesh, switching datasets rebuilds it along with its axes. Mode,
+ * camera, slices, dataset and year make up the view state that UrlState
+ * keeps in the address bar (getState / setState).
  */
 
 class VolatilitySurface {
@@ -22,9 +27,39 @@ class VolatilitySurface {
     this.surface = null;
     this.surfaceGroup = null; // Group for surface + axes (rotates together)
     this.surfaceData = null;
+    this.datasets = []; // Dataset descriptors from config.datasetsUrl
+    this.dataset = null; // Descriptor of the loaded dataset
+    this.datasetPicker = null; // <select> over this.datasets
+    this.dataStatus = null; // { kind, text, detail } shown in .surface-badge
+    this.vintages = []; // [{ asof_year, url, data }] sorted by year
+    this.vintageIndex = -1;
     this.baseHeights = null; // Store computed heights for animation
+    this.morph = null; // { from, to, start } while easing between vintages
+    this.interpolate = null; // (K, T) → σ, built from config.interpolation
+    this.publishedGrid = null; // σ grid as shipped, kept while a recalibrated grid is shown
+    this.calibration = null; // Last SurfaceCalibration.calibrate() result
+    this.sigmaSource = 'published'; // 'published' | 'calibrated'
+    this.inspector = null; // Raycast hover readout (SurfaceInspector)
+    this.slices = null; // Smile / term-structure slice panels (SurfaceSlices)
+    this.diagnostics = null; // Arbitrage / data-quality overlay (DiagnosticsOverlay)
+    this.timeline = null; // As-of year scrubber / playback (SurfaceTimeline)
+    this.shading = null; // Shaded σ-coloured mesh, contours and legend (SurfaceShading)
+    this.layers = []; // Add-ons drawn into surfaceGroup: update() per frame, dispose()
+    this.controls = null; // Orbit / zoom / pan for explore mode (SurfaceControls)
+    this.mode = 'presentation'; // 'presentation' (auto-rotating background) | 'explore'
     this.time = 0;
 
+    // Render-loop lifecycle (see start / stop / pause / resume)
+    this.running = false; // between start() and stop()
+    this.frameId = null; // pending requestAnimationFrame id
+    this.pauseReasons = new Set(); // 'user' | 'hidden' | 'offscreen' — see pause()
+    this.heroInView = true; // the page header is on screen (see setupLifecycle)
+    this.lastFrame = 0;
+    this.frameCost = 0; // smoothed ms spent per rendered frame
+    this.heightsDirty = true; // base heights changed since the last buffer write
+    this.reducedMotion = false; // prefers-reduced-motion: static frame, render on demand
+    this.lifecycle = []; // teardown callbacks for lifecycle listeners / observers
+
     this.config = {
       // Render grid is denser than data grid for smooth visuals
       renderGrid: this.isMobile() ? { x: 20, y: 12 } : { x: 40, y: 24 },
@@ -33,10 +68,22 @@ class VolatilitySurface {
       waveAmplitude: 0.15,
       color: 0xffffff,
       opacity: 0.85,
-      // Scale factors to map data to 3D space
+      // Scale factors to map data to 3D space (height scale comes from the dataset)
       scaleX: 12,  // spread of strike axis
       scaleY: 10,  // spread of maturity axis
-      scaleZ: 20,  // height multiplier for sigma values (v2 surface has smaller sigma range)
+      // Mesh interpolation between data knots: 'bilinear' | 'bicubic' | 'spline' (σ²T)
+      interpolation: 'bilinear',
+      // Render mode: 'wireframe' | 'shaded' (lit mesh coloured by σ, see SurfaceShading)
+      shading: { renderMode: 'wireframe', colormap: 'viridis', showContours: true },
+      // In-browser recalibration from P_cross (see SurfaceCalibration.calibrate)
+      calibration: { forward: 0 }, // drift of the forward logit per year: 0 = spot
+      datasetsUrl: 'data/surface-datasets.json',
+      // The canvas is this element's backdrop; past it, the page covers it
+      heroSelector: '.content-wrapper > header',
+      morphMs: 900,
+      // Frame-rate cap; dropped to minFps when frames run over budget
+      maxFps: this.isLowEnd() ? 30 : 60,
+      minFps: 20,
     };
   }
 
@@ -44,29 +91,494 @@ class VolatilitySurface {
     return window.innerWidth < 768;
   }
 
+  /**
+   * Few cores / little memory (where reported) or a phone-sized screen
+   */
+  isLowEnd() {
+    const cores = navigator.hardwareConcurrency || 8;
+    const memory = navigator.deviceMemory || 8;
+    return this.isMobile() || cores <= 4 || memory <= 4;
+  }
+
   async init() {
     this.setupScene();
     this.setupCamera();
     this.setupRenderer();
 
     // Load real data, fall back to synthetic if fetch fails
-    try {
-      const resp = await fetch('data/health-surface-data.json');
-      this.surfaceData = await resp.json();
-      console.log('Loaded health surface data:', this.surfaceData.metadata.title);
-    } catch (e) {
-      console.warn('Could not load surface data, using synthetic fallback');
+    this.datasets = await SurfaceDatasets.loadManifest(this.config.datasetsUrl);
+    await this.loadDataset(this.datasets[0]);
+
+    this.createSurface();
+    this.updateOverlay();
+    this.handleResize();
+
+    this.controls = new SurfaceControls(this.camera, this.canvas);
+    this.controls.onChange = () => this.stateChanged(false);
+    this.controls.init();
+    this.setupModeToolbar();
+    this.setupDatasetPicker();
+    this.createLayers();
+    this.updateToolbar();
+
+    this.setupLifecycle();
+    this.start();
+  }
+
+  // ================================
+  // Render-loop lifecycle
+  // ================================
+
+  /**
+   * Starts the render loop (no-op if already running)
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.lastFrame = 0;
+    this.requestRender();
+  }
+
+  /**
+   * Stops the render loop; the last frame stays on the canvas
+   */
+  stop() {
+    this.running = false;
+    this.cancelFrame();
+  }
+
+  /**
+   * Pauses for a reason until it is resumed. 'user' is the toolbar's motion
+   * toggle: it only stills the wave and auto-rotation, so explore mode and
+   * on-demand redraws keep working. 'hidden' (the tab) and 'offscreen'
+   * (the page covering the canvas) stop rendering altogether.
+   */
+  pause(reason = 'user') {
+    this.pauseReasons.add(reason);
+    if (reason === 'user') {
+      this.updateToolbar();
+      this.requestRender();
+    } else {
+      this.cancelFrame();
+    }
+  }
+
+  resume(reason = 'user') {
+    this.pauseReasons.delete(reason);
+    if (reason === 'user') this.updateToolbar();
+    this.requestRender();
+  }
+
+  isPaused(reason) {
+    return reason ? this.pauseReasons.has(reason) : this.pauseReasons.size > 0;
+  }
+
+  /**
+   * Whether the wave and auto-rotation are held: reduced motion or the
+   * user's pause
+   */
+  isStill() {
+    return this.reducedMotion || this.isPaused('user');
+  }
+
+  /**
+   * Schedules a frame unless stopped, paused other than by the user, or
+   * already scheduled. Also how the static (still) frame is redrawn after
+   * a change.
+   */
+  requestRender() {
+    const halted = [...this.pauseReasons].some(reason => reason !== 'user');
+    if (!this.running || halted || this.frameId !== null) return;
+    this.frameId = requestAnimationFrame((now) => this.animate(now));
+  }
+
+  cancelFrame() {
+    if (this.frameId === null) return;
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  /**
+   * Nothing on screen would move: still (reduced motion or the user's pause)
+   * in presentation mode with no morph or playback in progress (explore mode
+   * always keeps the loop running for the camera)
+   */
+  isStatic() {
+    return this.isStill() && this.mode === 'presentation' && !this.morph &&
+      !(this.timeline && this.timeline.playing);
+  }
+
+  /**
+   * Pauses while the page covers the canvas and follows
+   * prefers-reduced-motion. The canvas is fixed, so it never leaves the
+   * viewport itself; once the hero header has scrolled away the sections sit
+   * over it. (Tab visibility is handled by PortfolioApp through
+   * pause / resume('hidden').)
+   */
+  setupLifecycle() {
+    const hero = document.querySelector(this.config.heroSelector);
+    if (hero && 'IntersectionObserver' in window) {
+      const observer = new IntersectionObserver(([entry]) => {
+        this.heroInView = entry.isIntersecting;
+        this.updateOffscreen();
+      });
+      observer.observe(hero);
+      this.lifecycle.push(() => observer.disconnect());
+    }
+
+    if (window.matchMedia) {
+      const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+      const onChange = () => {
+        this.reducedMotion = query.matches;
+        this.heightsDirty = true;
+        this.requestRender();
+      };
+      onChange();
+      query.addEventListener('change', onChange);
+      this.lifecycle.push(() => query.removeEventListener('change', onChange));
+    }
+  }
+
+  /**
+   * 'offscreen' while the hero is scrolled away in presentation mode;
+   * explore mode hides the page, so the canvas is always in view there
+   */
+  updateOffscreen() {
+    if (this.mode === 'presentation' && !this.heroInView) {
+      this.pause('offscreen');
+    } else {
+      this.resume('offscreen');
+    }
+  }
+
+  /**
+   * Halves the frame-rate cap (down to minFps) when rendering keeps taking
+   * most of the frame budget
+   */
+  adaptFrameRate(costMs) {
+    this.frameCost = this.frameCost * 0.95 + costMs * 0.05;
+    const budget = 1000 / this.config.maxFps;
+    if (this.frameCost > budget * 0.75 && this.config.maxFps > this.config.minFps) {
+      this.config.maxFps = Math.max(this.config.minFps, Math.round(this.config.maxFps / 2));
+      this.frameCost = 0;
+      console.log(`Surface frame rate capped at ${this.config.maxFps} fps`);
+    }
+  }
+
+  /**
+   * Loads a dataset's vintages and shows the latest one. Leaves surfaceData
+   * null (synthetic fallback) when nothing loads, and says so on the page.
+   */
+  async loadDataset(descriptor) {
+    const errors = [];
+    this.setDataStatus('loading', `Loading ${descriptor.label || descriptor.id}\u2026`);
+    this.vintages = await SurfaceDatasets.load(descriptor, {
+      onError: (error) => errors.push(error.message)
+    });
+    this.dataset = descriptor;
+
+    if (this.vintages.length > 0) {
+      this.vintageIndex = this.vintages.length - 1; // latest as-of year
+      this.applySurfaceData(this.vintages[this.vintageIndex].data);
+      console.log('Loaded surface data:', this.surfaceData.display.title,
+        this.vintages.map(v => v.asof_year).join(', '));
+      if (errors.length > 0) {
+        this.setDataStatus('warning', `${errors.length} vintage${errors.length > 1 ? 's' : ''} failed to load`,
+          errors.join('\n'));
+      } else {
+        this.setDataStatus(null);
+      }
+    } else {
+      console.warn(`Could not load surface data for ${descriptor.id}, using synthetic fallback`);
+      this.setDataStatus('synthetic', 'Synthetic surface \u00B7 data failed to load', errors.join('\n'));
       this.surfaceData = null;
+      this.publishedGrid = null;
+      this.vintageIndex = -1;
     }
+  }
 
+  /**
+   * Hover readout, panels and playback only make sense on real data
+   */
+  createLayers() {
+    if (!this.surfaceData) return;
+
+    this.shading = this.addLayer(new SurfaceShading(this));
+    this.inspector = this.addLayer(new SurfaceInspector(this));
+    this.diagnostics = this.addLayer(new DiagnosticsOverlay(this));
+    if (typeof d3 !== 'undefined') {
+      this.slices = this.addLayer(new SurfaceSlices(this));
+    }
+    this.timeline = this.addLayer(new SurfaceTimeline(this));
+  }
+
+  /**
+   * Swaps in another dataset: layers, mesh and axes are rebuilt from scratch
+   * since the axis values, labels and scaling all change with it
+   */
+  async setDataset(id) {
+    const descriptor = this.datasets.find(d => d.id === id);
+    if (!descriptor || descriptor === this.dataset) return;
+
+    this.layers.forEach(layer => layer.dispose());
+    this.layers = [];
+    this.inspector = this.diagnostics = this.slices = this.timeline = this.shading = null;
+
+    // Give the old dataset its published grid back before leaving it
+    if (this.surfaceData && this.publishedGrid) {
+      this.surfaceData.surface.grid = this.publishedGrid;
+    }
+    this.surfaceData = null;
+    this.morph = null;
+
+    await this.loadDataset(descriptor);
+    if (this.datasetPicker) this.datasetPicker.value = id;
+
+    this.disposeSurface();
     this.createSurface();
-    this.handleResize();
-    this.animate();
+    this.updateOverlay();
+    this.createLayers();
+    this.updateToolbar();
+    this.requestRender();
+  }
+
+  /**
+   * Options for the dataset <select>; hidden with fewer than two datasets
+   */
+  setupDatasetPicker(selectId = 'surface-dataset') {
+    const select = document.getElementById(selectId);
+    if (!select || this.datasets.length < 2) return;
+
+    select.replaceChildren(...this.datasets.map(d => {
+      const option = document.createElement('option');
+      option.value = d.id;
+      option.textContent = d.label || d.id;
+      return option;
+    }));
+    select.value = this.dataset.id;
+    select.hidden = false;
+    select.addEventListener('change', async () => {
+      await this.setDataset(select.value);
+      this.stateChanged();
+    });
+    this.datasetPicker = select;
+  }
+
+  /**
+   * Whether the loaded data carries what SurfaceCalibration needs
+   */
+  canCalibrate() {
+    return Boolean(this.surfaceData && this.surfaceData.raw_points.length > 0 &&
+      this.surfaceData.metadata.spot_logit !== undefined);
+  }
+
+  /**
+   * Formats a value on the x / y axis with its unit, e.g. "35.0%", "5.0y"
+   */
+  formatAxis(axis, value, digits = 1) {
+    const { unit } = this.surfaceData.axes[axis];
+    return `${value.toFixed(digits)}${unit}`;
+  }
+
+  /**
+   * Makes `data` the current surface: keeps its published grid, re-applies
+   * the current σ source and rebuilds the interpolator
+   */
+  applySurfaceData(data) {
+    // Hand the previous snapshot its published grid back before switching
+    if (this.surfaceData && this.publishedGrid) {
+      this.surfaceData.surface.grid = this.publishedGrid;
+    }
+
+    this.surfaceData = data;
+    this.publishedGrid = data.surface.grid;
+
+    if (this.sigmaSource === 'calibrated' && this.canCalibrate()) {
+      this.calibration = SurfaceCalibration.calibrate(data, this.config.calibration);
+      data.surface.grid = this.calibration.grid;
+    } else {
+      this.calibration = null;
+    }
+
+    this.interpolate = this.createInterpolator();
+  }
+
+  /**
+   * Eases the mesh from the current heights to vintage `index`. animate()
+   * writes baseHeights into the position buffer, so the morph just moves them.
+   */
+  setVintage(index) {
+    if (index === this.vintageIndex || !this.vintages[index]) return;
+
+    const from = this.baseHeights.slice();
+    this.vintageIndex = index;
+    this.applySurfaceData(this.vintages[index].data);
+
+    this.morph = { from, to: this.computeBaseHeights(), start: performance.now() };
+    this.updateOverlay();
+    this.requestRender();
+  }
+
+  stepMorph() {
+    const { from, to, start } = this.morph;
+    const t = Math.min(1, (performance.now() - start) / this.config.morphMs);
+    const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+
+    for (let i = 0; i < to.length; i++) {
+      this.baseHeights[i] = from[i] + (to[i] - from[i]) * ease;
+    }
+    this.heightsDirty = true;
+
+    if (t >= 1) {
+      this.morph = null;
+      this.layers.forEach(layer => {
+        if (layer.refresh) layer.refresh();
+      });
+    }
+  }
+
+  /**
+   * Shareable view state for UrlState, as { name: string }; defaults are
+   * left out. dataset / year: when not the first dataset / latest vintage;
+   * view, cam ("radius,phi,theta,x,y,z") and slice ("T5,K35") while
+   * exploring.
+   */
+  getState() {
+    const state = {};
+    if (this.dataset && this.datasets.length > 0 && this.dataset !== this.datasets[0]) {
+      state.dataset = this.dataset.id;
+    }
+    if (this.vintageIndex >= 0 && this.vintageIndex < this.vintages.length - 1) {
+      state.year = String(this.vintages[this.vintageIndex].asof_year);
+    }
+    if (this.mode === 'explore') {
+      state.view = 'explore';
+      state.cam = this.controls.getCamera()
+        .map(v => Number(v.toFixed(3)))
+        .join(',');
+      const slice = this.slices && this.slices.getState();
+      if (slice) state.slice = slice;
+    }
+    return state;
+  }
+
+  /**
+   * Restores getState() output; missing keys go back to their defaults. A
+   * slice or camera without a view implies explore mode, so "?slice=T5"
+   * opens on the 5y smile.
+   */
+  async setState(state) {
+    const dataset = this.datasets.find(d => d.id === state.dataset) || this.datasets[0];
+    if (dataset && dataset !== this.dataset) await this.setDataset(dataset.id);
+
+    if (this.vintages.length > 0) {
+      const index = this.vintages.findIndex(v => String(v.asof_year) === state.year);
+      this.setVintage(index >= 0 ? index : this.vintages.length - 1);
+      if (this.timeline) this.timeline.refresh();
+    }
+
+    if (this.slices && state.slice) {
+      this.slices.setState(state.slice);
+      if (!this.slices.open) this.slices.toggle(true);
+    }
+
+    const exploring = state.view ? state.view === 'explore' : Boolean(state.slice || state.cam);
+    this.setMode(exploring ? 'explore' : 'presentation');
+    if (exploring && state.cam && this.controls) {
+      this.controls.setCamera(state.cam.split(',').map(Number));
+    }
+    this.requestRender();
+  }
+
+  /**
+   * Tells UrlState that getState() changed, through a bubbling
+   * "viewstatechange" event on the canvas. push: false rewrites the current
+   * history entry (camera drags) instead of adding one.
+   */
+  stateChanged(push = true) {
+    if (!this.canvas) return;
+    this.canvas.dispatchEvent(new CustomEvent('viewstatechange', { bubbles: true, detail: { push } }));
+  }
+
+  /**
+   * Badge under the overlay title: 'loading', 'warning' (some vintages
+   * missing) or 'synthetic' (nothing loaded, the made-up fallback surface is
+   * showing); null hides it. detail (the load errors) goes in the tooltip.
+   */
+  setDataStatus(kind, text = '', detail = '') {
+    this.dataStatus = kind ? { kind, text, detail } : null;
+    const badge = document.querySelector('.surface-badge');
+    if (!badge) return;
+
+    badge.hidden = !kind;
+    badge.className = kind ? `surface-badge surface-badge-${kind}` : 'surface-badge';
+    badge.textContent = text;
+    badge.title = detail;
+  }
+
+  /**
+   * Title and spot readout in the overlay follow the loaded vintage
+   */
+  updateOverlay() {
+    this.describeSurface();
+    if (!this.surfaceData) return;
+
+    const { title, asof, spot } = this.surfaceData.display;
+    const titleEl = document.querySelector('.surface-title');
+    const spotEl = document.querySelector('.surface-spot');
+
+    if (titleEl) titleEl.textContent = asof ? `${title} \u00B7 ${asof}` : title;
+    if (spotEl) {
+      spotEl.textContent = [asof ? `As of ${asof}` : '', spot].filter(Boolean).join(' \u00B7 ');
+    }
+  }
+
+  /**
+   * Text equivalent of the canvas (its aria-describedby target), built from
+   * the loaded metadata: extent of each axis, the lowest / highest σ and
+   * where they sit, spot and source
+   */
+  describeSurface(elementId = 'surface-description') {
+    const el = document.getElementById(elementId);
+    if (!el) return;
+
+    if (!this.surfaceData) {
+      el.textContent = 'Wireframe of a synthetic volatility surface; the surface data failed to load.';
+      return;
+    }
+
+    const { metadata, axes, surface, display } = this.surfaceData;
+    const symbol = surface.z_symbol || '\u03C3';
+    const range = (axis) => {
+      const { values } = axes[axis];
+      return `${axes[axis].label} from ${this.formatAxis(axis, values[0])} to ${this.formatAxis(axis, values[values.length - 1])}`;
+    };
+    const cells = surface.grid.flatMap((row, r) => row.map((sigma, c) => ({ sigma, r, c })));
+    const lowest = cells.reduce((a, d) => (d.sigma < a.sigma ? d : a));
+    const highest = cells.reduce((a, d) => (d.sigma > a.sigma ? d : a));
+    const at = ({ r, c }) => `K = ${this.formatAxis('x', axes.x.values[c])}, T = ${this.formatAxis('y', axes.y.values[r])}`;
+
+    el.textContent = [
+      `3D wireframe of the ${display.title}${display.asof ? ` as of ${display.asof}` : ''}.`,
+      metadata.subtitle ? `${metadata.subtitle}.` : '',
+      `${surface.z_label} over ${range('x')} and ${range('y')}` +
+        ` (${axes.y.values.length} \u00D7 ${axes.x.values.length} grid).`,
+      `Lowest ${symbol} ${lowest.sigma.toFixed(3)} at ${at(lowest)};` +
+        ` highest ${highest.sigma.toFixed(3)} at ${at(highest)}.`,
+      display.spot ? `${display.spot.charAt(0).toUpperCase()}${display.spot.slice(1)}.` : '',
+      metadata.source ? `Source: ${metadata.source}.` : '',
+      this.vintages.length > 1
+        ? `${this.vintages.length} annual vintages are available on the timeline.`
+        : `Only the ${display.asof} vintage is published, so there is no history to play back yet.`
+    ].filter(Boolean).join(' ');
   }
 
   setupScene() {
     this.scene = new THREE.Scene();
     this.scene.fog = new THREE.Fog(0x0d0d0d, 15, 50);
+
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
+    this.scene.add(ambientLight);
   }
 
   setupCamera() {
@@ -88,32 +600,384 @@ class VolatilitySurface {
   }
 
   /**
-   * Bilinear interpolation on the data grid to get sigma at any (u, v)
-   * u = normalized strike position [0,1], v = normalized maturity position [0,1]
+   * (K, T) → σ interpolator for the loaded grid, using config.interpolation.
+   * Works in real axis coordinates, so non-uniform knots aren't distorted.
    */
-  interpolateSigma(u, v, grid, nRows, nCols) {
-    // Map to grid indices
-    const gx = u * (nCols - 1);
-    const gy = v * (nRows - 1);
+  createInterpolator() {
+    const { axes, surface } = this.surfaceData;
+    return SurfaceInterpolation.create(
+      this.config.interpolation, axes.x.values, axes.y.values, surface.grid
+    );
+  }
 
-    const x0 = Math.floor(gx);
-    const y0 = Math.floor(gy);
-    const x1 = Math.min(x0 + 1, nCols - 1);
-    const y1 = Math.min(y0 + 1, nRows - 1);
+  /**
+   * Switches interpolation scheme and rebuilds the mesh heights in place
+   */
+  setInterpolation(method) {
+    this.config.interpolation = method;
+    if (!this.surfaceData) return;
 
-    const fx = gx - x0;
-    const fy = gy - y0;
+    this.interpolate = this.createInterpolator();
+    this.refreshHeights();
+  }
 
-    // Bilinear interpolation
-    const v00 = grid[y0][x0];
-    const v10 = grid[y0][x1];
-    const v01 = grid[y1][x0];
-    const v11 = grid[y1][x1];
+  /**
+   * Shows either the published σ grid or one recalibrated in the browser from
+   * raw_points P_cross, then rebuilds the mesh and its layers
+   */
+  setSigmaSource(source) {
+    if (!this.canCalibrate()) return;
+
+    this.sigmaSource = source;
+    this.applySurfaceData(this.surfaceData);
+
+    if (source === 'calibrated') {
+      const solved = this.calibration.points.filter(p => p.sigma !== null);
+      const maxError = Math.max(...solved.map(p => Math.abs(p.error)));
+      console.log(`Recalibrated ${solved.length}/${this.calibration.points.length} points, ` +
+        `max |Δσ| vs published = ${maxError.toFixed(4)}`);
+    }
+
+    this.refreshHeights();
+    this.updateToolbar();
+  }
+
+  /**
+   * Static heights of every render-grid node for the current data
+   */
+  computeBaseHeights() {
+    const { x: gridX, y: gridY } = this.config.renderGrid;
+    const heights = [];
+    for (let i = 0; i <= gridY; i++) {
+      for (let j = 0; j <= gridX; j++) {
+        heights.push(this.baseHeightAt(j / gridX, i / gridY));
+      }
+    }
+    return heights;
+  }
+
+  /**
+   * Recomputes baseHeights (animate() picks them up next frame) and lets
+   * layers re-sample anything derived from the surface
+   */
+  refreshHeights() {
+    this.morph = null;
+    this.computeBaseHeights().forEach((h, i) => {
+      this.baseHeights[i] = h;
+    });
+    this.heightsDirty = true;
+
+    this.layers.forEach(layer => {
+      if (layer.refresh) layer.refresh();
+    });
+    this.requestRender();
+  }
+
+  /**
+   * Initialises an add-on layer and hooks it into animate() / dispose()
+   */
+  addLayer(layer) {
+    layer.init();
+    this.layers.push(layer);
+    return layer;
+  }
+
+  /**
+   * Wires the presentation / explore toggle and preset view buttons
+   */
+  setupModeToolbar(toolbarId = 'surface-toolbar') {
+    this.toolbar = document.getElementById(toolbarId);
+    if (!this.toolbar) return;
+
+    this.toolbar.hidden = false;
+    this.toolbar.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+
+      if (button.dataset.action === 'toggle-motion') {
+        if (this.isPaused('user')) {
+          this.resume('user');
+        } else {
+          this.pause('user');
+        }
+      } else if (button.dataset.action === 'toggle-mode') {
+        this.setMode(this.mode === 'explore' ? 'presentation' : 'explore');
+      } else if (button.dataset.action === 'toggle-source') {
+        this.setSigmaSource(this.sigmaSource === 'calibrated' ? 'published' : 'calibrated');
+      } else if (button.dataset.action === 'toggle-layer') {
+        // data-layer names a layer on this instance ('slices', 'diagnostics', 'shading')
+        const layer = this[button.dataset.layer];
+        if (layer && layer.toggle) layer.toggle();
+      } else if (button.dataset.action === 'cycle-colormap' && this.shading) {
+        this.shading.cycleColormap();
+      } else if (button.dataset.action === 'toggle-contours' && this.shading) {
+        this.shading.toggleContours();
+      } else if (button.dataset.view) {
+        this.controls.setView(button.dataset.view);
+      }
+      this.requestRender();
+      this.stateChanged();
+    });
+    this.updateToolbar();
+    this.setupExportMenu();
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.mode === 'explore') {
+        this.setMode('presentation');
+        this.stateChanged();
+      }
+    });
+  }
+
+  /**
+   * Switches between the auto-rotating background ('presentation') and the
+   * interactive camera ('explore'). Explore mode hands the canvas pointer
+   * events and hides .content-wrapper; presentation gives both back so page
+   * scrolling is untouched.
+   */
+  setMode(mode) {
+    if (mode === this.mode || !this.controls) return;
+
+    this.mode = mode;
+    const exploring = mode === 'explore';
+    document.body.classList.toggle('surface-exploring', exploring);
+
+    if (exploring) {
+      // Unwind accumulated auto-rotation so preset views line up with the axes
+      const wrap = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+      this.surfaceGroup.rotation.x = wrap(this.surfaceGroup.rotation.x);
+      this.surfaceGroup.rotation.y = wrap(this.surfaceGroup.rotation.y);
+      this.controls.enable();
+    } else {
+      this.controls.disable();
+    }
+
+    this.layers.forEach(layer => {
+      if (layer.setMode) layer.setMode(mode);
+    });
+
+    this.updateToolbar();
+    this.updateOffscreen();
+  }
+
+  /**
+   * Syncs toolbar buttons with the mode, σ source and loaded dataset
+   * (panel toggles are kept in sync by their layers)
+   */
+  updateToolbar() {
+    if (!this.toolbar) return;
+
+    const exploring = this.mode === 'explore';
+    const toggle = this.toolbar.querySelector('[data-action="toggle-mode"]');
+    const views = this.toolbar.querySelector('.surface-views');
+    toggle.setAttribute('aria-pressed', String(exploring));
+    toggle.textContent = exploring ? 'Back to page' : 'Explore surface';
+    views.hidden = !exploring;
+
+    const motion = this.toolbar.querySelector('[data-action="toggle-motion"]');
+    if (motion) {
+      const paused = this.isPaused('user');
+      motion.setAttribute('aria-pressed', String(paused));
+      motion.textContent = paused ? 'Resume motion' : 'Pause motion';
+    }
+
+    const source = this.toolbar.querySelector('[data-action="toggle-source"]');
+    if (source) {
+      const calibrated = this.sigmaSource === 'calibrated';
+      source.hidden = !this.canCalibrate();
+      source.setAttribute('aria-pressed', String(calibrated));
+      source.textContent = calibrated ? '\u03C3: recalibrated' : '\u03C3: published';
+    }
+
+    // The slice panels are drawn with D3; without it there is nothing to open
+    const slices = this.toolbar.querySelector('[data-layer="slices"]');
+    if (slices) slices.hidden = !this.slices;
+  }
+
+  /**
+   * Export dropdown in the explore-mode toolbar: canvas captures and the
+   * σ grid / raw points on screen
+   */
+  setupExportMenu() {
+    const views = this.toolbar.querySelector('.surface-views');
+    if (!views || typeof VizExport === 'undefined') return;
+
+    const name = () => (this.dataset ? this.dataset.id : 'surface');
+    const png = (scale) => async () => {
+      VizExport.download(await this.exportImage(scale), `${name()}@${scale}x.png`);
+    };
+
+    VizExport.menu(views, [
+      { label: 'PNG 2×', run: png(2) },
+      { label: 'PNG 4×', run: png(4) },
+      ...this.exportData().map(({ label, filename, type, content }) => ({
+        label,
+        run: () => VizExport.download(content(), `${name()}-${filename}`, type)
+      }))
+    ], 'surface-button');
+  }
+
+  /**
+   * The loaded vintage as shown (published or recalibrated σ), as
+   * { label, filename, type, content() } downloads. Shared with the
+   * expanded heatmap view.
+   */
+  exportData() {
+    const csv = 'text/csv';
+    const data = () => {
+      if (!this.surfaceData) throw new Error('No surface data loaded');
+      return this.surfaceData;
+    };
+
+    return [
+      {
+        label: 'σ grid (CSV)',
+        filename: 'grid.csv',
+        type: csv,
+        content: () => {
+          const { axes, surface } = data();
+          const rows = [];
+          surface.grid.forEach((row, r) => row.forEach((sigma, c) => rows.push({
+            [axes.x.symbol || 'x']: axes.x.values[c],
+            [axes.y.symbol || 'y']: axes.y.values[r],
+            sigma
+          })));
+          return VizExport.csv(rows, VizExport.keysOf(rows));
+        }
+      },
+      {
+        label: 'Raw points (CSV)',
+        filename: 'raw-points.csv',
+        type: csv,
+        content: () => {
+          const { raw_points } = data();
+          return VizExport.csv(raw_points, VizExport.keysOf(raw_points));
+        }
+      },
+      {
+        label: 'Surface (JSON)',
+        filename: 'surface.json',
+        type: 'application/json',
+        content: () => {
+          const { metadata, axes, surface, raw_points } = data();
+          return JSON.stringify({
+            dataset: this.dataset ? this.dataset.id : null,
+            sigmaSource: this.sigmaSource,
+            metadata,
+            axes,
+            surface,
+            raw_points
+          }, null, 2);
+        }
+      }
+    ];
+  }
+
+  /**
+   * PNG of the current frame at `scale`× its CSS size, as the SVG exports
+   * are (capped at the GPU's largest render buffer). The drawing buffer is
+   * only valid until the frame is composited, so this renders and captures
+   * in the same task, then restores the pixel ratio and redraws.
+   *
+   * @returns {Promise<Blob>}
+   */
+  exportImage(scale = 2) {
+    if (!this.renderer) return Promise.reject(new Error('Surface is not rendering'));
+
+    const ratio = this.renderer.getPixelRatio();
+    const gl = this.renderer.getContext();
+    const size = this.renderer.getSize(new THREE.Vector2());
+    const largest = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE) / Math.max(size.x, size.y, 1);
+    this.renderer.setPixelRatio(Math.min(scale, largest));
+    this.renderer.render(this.scene, this.camera);
+    const blob = new Promise((resolve, reject) => {
+      this.canvas.toBlob(b => (b ? resolve(b) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+
+    this.renderer.setPixelRatio(ratio);
+    this.renderer.render(this.scene, this.camera);
+    this.requestRender();
+    return blob;
+  }
+
+  /**
+   * Maps a normalised axis position t ∈ [0,1] linearly onto the axis range,
+   * so the mesh is evenly spaced in real K / T (knots fall wherever they are)
+   */
+  axisValueAt(values, t) {
+    const lo = values[0];
+    const hi = values[values.length - 1];
+    return lo + t * (hi - lo);
+  }
+
+  /**
+   * Inverse of axisValueAt(): normalised position of an axis value
+   * (clamped to the axis range)
+   */
+  axisPositionOf(values, x) {
+    const lo = values[0];
+    const hi = values[values.length - 1];
+    return Math.max(0, Math.min(1, (x - lo) / (hi - lo)));
+  }
+
+  /**
+   * Normalised positions of the data knots along one axis
+   */
+  knotPositions(values) {
+    return values.map(x => this.axisPositionOf(values, x));
+  }
+
+  /**
+   * Strike K (%), maturity T (years) and interpolated σ at (u, v)
+   */
+  valuesAt(u, v) {
+    if (!this.surfaceData) return null;
+    const { axes } = this.surfaceData;
+    const K = this.axisValueAt(axes.x.values, u);
+    const T = this.axisValueAt(axes.y.values, v);
+    return { K, T, sigma: this.interpolate(K, T) };
+  }
+
+  /**
+   * Looks up the calibrated raw point at strike K and maturity T (axis units),
+   * if any. raw_points K × strikeScale gives axis units (fraction → %).
+   */
+  rawPointAt(K, T) {
+    if (!this.surfaceData) return null;
+    const { raw_points, strikeScale } = this.surfaceData;
+    return raw_points.find(p =>
+      Math.abs(p.K * strikeScale - K) < 1e-6 && Math.abs(p.T - T) < 1e-6
+    ) || null;
+  }
 
-    return (1 - fx) * (1 - fy) * v00 +
-           fx * (1 - fy) * v10 +
-           (1 - fx) * fy * v01 +
-           fx * fy * v11;
+  /**
+   * Static surface height at (u, v) — real data if loaded, synthetic otherwise
+   */
+  baseHeightAt(u, v) {
+    if (this.surfaceData) {
+      return this.valuesAt(u, v).sigma * this.surfaceData.surface.z_scale;
+    }
+    // Synthetic fallback
+    const smile = Math.pow((u - 0.5) * 2, 2) * 1.5;
+    const term = v * 0.5;
+    return (smile + term) * 2;
+  }
+
+  /**
+   * Subtle wave offset applied on top of the base height
+   */
+  waveAt(u, v) {
+    if (this.reducedMotion) return 0;
+    return Math.sin(u * Math.PI * 3 + this.time) *
+           Math.cos(v * Math.PI * 2 + this.time * 0.7) *
+           this.config.waveAmplitude;
+  }
+
+  /**
+   * Current (animated) surface height at (u, v)
+   */
+  heightAt(u, v) {
+    return this.baseHeightAt(u, v) + this.waveAt(u, v);
   }
 
   /**
@@ -180,54 +1044,58 @@ class VolatilitySurface {
     // Y-axis (Implied σ) vertical at the front-right corner
     addLine([halfX, 0, halfZ], [halfX, maxH * 1.15, halfZ]);
 
-    // Small tick lines along each axis
+    // Synthetic fallback has no axes to tick
+    if (!this.surfaceData) {
+      this.createAxisLabels('Strike K', 'Maturity T', 'Implied \u03C3', maxH);
+      return;
+    }
+
+    // Small tick lines along each axis, at the dataset's tick values
+    // (positions follow the real axis values — the mesh is uniform in K, T)
     const tickLen = 0.25;
+    const tickOpts = { scale: 0.35, color: 'rgba(255, 255, 255, 0.55)' };
+    const { axes, surface } = this.surfaceData;
+    const tickLabel = (axis, value) => `${value}${axes[axis].unit}`;
+
     // Strike ticks (perpendicular into Z)
-    const strikeTicks = [
-      { u: 0, label: '25%' },
-      { u: 4/8, label: '35%' },
-      { u: 1, label: '45%' }
-    ];
-    strikeTicks.forEach(({ u, label }) => {
-      const x = (u - 0.5) * this.config.scaleX;
+    axes.x.ticks.forEach(value => {
+      const x = (this.axisPositionOf(axes.x.values, value) - 0.5) * this.config.scaleX;
       addLine([x, 0, halfZ], [x, 0, halfZ + tickLen]);
-      this.surfaceGroup.add(this.createTextSprite(label,
-        new THREE.Vector3(x, -0.4, halfZ + 1.0),
-        { scale: 0.35, color: 'rgba(255, 255, 255, 0.55)' }
-      ));
+      this.surfaceGroup.add(this.createTextSprite(tickLabel('x', value),
+        new THREE.Vector3(x, -0.4, halfZ + 1.0), tickOpts));
     });
 
     // Maturity ticks (perpendicular into X)
-    // Grid rows: [1y, 2y, 3y, 5y, 7y, 10y] → v = row/5
-    const maturityTicks = [
-      { v: 0, label: '1y' },
-      { v: 3/5, label: '5y' },
-      { v: 1, label: '10y' }
-    ];
-    maturityTicks.forEach(({ v, label }) => {
-      const z = (v - 0.5) * this.config.scaleY;
+    axes.y.ticks.forEach(value => {
+      const z = (this.axisPositionOf(axes.y.values, value) - 0.5) * this.config.scaleY;
       addLine([halfX, 0, z], [halfX + tickLen, 0, z]);
-      this.surfaceGroup.add(this.createTextSprite(label,
-        new THREE.Vector3(halfX + 1.0, -0.4, z),
-        { scale: 0.35, color: 'rgba(255, 255, 255, 0.55)' }
-      ));
+      this.surfaceGroup.add(this.createTextSprite(tickLabel('y', value),
+        new THREE.Vector3(halfX + 1.0, -0.4, z), tickOpts));
     });
 
-    // Main axis labels
+    this.createAxisLabels(axes.x.label, axes.y.label, surface.z_label, maxH);
+  }
+
+  /**
+   * Main axis title sprites
+   */
+  createAxisLabels(xLabel, yLabel, zLabel, maxH) {
+    const halfX = this.config.scaleX / 2;
+    const halfZ = this.config.scaleY / 2;
     const labelOpts = { scale: 0.7, color: 'rgba(255, 76, 76, 0.85)' };
 
     this.surfaceGroup.add(this.createTextSprite(
-      'Obesity Threshold (Strike K)',
+      xLabel,
       new THREE.Vector3(0, -1.0, halfZ + 2.0),
       labelOpts
     ));
     this.surfaceGroup.add(this.createTextSprite(
-      'Horizon (Maturity T)',
+      yLabel,
       new THREE.Vector3(halfX + 2.5, -1.0, 0),
       labelOpts
     ));
     this.surfaceGroup.add(this.createTextSprite(
-      'Implied \u03C3',
+      zLabel,
       new THREE.Vector3(halfX + 1.5, maxH * 0.6, halfZ + 1.0),
       { scale: 0.6, color: 'rgba(255, 76, 76, 0.85)' }
     ));
@@ -244,10 +1112,6 @@ class VolatilitySurface {
     const vertices = [];
     const indices = [];
 
-    const grid = this.surfaceData ? this.surfaceData.surface.grid : null;
-    const nRows = grid ? grid.length : 0;
-    const nCols = grid ? grid[0].length : 0;
-
     this.baseHeights = [];
 
     for (let i = 0; i <= gridY; i++) {
@@ -259,17 +1123,7 @@ class VolatilitySurface {
         const x = (u - 0.5) * this.config.scaleX;
         const y = (v - 0.5) * this.config.scaleY;
 
-        let z;
-        if (grid) {
-          // Interpolate real data
-          const sigma = this.interpolateSigma(u, v, grid, nRows, nCols);
-          z = sigma * this.config.scaleZ;
-        } else {
-          // Synthetic fallback
-          const smile = Math.pow((u - 0.5) * 2, 2) * 1.5;
-          const term = v * 0.5;
-          z = (smile + term) * 2;
-        }
+        const z = this.baseHeightAt(u, v);
 
         this.baseHeights.push(z);
         vertices.push(x, z, y); // z and y swapped for Three.js orientation
@@ -303,60 +1157,132 @@ class VolatilitySurface {
     this.createAxes();
 
     this.scene.add(this.surfaceGroup);
+  }
 
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.3);
-    this.scene.add(ambientLight);
+  /**
+   * Removes the mesh, axes and labels (everything in surfaceGroup)
+   */
+  disposeSurface() {
+    if (!this.surfaceGroup) return;
+
+    this.scene.remove(this.surfaceGroup);
+    this.surfaceGroup.traverse(obj => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) {
+        if (obj.material.map) obj.material.map.dispose();
+        obj.material.dispose();
+      }
+    });
+    this.surfaceGroup = null;
+    this.surface = null;
   }
 
   /**
-   * Animation loop — subtle wave on top of real data
+   * Animation loop — subtle wave on top of real data. Frames are capped at
+   * config.maxFps; motion advances with elapsed time so a lower cap doesn't
+   * slow the wave down. In a static frame the loop stops rescheduling itself
+   * until requestRender() is called.
    */
-  animate() {
-    requestAnimationFrame(() => this.animate());
+  animate(now = performance.now()) {
+    this.frameId = null;
 
-    this.time += this.config.waveSpeed;
+    const interval = 1000 / this.config.maxFps;
+    const elapsed = this.lastFrame ? now - this.lastFrame : interval;
+    if (elapsed < interval - 1) {
+      this.requestRender();
+      return;
+    }
+    this.lastFrame = now;
+    const step = Math.min(elapsed, 100) / (1000 / 60); // in 60 fps frames
 
     if (this.surfaceGroup && this.baseHeights) {
-      this.surfaceGroup.rotation.x += this.config.rotation.x;
-      this.surfaceGroup.rotation.y += this.config.rotation.y;
+      if (this.morph) {
+        this.stepMorph();
+      }
 
-      const positions = this.surface.geometry.attributes.position.array;
-      const { x: gridX, y: gridY } = this.config.renderGrid;
+      if (this.mode === 'explore') {
+        // Ease back to axis-aligned so the camera presets are meaningful
+        this.surfaceGroup.rotation.x *= 0.9;
+        this.surfaceGroup.rotation.y *= 0.9;
+      } else if (!this.isStill()) {
+        this.surfaceGroup.rotation.x += this.config.rotation.x * step;
+        this.surfaceGroup.rotation.y += this.config.rotation.y * step;
+      }
 
-      for (let i = 0; i <= gridY; i++) {
-        for (let j = 0; j <= gridX; j++) {
-          const idx = i * (gridX + 1) + j;
-          const posIdx = idx * 3;
-          const u = j / gridX;
-          const v = i / gridY;
+      if (!this.isStill()) this.time += this.config.waveSpeed * step;
+      this.writeHeights();
 
-          // Base height from real data
-          const baseZ = this.baseHeights[idx];
+      this.layers.forEach(layer => layer.update());
+    }
 
-          // Subtle wave animation
-          const wave = Math.sin(u * Math.PI * 3 + this.time) *
-                      Math.cos(v * Math.PI * 2 + this.time * 0.7) *
-                      this.config.waveAmplitude;
+    if (this.controls) {
+      this.controls.update();
+    }
 
-          positions[posIdx + 1] = baseZ + wave;
-        }
-      }
+    this.renderer.render(this.scene, this.camera);
+    this.adaptFrameRate(performance.now() - now);
 
-      this.surface.geometry.attributes.position.needsUpdate = true;
+    if (!this.isStatic()) {
+      this.requestRender();
     }
+  }
 
-    this.renderer.render(this.scene, this.camera);
+  /**
+   * Writes base height + wave into the position buffer. The wave is
+   * separable (sin in u × cos in v), so it costs one table per axis rather
+   * than two trig calls per vertex; without a moving wave the buffer is only
+   * rewritten when the base heights change. The user's pause freezes the
+   * wave where it is, reduced motion flattens it.
+   */
+  writeHeights() {
+    const waving = !this.reducedMotion && this.config.waveAmplitude !== 0;
+    if (!(waving && !this.isPaused('user')) && !this.heightsDirty) return;
+
+    const attribute = this.surface.geometry.attributes.position;
+    const positions = attribute.array;
+    const { x: gridX, y: gridY } = this.config.renderGrid;
+
+    const alongU = [];
+    const alongV = [];
+    for (let j = 0; j <= gridX; j++) {
+      alongU.push(waving ? Math.sin((j / gridX) * Math.PI * 3 + this.time) * this.config.waveAmplitude : 0);
+    }
+    for (let i = 0; i <= gridY; i++) {
+      alongV.push(waving ? Math.cos((i / gridY) * Math.PI * 2 + this.time * 0.7) : 0);
+    }
+
+    for (let i = 0; i <= gridY; i++) {
+      for (let j = 0; j <= gridX; j++) {
+        const idx = i * (gridX + 1) + j;
+        // Base height from real data + subtle wave animation
+        positions[idx * 3 + 1] = this.baseHeights[idx] + alongU[j] * alongV[i];
+      }
+    }
+
+    attribute.needsUpdate = true;
+    this.heightsDirty = false;
   }
 
   handleResize() {
-    window.addEventListener('resize', () => {
+    const onResize = () => {
       this.camera.aspect = window.innerWidth / window.innerHeight;
       this.camera.updateProjectionMatrix();
       this.renderer.setSize(window.innerWidth, window.innerHeight);
-    });
+      this.requestRender();
+    };
+    window.addEventListener('resize', onResize);
+    this.lifecycle.push(() => window.removeEventListener('resize', onResize));
   }
 
   dispose() {
+    this.stop();
+    this.lifecycle.forEach(off => off());
+    this.lifecycle = [];
+    this.layers.forEach(layer => layer.dispose());
+    this.layers = [];
+    if (this.controls) {
+      this.controls.dispose();
+    }
     if (this.surface) {
       this.surface.geometry.dispose();
       this.surface.material.dispose();
@@ -0,0 +1,139 @@
+/**
+ * Service Worker
+ *
+ * Lets the portfolio work offline after the first visit. Install precaches
+ * everything the page needs: the HTML, CSS, every script (including the
+ * self-hosted Three.js / D3 in js/vendor/), the data files and the headshot.
+ * Requests are then answered:
+ * - pages: network first, falling back to the cached index.html, whatever
+ *   the query or hash, so shared view-state links open offline too
+ * - the site's own CSS, scripts and data: network first, falling back to
+ *   the cache, so a visit after a deploy never pairs new HTML with old JS
+ * - pinned assets (js/vendor/, images): from the cache, refreshed in the
+ *   background for the next visit
+ */
+
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `portfolio-${CACHE_VERSION}`;
+
+// Served from the cache first: they only change when re-vendored / replaced
+const PINNED = /\/(js\/vendor\/[^/]+|[^/]+\.(jpg|png|svg))$/;
+
+// Bump CACHE_VERSION whenever a file is added to, renamed in or removed from
+// this list, or a PINNED file changes, so installs precache the new set and
+// activate drops the old. Edits to any other listed file need no bump: they
+// are fetched network first.
+const PRECACHE = [
+  './',
+  'index.html',
+  'css/styles.css',
+  'Headshot.jpg',
+  'js/vendor/three.min.js',
+  'js/vendor/d3.min.js',
+  'js/surface-interpolation.js',
+  'js/surface-diagnostics.js',
+  'js/surface-calibration.js',
+  'js/surface-inspector.js',
+  'js/surface-controls.js',
+  'js/surface-timeline.js',
+  'js/surface-shading.js',
+  'js/data-loader.js',
+  'js/surface-datasets.js',
+  'js/viz-export.js',
+  'js/volatility-surface.js',
+  'js/surface-fallback.js',
+  'js/seeded-random.js',
+  'js/kalman-filter.js',
+  'js/pairs-backtest.js',
+  'js/markov-chain.js',
+  'js/markov-estimator.js',
+  'js/regime-simulator.js',
+  'js/viz-interactions.js',
+  'js/project-visualizations.js',
+  'js/surface-slices.js',
+  'js/surface-heatmap.js',
+  'js/project-detail.js',
+  'js/portfolio-app.js',
+  'js/url-state.js',
+  'js/main.js',
+  'data/surface-datasets.json',
+  'data/health-surface-data.json',
+  'data/health-surface-vintages.json',
+  'data/kalman-data.json',
+  'data/markov-data.json',
+  'data/sample-index-vintages.json',
+  'data/sample-index-iv-2023.csv',
+  'data/sample-index-iv-2024.csv'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('portfolio-') && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  const { pathname } = new URL(request.url);
+  if (request.mode === 'navigate') {
+    // Only the page itself refreshes the shell
+    event.respondWith(networkFirst(request, { key: 'index.html', store: /\/(index\.html)?$/.test(pathname) }));
+  } else if (PINNED.test(pathname)) {
+    event.respondWith(staleWhileRevalidate(request, event));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+/**
+ * Fresh copy when online, kept in the cache under `key` if `store`; the
+ * cached copy when not
+ */
+async function networkFirst(request, { key = request, store = true } = {}) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok && store) {
+      cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Cached copy straight away (fetching it on a miss), updating the cache
+ * from the network either way
+ */
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KalmanFilter = require('../js/kalman-filter.js');
+
+const filter = { delta: 1e-5, observationNoise: 1, warmup: 20 };
+
+/**
+ * Ordinary least squares of y on x: [β, α]
+ */
+function ols(x, y) {
+  const n = x.length;
+  const mx = x.reduce((a, b) => a + b, 0) / n;
+  const my = y.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += (x[i] - mx) ** 2;
+  }
+  return [sxy / sxx, my - (sxy / sxx) * mx];
+}
+
+test('reaches the least-squares fit of the warm-up window', () => {
+  const { x, y } = KalmanFilter.simulatePair();
+  const steps = KalmanFilter.run(x, y, filter);
+  const t = filter.warmup;
+  const [beta, alpha] = ols(x.slice(0, t + 1), y.slice(0, t + 1));
+
+  assert.ok(Math.abs(steps[t].beta - beta) < 0.05, `β ${steps[t].beta} vs OLS ${beta}`);
+  assert.ok(Math.abs(steps[t].alpha - alpha) < 2.5, `α ${steps[t].alpha} vs OLS ${alpha}`);
+});
+
+test('recovers α and β of a tightly cointegrated pair', () => {
+  const prices = KalmanFilter.simulatePair({ kappa: 0.5, spreadVol: 0.3, betaDrift: 0 });
+  const steps = KalmanFilter.run(prices.x, prices.y, filter);
+  const last = steps[steps.length - 1];
+
+  steps.filter(step => step.warm).forEach(step => {
+    assert.ok(Math.abs(step.beta - 1.2) < 0.1, `β ${step.beta} at t=${step.t}`);
+    assert.ok(Math.abs(step.zscore) < 3, `z ${step.zscore} at t=${step.t}`);
+  });
+  assert.ok(Math.abs(last.alpha - 5) < 1, `α ${last.alpha}`);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MarkovChain = require('../js/markov-chain.js');
+
+const closeMatrix = (actual, expected, tol = 1e-12) => {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((row, i) => row.forEach((value, j) =>
+    assert.ok(Math.abs(value - expected[i][j]) < tol, `[${i}][${j}] ${value} vs ${expected[i][j]}`)));
+};
+
+const twoState = [[0.65, 0.35], [0.42, 0.58]];
+
+// The "Land of Oz" chain (Kemeny & Snell): π = (0.4, 0.2, 0.4)
+const threeState = [[0.5, 0.25, 0.25], [0.5, 0, 0.5], [0.25, 0.25, 0.5]];
+
+test('two-state stationary distribution and durations', () => {
+  const [up, down] = MarkovChain.stationary(twoState);
+  assert.ok(Math.abs(up - 0.42 / 0.77) < 1e-12);
+  assert.ok(Math.abs(down - 0.35 / 0.77) < 1e-12);
+  assert.equal(up.toFixed(3), '0.545');
+  assert.equal(down.toFixed(3), '0.455');
+
+  const [upDays, downDays] = MarkovChain.expectedDurations(twoState);
+  assert.equal(upDays.toFixed(3), '2.857');
+  assert.equal(downDays.toFixed(3), '2.381');
+});
+
+test('three-state stationary distribution', () => {
+  closeMatrix([MarkovChain.stationary(threeState)], [[0.4, 0.2, 0.4]]);
+  assert.deepEqual(MarkovChain.expectedDurations([[1, 0], [0.5, 0.5]]), [Infinity, 2]);
+});
+
+test('n-step powers match the hand-multiplied matrices', () => {
+  closeMatrix(MarkovChain.power(threeState, 0), MarkovChain.identity(3));
+  closeMatrix(MarkovChain.power(threeState, 1), threeState);
+  closeMatrix(MarkovChain.power(threeState, 2), [
+    [0.4375, 0.1875, 0.375],
+    [0.375, 0.25, 0.375],
+    [0.375, 0.1875, 0.4375]
+  ]);
+  closeMatrix([MarkovChain.power(threeState, 3)[0]], [[0.40625, 0.203125, 0.390625]]);
+  closeMatrix([MarkovChain.distributionAfter([1, 0, 0], threeState, 2)], [[0.4375, 0.1875, 0.375]]);
+});
+
+test('long-run rows converge to the stationary distribution', () => {
+  closeMatrix(MarkovChain.power(twoState, 64), [
+    [0.42 / 0.77, 0.35 / 0.77],
+    [0.42 / 0.77, 0.35 / 0.77]
+  ], 1e-9);
+});
+
+test('validate rejects malformed matrices', () => {
+  assert.throws(() => MarkovChain.validate([[0.5, 0.4], [0.3, 0.7]]), /Row 0 sums to 0\.9000, not 1/);
+  assert.throws(() => MarkovChain.validate([[1.2, -0.2], [0.3, 0.7]]), /Row 0 has a negative/);
+  assert.throws(() => MarkovChain.validate([[1, 0]]), /must be square/);
+  assert.equal(MarkovChain.validate(twoState), twoState);
+});
+
+test('stationary throws with more than one closed class', () => {
+  assert.throws(() => MarkovChain.stationary([[1, 0], [0, 1]]), /Singular system/);
+});
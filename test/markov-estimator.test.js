@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MarkovEstimator = require('../js/markov-estimator.js');
+
+const close = (actual, expected, tol = 1e-4) =>
+  assert.ok(Math.abs(actual - expected) < tol, `${actual} vs ${expected}`);
+
+test('sign states: Up for r > 0, Down otherwise', () => {
+  const { states, labels } = MarkovEstimator.discretise([0.01, -0.02, 0, 0.003]);
+  assert.deepEqual(labels, ['Up', 'Down']);
+  assert.deepEqual(states, [0, 1, 1, 0]);
+});
+
+test('threshold states: Up, Flat within ±threshold, Down', () => {
+  const { states, labels } = MarkovEstimator.discretise([0.01, 0.005, -0.005, -0.01, 0],
+    { method: 'threshold', threshold: 0.005 });
+  assert.deepEqual(labels, ['Up', 'Flat', 'Down']);
+  assert.deepEqual(states, [0, 1, 1, 2, 1]);
+});
+
+test('quantile states run from the highest returns to the lowest', () => {
+  const { states, labels, cuts } = MarkovEstimator.discretise([6, 1, 4, 2, 5, 3],
+    { method: 'quantile', quantiles: 3 });
+  assert.deepEqual(labels, ['Q3', 'Q2', 'Q1']);
+  assert.deepEqual(cuts, [3, 5]);
+  assert.deepEqual(states, [0, 2, 1, 2, 0, 1]);
+});
+
+test('tied returns merge quantile cuts instead of leaving a state empty', () => {
+  const { states, labels, cuts } = MarkovEstimator.discretise([1, 1, 1, 1, 2, 3],
+    { method: 'quantile', quantiles: 3 });
+  assert.deepEqual(cuts, [2]);
+  assert.deepEqual(labels, ['Q2', 'Q1']);
+  labels.forEach((_, s) => assert.ok(states.includes(s), `state ${s} is empty`));
+});
+
+test('Wilson bounds match the textbook values', () => {
+  const [lo, hi] = MarkovEstimator.wilson(5, 10, 1.96);
+  close(lo, 0.2366);
+  close(hi, 0.7634);
+
+  const [zeroLo, zeroHi] = MarkovEstimator.wilson(0, 10, 1.96);
+  assert.equal(zeroLo, 0);
+  close(zeroHi, 0.2775);
+
+  assert.deepEqual(MarkovEstimator.wilson(0, 0, 1.96), [0, 1]);
+});
+
+test('estimate counts transitions into a row-stochastic matrix', () => {
+  const { counts, matrix, visits } = MarkovEstimator.estimate([0, 0, 1, 0, 1, 1], 2);
+  assert.deepEqual(counts, [[1, 2], [1, 1]]);
+  assert.deepEqual(visits, [3, 2]);
+  assert.deepEqual(matrix, [[1 / 3, 2 / 3], [0.5, 0.5]]);
+});
+
+test('backtest predictions only use data up to the day before', () => {
+  const returns = [0.01, -0.01, 0.02, 0.01, -0.02, -0.01, 0.01, 0.02, -0.01, 0.01, 0.01, -0.02];
+  const { states } = MarkovEstimator.discretise(returns);
+  const options = { minHistory: 4, window: 3 };
+  const full = MarkovEstimator.backtest(states, returns, 2, options);
+
+  // Changing the future must not change any earlier prediction
+  const cut = 8;
+  const altered = returns.map((r, t) => (t > cut ? -r * 5 : r));
+  const alteredRun = MarkovEstimator.backtest(MarkovEstimator.discretise(altered).states, altered, 2, options);
+  const upTo = (run) => run.predictions.filter(p => p.t <= cut).map(({ t, state, predicted, up }) => ({ t, state, predicted, up }));
+  assert.ok(upTo(full).length > 0);
+  assert.deepEqual(upTo(alteredRun), upTo(full));
+});
+
+test('baseline is the share of predicted days that went up', () => {
+  const returns = [0.01, -0.01, 0.01, -0.01, 0.01, 0.01, -0.01, 0.01];
+  const { states } = MarkovEstimator.discretise(returns);
+  const { predictions, baseline, accuracy } = MarkovEstimator.backtest(states, returns, 2, { minHistory: 3 });
+
+  // Predictions cover days 3..7, whose returns are −, +, +, −, +
+  assert.deepEqual(predictions.map(p => p.t), [3, 4, 5, 6, 7]);
+  assert.equal(baseline, 3 / 5);
+  assert.equal(accuracy, predictions.filter(p => p.hit).length / 5);
+});
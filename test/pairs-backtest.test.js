@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KalmanFilter = require('../js/kalman-filter.js');
+const PairsBacktest = require('../js/pairs-backtest.js');
+
+test('never enters at or beyond the stop', () => {
+  const prices = KalmanFilter.simulatePair();
+  const steps = KalmanFilter.run(prices.x, prices.y, { delta: 1e-5, observationNoise: 1, warmup: 20 });
+
+  [2, 3, 4].forEach(stopZ => {
+    const { trades } = PairsBacktest.run(steps, prices, { entryZ: 1, stopZ });
+    assert.ok(trades.length > 0);
+    trades.forEach(trade => assert.ok(Math.abs(trade.entryZ) < stopZ,
+      `entry z ${trade.entryZ} with stopZ ${stopZ}`));
+  });
+});
+
+// Hand-built pair: x flat at 50, β = 1, so one unit of spread is y − x and
+// 10 000 of notional buys 100 units at y = 50
+const x = [50, 50, 50, 50, 50, 50];
+const y = [50, 50, 48, 52, 50, 53];
+const zscores = [0, -1.5, -0.5, 0.2, 1.8, 3.5];
+const steps = zscores.map((zscore, t) => ({ t, beta: 1, alpha: 0, zscore, warm: true }));
+const options = { entryZ: 1, exitZ: 0, stopZ: 3, notional: 10000, costBps: 5, initialCapital: 100000 };
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tol, `${actual} vs ${expected}`);
+
+test('per-trade P&L is net of entry and exit costs', () => {
+  const { trades } = PairsBacktest.run(steps, { x, y }, options);
+  assert.equal(trades.length, 2);
+
+  // Long at t1, exit at t3: +2 × 100 units, minus 5 in and 100 × 102 × 5 bp out
+  const [long, short] = trades;
+  assert.deepEqual(
+    { side: long.side, entryT: long.entryT, exitT: long.exitT, days: long.days, reason: long.reason },
+    { side: 'long', entryT: 1, exitT: 3, days: 2, reason: 'exit' });
+  close(long.pnl, 200 - 5 - 5.1);
+  close(long.return, 189.9 / 10000);
+
+  // Short at t4, stopped at t5 when z runs to 3.5: −3 × 100 units, minus 5 and 5.15
+  assert.deepEqual(
+    { side: short.side, entryT: short.entryT, exitT: short.exitT, days: short.days, reason: short.reason },
+    { side: 'short', entryT: 4, exitT: 5, days: 1, reason: 'stop' });
+  close(short.pnl, -300 - 5 - 5.15);
+});
+
+test('equity marks open positions and books costs', () => {
+  const { equity } = PairsBacktest.run(steps, { x, y }, options);
+  const expected = [100000, 99995, 99795, 100189.9, 100184.9, 99879.75];
+  assert.deepEqual(equity.map(e => e.t), [0, 1, 2, 3, 4, 5]);
+  equity.forEach((e, i) => close(e.value, expected[i], 1e-6));
+});
+
+test('statistics follow from the trades and equity curve', () => {
+  const { stats } = PairsBacktest.run(steps, { x, y }, options);
+  assert.equal(stats.trades, 2);
+  assert.equal(stats.winRate, 0.5);
+  close(stats.sharpeRatio, -1.5764524457155433, 1e-6);
+  close(stats.sortinoRatio, -2.3156168558296524, 1e-6);
+  close(stats.maxDrawdown, 99879.75 / 100189.9 - 1, 1e-12);
+  // 40 500 gross traded on 100 000 over 6 / 252 of a year
+  close(stats.turnover, 17.01, 1e-9);
+  close(stats.totalReturn, -0.0012025, 1e-12);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RegimeSimulator = require('../js/regime-simulator.js');
+
+const matrix = [[0.9, 0.08, 0.02], [0.1, 0.8, 0.1], [0.05, 0.15, 0.8]];
+const distributions = [{ mean: 0.001, vol: 0.01 }, { mean: 0, vol: 0.02 }, { mean: -0.002, vol: 0.04 }];
+const options = { start: 0, horizon: 30, paths: 200, samplePaths: 10 };
+
+test('the same seed draws the same paths', () => {
+  const a = RegimeSimulator.simulate(matrix, distributions, { ...options, seed: 7 });
+  const b = RegimeSimulator.simulate(matrix, distributions, { ...options, seed: 7 });
+  assert.deepEqual(a, b);
+});
+
+test('a different seed draws different paths', () => {
+  const a = RegimeSimulator.simulate(matrix, distributions, { ...options, seed: 7 });
+  const b = RegimeSimulator.simulate(matrix, distributions, { ...options, seed: 8 });
+  assert.notDeepEqual(a.samples, b.samples);
+  assert.notDeepEqual(a.fan, b.fan);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const SurfaceCalibration = require('../js/surface-calibration.js');
+const SurfaceDiagnostics = require('../js/surface-diagnostics.js');
+
+const load = () => ({
+  ...JSON.parse(fs.readFileSync(path.join(__dirname, '../data/health-surface-data.json'), 'utf8')),
+  strikeScale: 100
+});
+
+test('holds the forward at spot by default', () => {
+  const data = load();
+  const { forwards } = SurfaceCalibration.calibrate(data);
+  forwards.forEach(({ forward }) => assert.equal(forward, data.metadata.spot_logit));
+});
+
+test('reports points that do not solve as unbacked', () => {
+  const data = load();
+  const calibration = SurfaceCalibration.calibrate(data);
+  const unsolved = calibration.points.filter(p => p.sigma === null);
+  assert.ok(unsolved.length > 0 && unsolved.length < calibration.points.length);
+
+  data.surface.grid = calibration.grid;
+  const unbacked = SurfaceDiagnostics.unbackedNodes(data, calibration).issues;
+  unsolved.forEach(p => {
+    assert.ok(unbacked.some(issue => issue.T === p.T && Math.abs(issue.K - p.K * 100) < 1e-6),
+      `K=${p.K}, T=${p.T} not flagged`);
+  });
+  assert.equal(SurfaceDiagnostics.unbackedNodes(data).issues.length, unbacked.length - unsolved.length);
+});
+
+test('a row with no solved point keeps its published σ', () => {
+  const data = load();
+  const T = data.axes.y.values[0];
+  // Crossing probabilities of 1 have no σ under the model
+  data.raw_points = data.raw_points.map(p => (p.T === T ? { ...p, P_cross: 1 } : p));
+  const { grid } = SurfaceCalibration.calibrate(data);
+
+  assert.deepEqual(grid[0], data.surface.grid[0]);
+  grid.flat().forEach(sigma => assert.ok(sigma > 0));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const SurfaceDatasets = require('../js/surface-datasets.js');
+
+// Serve data/ from the working tree, as the page would
+const root = path.join(__dirname, '..');
+global.fetch = async (url) => {
+  const file = path.join(root, url);
+  const ok = fs.existsSync(file);
+  return { ok, status: ok ? 200 : 404, text: async () => fs.readFileSync(file, 'utf8') };
+};
+
+test('ships an iv-csv dataset next to the default one', async () => {
+  const datasets = await SurfaceDatasets.loadManifest('data/surface-datasets.json');
+  assert.ok(datasets.length >= 2);
+  assert.ok(datasets.some(d => d.schema === 'iv-csv'));
+});
+
+test('loads every CSV vintage into a full grid with one fitted z scale', async () => {
+  const datasets = await SurfaceDatasets.loadManifest('data/surface-datasets.json');
+  const errors = [];
+  const vintages = await SurfaceDatasets.load(datasets.find(d => d.schema === 'iv-csv'), {
+    onError: (error) => errors.push(error.message)
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(vintages.map(v => v.asof_year), [2023, 2024]);
+  vintages.forEach(({ data }) => {
+    assert.deepEqual(data.axes.x.values, [80, 90, 95, 100, 105, 110, 120]);
+    assert.deepEqual(data.axes.y.values, [0.25, 0.5, 1, 2]);
+    data.surface.grid.flat().forEach(sigma => assert.ok(sigma > 0 && sigma < 1));
+  });
+
+  // 80 is not quoted at T = 0.25 in 2024: it takes the nearest strike, 90
+  const latest = vintages[1].data.surface.grid;
+  assert.equal(latest[0][0], latest[0][1]);
+
+  const scale = vintages[0].data.surface.z_scale;
+  const top = Math.max(...vintages.map(v => Math.max(...v.data.surface.grid.flat())));
+  assert.equal(vintages[1].data.surface.z_scale, scale);
+  assert.ok(Math.abs(top * scale - SurfaceDatasets.FIT_HEIGHT) < 1e-9);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SurfaceDiagnostics = require('../js/surface-diagnostics.js');
+const shipped = require('../data/health-surface-data.json');
+
+// Obesity rates: K in %, raw points K as a fraction
+const surface = (Ks, Ts, grid, extra = {}) => ({
+  metadata: { spot_logit: SurfaceDiagnostics.logit(0.35) },
+  axes: { x: { symbol: 'K', unit: '%', values: Ks }, y: { values: Ts } },
+  surface: { grid },
+  strikeScale: 100,
+  ...extra
+});
+
+const flagged = (check) => check.issues.map(issue => `${issue.T}/${issue.K}`);
+
+test('calendar: total variance may not fall with T', () => {
+  const rising = surface([35], [1, 2], [[0.2], [0.15]]);
+  assert.deepEqual(flagged(SurfaceDiagnostics.calendarSpread(rising)), []);
+
+  // σ²T drops from 0.04 to 0.02
+  const falling = surface([35], [1, 2], [[0.2], [0.1]]);
+  const { issues } = SurfaceDiagnostics.calendarSpread(falling);
+  assert.deepEqual(flagged({ issues }), ['2/35']);
+  assert.match(issues[0].message, /falls from 0\.0400 \(1y\) to 0\.0200/);
+});
+
+test('butterfly: a σ spike makes the call prices concave', () => {
+  const Ks = [30, 35, 40];
+  assert.deepEqual(flagged(SurfaceDiagnostics.butterfly(surface(Ks, [1], [[0.1, 0.1, 0.1]]))), []);
+  assert.deepEqual(flagged(SurfaceDiagnostics.butterfly(surface(Ks, [1], [[0.1, 0.5, 0.1]]))), ['1/35']);
+});
+
+test('butterfly: near-zero slopes that differ by rounding are not flagged', () => {
+  // Deep out of the money at 7y (the shipped 38–42% row): both slopes ≈ 0
+  const flat = surface([38, 40, 42], [7], [[0.013, 0.026, 0.026]]);
+  assert.deepEqual(flagged(SurfaceDiagnostics.butterfly(flat)), []);
+  // A near-zero price tolerance flags the noise
+  assert.deepEqual(flagged(SurfaceDiagnostics.butterfly(flat, 1e-12)), ['7/40']);
+});
+
+test('butterfly is skipped without a spot', () => {
+  const data = surface([30, 35, 40], [1], [[0.1, 0.5, 0.1]], { metadata: {} });
+  assert.equal(SurfaceDiagnostics.butterfly(data).skipped, 'no spot_logit in metadata');
+});
+
+test('pcross: crossing probability may not rise with K', () => {
+  const points = (p30, p35) => [
+    { T: 1, K: 0.30, sigma: 0.1, P_cross: p30 },
+    { T: 1, K: 0.35, sigma: 0.1, P_cross: p35 }
+  ];
+  const grid = [[0.1, 0.1]];
+  const falling = surface([30, 35], [1], grid, { raw_points: points(0.9, 0.8) });
+  const rising = surface([30, 35], [1], grid, { raw_points: points(0.8, 0.9) });
+
+  assert.deepEqual(flagged(SurfaceDiagnostics.probabilityMonotonicity(falling)), []);
+  assert.deepEqual(flagged(SurfaceDiagnostics.probabilityMonotonicity(rising)), ['1/35']);
+  assert.equal(SurfaceDiagnostics.probabilityMonotonicity(surface([30, 35], [1], grid)).skipped, 'no raw points');
+});
+
+test('unbacked: padded, extrapolated and unsolved nodes', () => {
+  const raw_points = [{ T: 1, K: 0.30, sigma: 0.1, P_cross: 0.9 }];
+  const backed = surface([30], [1], [[0.1]], { raw_points });
+  assert.deepEqual(flagged(SurfaceDiagnostics.unbackedNodes(backed)), []);
+
+  const padded = surface([30, 35], [1], [[0.1, 0.1]], { raw_points });
+  assert.match(SurfaceDiagnostics.unbackedNodes(padded).issues[0].message, /padded \(repeats K = 30%\)/);
+
+  const extrapolated = surface([30, 35], [1], [[0.1, 0.12]], { raw_points });
+  assert.match(SurfaceDiagnostics.unbackedNodes(extrapolated).issues[0].message, /extrapolated/);
+
+  const calibration = { points: [{ ...raw_points[0], sigma: null }] };
+  const { issues } = SurfaceDiagnostics.unbackedNodes(backed, calibration);
+  assert.deepEqual(flagged({ issues }), ['1/30']);
+  assert.match(issues[0].message, /did not solve \(P_cross 0\.9\)/);
+});
+
+test('flags the artefacts in the shipped obesity surface', () => {
+  const data = { ...shipped, strikeScale: 100 };
+  const [calendar, butterfly, pcross, unbacked] = SurfaceDiagnostics.run(data);
+
+  // σ 0.0233 at 35%/3y is below the 2y variance; 0.2959 at 35%/5y is above the 7y one
+  assert.ok(flagged(calendar).includes('3/35'));
+  assert.ok(flagged(calendar).includes('7/35'));
+  assert.ok(flagged(butterfly).includes('5/35'));
+
+  // 7y/40 slopes are both ≈ 0 and differ only by rounding
+  assert.ok(!flagged(butterfly).includes('7/40'));
+  assert.deepEqual(pcross.issues, []);
+
+  // 42% and 45% repeat the 40% column at every horizon
+  const Ts = shipped.axes.y.values;
+  assert.deepEqual(flagged(unbacked).sort(), Ts.flatMap(T => [`${T}/42`, `${T}/45`]).sort());
+  unbacked.issues.forEach(issue => assert.match(issue.message, /padded/));
+});
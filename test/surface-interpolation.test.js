@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const SurfaceInterpolation = require('../js/surface-interpolation.js');
+
+const { axes, surface } = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/health-surface-data.json'), 'utf8'));
+const xs = axes.x.values;
+const ys = axes.y.values;
+const { grid } = surface;
+
+test('every method returns the grid nodes exactly', () => {
+  SurfaceInterpolation.METHODS.forEach(method => {
+    const interpolate = SurfaceInterpolation.create(method, xs, ys, grid);
+    ys.forEach((T, r) => xs.forEach((K, c) => {
+      assert.ok(Math.abs(interpolate(K, T) - grid[r][c]) < 1e-12, `${method} at K=${K}, T=${T}`);
+    }));
+  });
+});
+
+test('between nodes every method stays within its cell corners', () => {
+  // The spline works in total variance w = σ²T, so it is bounded in w
+  const measure = {
+    bilinear: (sigma) => sigma,
+    bicubic: (sigma) => sigma,
+    spline: (sigma, T) => sigma * sigma * T
+  };
+
+  SurfaceInterpolation.METHODS.forEach(method => {
+    const interpolate = SurfaceInterpolation.create(method, xs, ys, grid);
+    const value = measure[method];
+
+    for (let r = 0; r < ys.length - 1; r++) {
+      for (let c = 0; c < xs.length - 1; c++) {
+        const corners = [[r, c], [r, c + 1], [r + 1, c], [r + 1, c + 1]]
+          .map(([i, j]) => value(grid[i][j], ys[i]));
+        const lo = Math.min(...corners) - 1e-12;
+        const hi = Math.max(...corners) + 1e-12;
+
+        for (let a = 0; a <= 8; a++) {
+          for (let b = 0; b <= 8; b++) {
+            const K = xs[c] + (xs[c + 1] - xs[c]) * a / 8;
+            const T = ys[r] + (ys[r + 1] - ys[r]) * b / 8;
+            const v = value(interpolate(K, T), T);
+            assert.ok(v >= lo && v <= hi, `${method} at K=${K}, T=${T}: ${v} outside [${lo}, ${hi}]`);
+          }
+        }
+      }
+    }
+  });
+});
+
+test('the natural cubic spline matches hand-solved values', () => {
+  // Through (0, 0), (1, 1), (2, 0) with M₀ = M₂ = 0: M₁ = −3
+  assert.deepEqual(SurfaceInterpolation.splineSecondDerivatives([0, 1, 2], [0, 1, 0]), [0, -3, 0]);
+  assert.equal(SurfaceInterpolation.spline([0, 1, 2], [0, 1, 0], 0.5), 0.6875);
+  assert.equal(SurfaceInterpolation.spline([0, 1, 2], [0, 1, 0], 1.5), 0.6875);
+});
+
+test("'spline' is the natural spline in σ²T wherever it stays inside its cell", () => {
+  const interpolate = SurfaceInterpolation.create('spline', xs, ys, grid);
+  const variance = grid.map((row, r) => row.map(sigma => sigma * sigma * ys[r]));
+  let unclipped = 0;
+
+  for (let K = xs[0]; K <= xs[xs.length - 1]; K += 0.5) {
+    for (let T = ys[0]; T <= ys[ys.length - 1]; T += 0.25) {
+      const w = SurfaceInterpolation.spline(ys, variance.map(row => SurfaceInterpolation.spline(xs, row, K)), T);
+      const [lo, hi] = SurfaceInterpolation.cellRange(xs, ys, variance, K, T);
+      if (w < lo || w > hi) continue;
+      unclipped++;
+      assert.ok(Math.abs(interpolate(K, T) - Math.sqrt(w / T)) < 1e-12, `K=${K}, T=${T}`);
+    }
+  }
+  assert.ok(unclipped > 0);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SurfaceColormap = require('../js/surface-shading.js');
+
+const near = (point, u, v) => Math.abs(point.u - u) < 1e-9 && Math.abs(point.v - v) < 1e-9;
+const hasSegment = (segments, [u0, v0], [u1, v1]) => segments.some(([a, b]) =>
+  (near(a, u0, v0) && near(b, u1, v1)) || (near(a, u1, v1) && near(b, u0, v0)));
+
+test('levels are the step multiples inside the range', () => {
+  assert.deepEqual(SurfaceColormap.levels(0.01, 0.3, 0.05), [0.05, 0.1, 0.15, 0.2, 0.25, 0.3]);
+  assert.deepEqual(SurfaceColormap.levels(0.1, 0.1, 0.05), [0.1]);
+  assert.deepEqual(SurfaceColormap.levels(0.11, 0.14, 0.05), []);
+});
+
+test('contour follows a plane', () => {
+  // values[row][col] = col on a 3 × 2 node grid: σ = 0.5 runs straight up u = 0.25
+  const segments = SurfaceColormap.contour([[0, 1, 2], [0, 1, 2]], 0.5);
+  assert.equal(segments.length, 1);
+  assert.ok(hasSegment(segments, [0.25, 0], [0.25, 1]));
+});
+
+test('saddle cells are split by the centre average', () => {
+  // Corners (0,0) and (1,1) high, centre 0.5
+  const grid = [[1, 0], [0, 1]];
+
+  // Below the centre the high corners join: the low corners are cut off
+  const low = SurfaceColormap.contour(grid, 0.4);
+  assert.equal(low.length, 2);
+  assert.ok(hasSegment(low, [0.6, 0], [1, 0.4]));
+  assert.ok(hasSegment(low, [0.4, 1], [0, 0.6]));
+
+  // Above it the low corners join: the high corners are cut off
+  const high = SurfaceColormap.contour(grid, 0.6);
+  assert.equal(high.length, 2);
+  assert.ok(hasSegment(high, [0, 0.4], [0.4, 0]));
+  assert.ok(hasSegment(high, [1, 0.6], [0.6, 1]));
+});